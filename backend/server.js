@@ -4,8 +4,14 @@ const express = require('express');  // Import Express framework
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 const TelegramBot = require('node-telegram-bot-api');
+const { Resvg } = require('@resvg/resvg-js');  // Renders SVG charts to PNG without a browser
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const ExcelJS = require('exceljs');  // Streams XLSX exports without building the workbook in memory
 const https = require('https');
 const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
 
 const app = express(); // Initialize Express app
 
@@ -39,6 +45,64 @@ try {
   console.error('❌ Failed to initialize Supabase client:', error);
 }
 
+// Authentication middleware
+// Verifies the Supabase access token sent by the frontend in the Authorization header
+// and loads the caller's role from the profiles table
+// The user and profile are attached to the request for use in route handlers
+async function requireAuth(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Missing or malformed Authorization header.' });
+  }
+
+  try {
+    const { data: userData, error: userError } = await supabase.auth.getUser(token);
+    if (userError || !userData?.user) {
+      return res.status(401).json({ error: 'Invalid or expired access token.' });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, email, role')
+      .eq('id', userData.user.id)
+      .single();
+    if (profileError || !profile) {
+      return res.status(403).json({ error: 'No profile found for this user.' });
+    }
+
+    req.user = userData.user;
+    req.profile = profile;
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying access token:', error);
+    res.status(500).json({ error: 'Failed to verify access token.' });
+  }
+}
+
+// Authorization middleware for admin-only routes
+// Must be used after requireAuth so that req.profile is populated
+function requireAdmin(req, res, next) {
+  if (req.profile?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required.' });
+  }
+  next();
+}
+
+// Every /api route requires a signed-in user, except sensor ingestion and the /api/device routes
+// Devices post readings and poll for pump commands with their API key instead (see requireIngestAuth)
+// Export downloads may use a signed link instead, which the export route checks (see signExportLink)
+app.use('/api', (req, res, next) => {
+  if ((req.method === 'POST' && req.path === '/readings') || req.path.startsWith('/device/')) {
+    return next();
+  }
+  if (req.method === 'GET' && req.path === '/readings/export' && req.query.token) {
+    return next();
+  }
+  requireAuth(req, res, next);
+});
+
 // Initialize Telegram Bot without polling
 let bot;
 if (process.env.TELEGRAM_BOT_TOKEN) {
@@ -72,59 +136,448 @@ process.on('SIGINT', () => {
 });
 
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-let lastSeenId = null;
+
+// IDs of sensor_data rows that have already been processed for alerts
+// Rows can arrive both from the ingestion endpoint and the realtime subscription,
+// so we remember recent IDs to avoid alerting twice for the same row
+const processedRowIds = new Set();
+const MAX_PROCESSED_ROW_IDS = 1000;
+
+// Live readings are at most a few seconds old on arrival, so anything older than this is imported history
+// or readings a controller buffered while offline
+const HISTORICAL_READING_MS = 10 * 60 * 1000;
+
+// Look up a grow system by ID
+// Rows and chats without a system fall back to the default (oldest) system,
+// so single-reservoir setups keep working without assigning systems everywhere
+// Returns null if the system cannot be found
+async function getSystem(systemId) {
+  if (!systemId) {
+    const systems = await getSystems();
+    return systems[0] || null;
+  }
+  const { data, error } = await supabase
+    .from('systems')
+    .select('id, name, selected_plant_id')
+    .eq('id', systemId)
+    .single();
+  if (error || !data) {
+    console.warn('⚠️ Could not fetch system:', systemId, error);
+    return null;
+  }
+  return data;
+}
+
+// Get all grow systems, oldest first
+async function getSystems() {
+  const { data, error } = await supabase
+    .from('systems')
+    .select('id, name, selected_plant_id')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// Look up the plant currently selected for a grow system
+// Returns null if no plant is selected or the system cannot be found
+async function getSelectedPlant(systemId) {
+  const system = await getSystem(systemId);
+  if (!system?.selected_plant_id) {
+    console.warn('⚠️ No plant selected for system:', systemId);
+    return null;
+  }
+  return getPlantProfile(system.selected_plant_id);
+}
+
+// Look up a plant profile by ID
+// The ID can point at either plant_profiles or multiplant_profile, so both tables are checked
+async function getPlantProfile(plantId) {
+  const { data: plantData, error: plantError } = await supabase
+    .from('plant_profiles')
+    .select('id, name, ph_min, ph_max, ec_min, ec_max')
+    .eq('id', plantId)
+    .single();
+
+  if (!plantError && plantData) {
+    return plantData;
+  }
+
+  // Try multiplant_profile if not found in plant_profiles
+  const { data: multiplantData, error: multiplantError } = await supabase
+    .from('multiplant_profile')
+    .select('id, name, ph_min, ph_max, ec_min, ec_max')
+    .eq('id', plantId)
+    .single();
+
+  if (!multiplantError && multiplantData) {
+    return multiplantData;
+  }
+
+  return { id: plantId, name: 'Unknown Plant' };
+}
+
+// Look up a plant profile by the name stored on its readings
+// Returns null if neither plant_profiles nor multiplant_profile has a plant with that name
+async function getPlantProfileByName(name) {
+  for (const table of ['plant_profiles', 'multiplant_profile']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id, name, ph_min, ph_max, ec_min, ec_max')
+      .eq('name', name)
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+  return null;
+}
+
+// Plants that can be selected for a system: the Multiplant profile first, then all plant profiles
+async function getPlantOptions() {
+  const [{ data: plants, error }, { data: multiplant }] = await Promise.all([
+    supabase.from('plant_profiles').select('id, name, ph_min, ph_max, ec_min, ec_max').order('name'),
+    supabase.from('multiplant_profile').select('id, name, ph_min, ph_max, ec_min, ec_max').eq('name', 'Multiplant').maybeSingle(),
+  ]);
+  if (error) throw error;
+  return multiplant ? [multiplant, ...plants] : plants;
+}
+
+// Sensor Status Helpers
+// Shared by the Telegram status and statistics commands
+
+// Plant profiles only hold pH and EC ranges, so water temperature is checked
+// against a general range that suits most hydroponic crops
+const WATER_TEMPERATURE_RANGE = { min: 18, max: 24 };
+
+// What each pump does, in the order the controller reports them
+const PUMP_LABELS = {
+  pump1: 'Pump 1 (nutrient A+B)',
+  pump2: 'Pump 2 (water)',
+  pump3: 'Pump 3 (pH up)',
+  pump4: 'Pump 4 (pH down)',
+};
+
+// Optimal range of a metric for a plant, or null if the plant has none
+function getMetricRange(plant, metric) {
+  if (metric === 'water_temperature') return WATER_TEMPERATURE_RANGE;
+  const min = plant?.[`${metric}_min`];
+  const max = plant?.[`${metric}_max`];
+  return min == null || max == null ? null : { min, max };
+}
+
+// Periods accepted by /stats and /graph, in minutes
+const REPORT_PERIODS = { '1h': 60, '24h': 24 * 60, '7d': 7 * 24 * 60 };
+
+function isInRange(value, range) {
+  return value >= range.min && value <= range.max;
+}
+
+// Summarise readings (oldest first) over a period ending at `until`:
+// min/max/average per metric, share of time in the plant's range and pump activations
+// Each reading counts until the next one, but never longer than the stale data threshold,
+// so gaps in the data do not count as time in or out of range
+// Readings may be aggregates (see getReportReadings), whose pump activations are passed in
+function summarizeReadings(readings, plant, until = new Date(), pumpActivations = null) {
+  const maxGap = STALE_DATA_THRESHOLD_MINUTES * 60 * 1000;
+  const durations = readings.map((reading, index) => {
+    const end = index + 1 < readings.length ? new Date(readings[index + 1].created_at) : until;
+    return Math.max(0, Math.min(end - new Date(reading.created_at), maxGap));
+  });
+
+  const metrics = {};
+  for (const metric of Object.keys(ALERT_METRICS)) {
+    const range = getMetricRange(plant, metric);
+    let min = Infinity, max = -Infinity, sum = 0, count = 0, timed = 0, inRange = 0;
+    // An out-of-range episode is a run of consecutive readings outside the range
+    let episodes = 0, longestEpisodeMs = 0, currentEpisodeMs = null;
+    readings.forEach((reading, index) => {
+      const value = reading[metric];
+      if (value == null) return;
+      const weight = reading[`${metric}_count`] ?? 1;
+      min = Math.min(min, reading[`${metric}_min`] ?? value);
+      max = Math.max(max, reading[`${metric}_max`] ?? value);
+      sum += value * weight;
+      count += weight;
+      timed += durations[index];
+      if (!range || isInRange(value, range)) {
+        inRange += durations[index];
+        currentEpisodeMs = null;
+      } else {
+        if (currentEpisodeMs === null) {
+          episodes++;
+          currentEpisodeMs = 0;
+        }
+        currentEpisodeMs += durations[index];
+        longestEpisodeMs = Math.max(longestEpisodeMs, currentEpisodeMs);
+      }
+    });
+    metrics[metric] = count === 0 ? null : {
+      min,
+      max,
+      avg: sum / count,
+      range,
+      inRangePercent: range && timed > 0 ? (inRange / timed) * 100 : null,
+      outOfRangeEpisodes: range ? episodes : null,
+      longestEpisodeMs,
+    };
+  }
+
+  // An activation is a reading where the pump is on after being off
+  if (!pumpActivations) {
+    pumpActivations = {};
+    for (const pump of Object.keys(PUMP_LABELS)) {
+      pumpActivations[pump] = readings.filter((reading, index) => reading[pump] && !readings[index - 1]?.[pump]).length;
+    }
+  }
+
+  // Periods without readings longer than the stale data threshold, including one running until now
+  const gaps = [];
+  readings.forEach((reading, index) => {
+    const start = new Date(reading.created_at);
+    const end = index + 1 < readings.length ? new Date(readings[index + 1].created_at) : until;
+    if (end - start > maxGap) gaps.push({ from: start, to: end });
+  });
+
+  const readingCount = readings.reduce((sum, reading) => sum + (reading.reading_count ?? 1), 0);
+  return { count: readingCount, metrics, pumpActivations, gaps };
+}
+
+// Chart Rendering
+// Line charts for /graph are drawn as SVG and rendered to PNG with resvg,
+// which needs no browser, only a font installed on the system (see Dockerfile)
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CHART_MARGIN = { top: 50, right: 30, bottom: 50, left: 60 };
+const CHART_MAX_POINTS = 400;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// Average readings into equal time slots so long periods are drawn with at most CHART_MAX_POINTS points
+// Slots without readings stay empty, so gaps in the data remain visible
+function downsample(points, from, until) {
+  if (points.length <= CHART_MAX_POINTS) return points;
+  const slotMs = (until - from) / CHART_MAX_POINTS;
+  const slots = new Map();
+  points.forEach(point => {
+    const slot = Math.floor((point.time - from.getTime()) / slotMs);
+    if (!slots.has(slot)) slots.set(slot, []);
+    slots.get(slot).push(point);
+  });
+  return [...slots.values()].map(bucket => ({
+    time: bucket.reduce((sum, p) => sum + p.time, 0) / bucket.length,
+    value: bucket.reduce((sum, p) => sum + p.value, 0) / bucket.length,
+  }));
+}
+
+// Build the SVG for a metric's line chart between `from` and `until`
+// The plant's optimal range is shaded; gaps longer than the stale data threshold break the line
+function renderChartSvg({ title, readings, metric, range, from, until }) {
+  const { label, unit } = ALERT_METRICS[metric];
+  const points = downsample(readings
+    .filter(r => r[metric] != null)
+    .map(r => ({ time: new Date(r.created_at).getTime(), value: r[metric] })), from, until);
+
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+
+  // Fit both the data and the plant range, with some padding
+  const values = points.map(p => p.value).concat(range ? [range.min, range.max] : []);
+  let low = Math.min(...values);
+  let high = Math.max(...values);
+  const padding = (high - low) * 0.1 || 1;
+  low -= padding;
+  high += padding;
+
+  const x = (time) => CHART_MARGIN.left + ((time - from.getTime()) / (until.getTime() - from.getTime())) * plotWidth;
+  const y = (value) => CHART_MARGIN.top + (1 - (value - low) / (high - low)) * plotHeight;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="DejaVu Sans, sans-serif">`,
+    `<rect width="100%" height="100%" fill="#14532d"/>`,
+    `<text x="${CHART_WIDTH / 2}" y="30" fill="white" font-size="18" text-anchor="middle">${escapeXml(title)}</text>`,
+  ];
+
+  // Optimal range band
+  if (range) {
+    parts.push(`<rect x="${CHART_MARGIN.left}" y="${y(range.max)}" width="${plotWidth}" height="${y(range.min) - y(range.max)}" fill="#4ade80" fill-opacity="0.2"/>`);
+    [range.min, range.max].forEach(value => {
+      parts.push(`<line x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left + plotWidth}" y1="${y(value)}" y2="${y(value)}" stroke="#4ade80" stroke-dasharray="6 4"/>`);
+    });
+  }
+
+  // Y axis grid and labels
+  for (let i = 0; i <= 5; i++) {
+    const value = low + ((high - low) * i) / 5;
+    parts.push(`<line x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left + plotWidth}" y1="${y(value)}" y2="${y(value)}" stroke="white" stroke-opacity="0.1"/>`);
+    parts.push(`<text x="${CHART_MARGIN.left - 8}" y="${y(value) + 4}" fill="white" font-size="12" text-anchor="end">${value.toFixed(metric === 'ec' ? 2 : 1)}</text>`);
+  }
+
+  // X axis labels, showing dates for periods longer than a day
+  const longPeriod = until - from > 24 * 60 * 60 * 1000;
+  for (let i = 0; i <= 6; i++) {
+    const time = new Date(from.getTime() + ((until - from) * i) / 6);
+    const text = longPeriod
+      ? time.toLocaleDateString([], { day: '2-digit', month: '2-digit' })
+      : time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    parts.push(`<text x="${x(time.getTime())}" y="${CHART_HEIGHT - 20}" fill="white" font-size="12" text-anchor="middle">${text}</text>`);
+  }
+  parts.push(`<text x="15" y="${CHART_MARGIN.top + plotHeight / 2}" fill="white" font-size="12" text-anchor="middle" transform="rotate(-90 15 ${CHART_MARGIN.top + plotHeight / 2})">${escapeXml(label + (unit ? ` (${unit.trim()})` : ''))}</text>`);
+
+  // Data line, split into segments at gaps in the data
+  const maxGap = Math.max(STALE_DATA_THRESHOLD_MINUTES * 60 * 1000, ((until - from) / CHART_MAX_POINTS) * 2);
+  let segment = [];
+  const flush = () => {
+    if (segment.length > 1) {
+      parts.push(`<polyline fill="none" stroke="#facc15" stroke-width="2" points="${segment.join(' ')}"/>`);
+    } else if (segment.length === 1) {
+      const [cx, cy] = segment[0].split(',');
+      parts.push(`<circle cx="${cx}" cy="${cy}" r="2" fill="#facc15"/>`);
+    }
+    segment = [];
+  };
+  points.forEach((point, index) => {
+    if (index > 0 && point.time - points[index - 1].time > maxGap) flush();
+    segment.push(`${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`);
+  });
+  flush();
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+function renderChartPng(svg) {
+  const resvg = new Resvg(svg, {
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' },
+  });
+  return resvg.render().asPng();
+}
+
+// Alert History
+// Every alert is stored in the alerts table with its reading, plant and severity,
+// then sent to Telegram with inline buttons to acknowledge or resolve it
+// Alerts move from open -> acknowledged -> resolved
+
+// Inline keyboard shown under an alert message in Telegram
+// Any linked account can acknowledge, only admins can resolve; unlinked chats get no buttons
+function alertKeyboard(alert, role) {
+  const buttons = [];
+  if (alert.status === 'open' && role) {
+    buttons.push({ text: '👀 Acknowledge', callback_data: `alert:acknowledge:${alert.id}` });
+  }
+  if (alert.status !== 'resolved' && role === 'admin') {
+    buttons.push({ text: '✅ Resolve', callback_data: `alert:resolve:${alert.id}` });
+  }
+  return { inline_keyboard: buttons.length > 0 ? [buttons] : [] };
+}
+
+// Record an alert and send it to the subscribed Telegram chats and notification channels
+// type: 'pump', 'rule', 'stale', 'safety' or 'calibration'; severity: 'info', 'warning' or 'critical'
+// Returns the stored alert row, or null if it could not be stored
+async function raiseAlert({ type, severity, message, system, plant, reading, rule }) {
+  let alert = null;
+  const { data, error } = await supabase
+    .from('alerts')
+    .insert([{
+      type,
+      severity,
+      message,
+      system_id: system?.id || null,
+      plant_name: plant?.name || null,
+      sensor_data_id: reading?.id || null,
+      reading: reading
+        ? { ph: reading.ph, ec: reading.ec, water_temperature: reading.water_temperature, created_at: reading.created_at }
+        : null,
+      rule_id: rule?.id || null,
+      status: 'open',
+    }])
+    .select()
+    .single();
+  if (error) {
+    // Still deliver the message even if the history could not be written
+    console.error('❌ Failed to record alert:', error);
+  } else {
+    alert = data;
+  }
+
+  // Delivery may retry for a while, so it runs in the background
+  dispatchNotification({ type, severity, systemId: system?.id || null, message, alert })
+    .catch(err => console.error('❌ Error dispatching alert:', err));
+  return alert;
+}
+
+// Move an alert to 'acknowledged' or 'resolved'
+// `by` describes who did it (a web user's email or a Telegram user)
+// Returns the updated alert, or null if the alert does not exist or was already handled
+async function updateAlertStatus(alertId, status, by) {
+  const now = new Date().toISOString();
+  const update = { status };
+  if (status === 'acknowledged') {
+    Object.assign(update, { acknowledged_at: now, acknowledged_by: by });
+  } else if (status === 'resolved') {
+    Object.assign(update, { resolved_at: now, resolved_by: by });
+  }
+
+  let query = supabase
+    .from('alerts')
+    .update(update)
+    .eq('id', alertId);
+  // Acknowledging only applies to open alerts, so a resolved alert is never reopened,
+  // and resolving only to unresolved ones, so who resolved an alert and when is never overwritten
+  // (e.g. by the watchdog's auto-resolve after an admin already resolved it)
+  query = status === 'acknowledged' ? query.eq('status', 'open') : query.neq('status', 'resolved');
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Handle a newly inserted sensor_data row
+// Called from both the ingestion endpoint and the realtime subscription
+// Runs the pump alerts, the pump safety interlocks, the dosing log and the configurable alert rules once per row
+async function handleNewReading(row) {
+  // Ensure we only process new data
+  if (processedRowIds.has(row.id)) { //skip if this row was already handled
+    return;
+  }
+  processedRowIds.add(row.id);
+  if (processedRowIds.size > MAX_PROCESSED_ROW_IDS) {
+    // Sets iterate in insertion order, so the first entry is the oldest
+    processedRowIds.delete(processedRowIds.values().next().value);
+  }
+
+  // Pump runs a controller buffered while offline still belong in the dosing log, but alerts and interlocks
+  // on them would come too late. Older imported history is stored as it was (see POST /api/dosing/rebuild)
+  const age = Date.now() - new Date(row.created_at).getTime();
+  if (age > HISTORICAL_READING_MS) {
+    if (age <= MAX_RECORDED_AGE_MS) await recordDosingEvents(row);
+    return;
+  }
+
+  await noteReadingReceived(row);
+  await sendSensorAlerts(row);
+  await checkPumpSafety(row);
+  await recordDosingEvents(row);
+  await evaluateAlertRules(row);
+}
 
 // Function to check sensor data and send notifications (adapted for real-time)
 async function sendSensorAlerts(row) {
   try {
-    // Ensure we only process new data (simple check for now, can be improved with event types)
-    if (row.id === lastSeenId) { //skip if this is the same row as last time
-      return;
-    }
-    lastSeenId = row.id;
-
     // Skip if no pump is triggered ,only send alerts if at least one pump is activated
     // avoid spamming alerts
     if (!row.pump1 && !row.pump2 && !row.pump3 && !row.pump4) {
       return;
     }
 
-    // Get selected plant ID from system_config
-    const { data: configData, error: configError } = await supabase
-      .from('system_config')
-      .select('selected_plant_id')
-      .limit(1)
-      .single();
-
-    if (configError || !configData?.selected_plant_id) {
-      console.warn('⚠️ Could not fetch selected plant ID for alert:', configError);
+    const system = await getSystem(row.system_id);
+    if (!system?.selected_plant_id) {
+      console.warn('⚠️ Could not determine selected plant for alert:', row.system_id);
       return;
     }
-
-    const plantId = configData.selected_plant_id;
-
-    // Get plant name from plant_profiles or multiplant_profile
-    let plantName = 'Unknown Plant';
-    const { data: plantData, error: plantError } = await supabase
-      .from('plant_profiles')
-      .select('name')
-      .eq('id', plantId)
-      .single();
-
-    if (plantError) {
-      // Try multiplant_profile if not found in plant_profiles
-      const { data: multiplantData, error: multiplantError } = await supabase
-        .from('multiplant_profile')
-        .select('name')
-        .eq('id', plantId)
-        .single();
-
-      if (!multiplantError && multiplantData) {
-        plantName = multiplantData.name;
-      }
-    } else if (plantData) {
-      plantName = plantData.name;
-    }
+    const plant = await getPlantProfile(system.selected_plant_id);
+    const plantName = plant.name;
 
     // Build and send message
     let message = '';
@@ -143,7 +596,8 @@ async function sendSensorAlerts(row) {
     }
 
     if (message) {
-      await bot.sendMessage(TELEGRAM_CHAT_ID, message);
+      message = `🏭 System: ${system.name}\n\n` + message;
+      await raiseAlert({ type: 'pump', severity: 'warning', message: message.trim(), system, plant, reading: row });
       console.log('✅ Alert sent!', row);
     }
 
@@ -152,422 +606,5238 @@ async function sendSensorAlerts(row) {
   }
 }
 
-// Supabase Realtime Subscription for sensor_data
-// This will listen for new sensor data and trigger alerts
-// instant alerts(miliseconds) when a pump is activated
-// This is more efficient than polling every 5 seconds
-// as it only sends alerts when there is a change in the sensor data
-if (supabase) {
-  supabase
-    .channel('sensor_data_changes')
-    .on(
-      'postgres_changes',
-      { event: 'INSERT', schema: 'public', table: 'sensor_data' },
-      (payload) => {
-        console.log('Realtime change received:', payload);
-        sendSensorAlerts(payload.new);
-      }
-    )
-    .subscribe();
-  console.log('✅ Subscribed to sensor_data changes.');
+// Alert Rule Engine
+// Admins store rules in the alert_rules table, e.g. "pH outside the plant's range for 10 minutes",
+// "water temperature above 28°C" or "EC rising faster than 0.5 per hour"
+// Every new reading is checked against the enabled rules for its system
+
+const ALERT_METRICS = {
+  ph: { label: 'pH', unit: '' },
+  ec: { label: 'EC', unit: ' mS/cm' },
+  water_temperature: { label: 'Water temperature', unit: '°C' },
+};
+const ALERT_CONDITIONS = ['outside_plant_range', 'above', 'below', 'rising_faster', 'falling_faster'];
+const ALERT_SEVERITIES = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨',
+};
+// Rate rules without a duration look at the last hour of readings
+const DEFAULT_RATE_WINDOW_MINUTES = 60;
+
+// Check whether a single value breaks a level rule (above, below or outside the plant range)
+function isRuleViolation(rule, value, plant) {
+  switch (rule.condition) {
+    case 'above':
+      return value > rule.threshold;
+    case 'below':
+      return value < rule.threshold;
+    case 'outside_plant_range': {
+      const min = plant?.[`${rule.metric}_min`];
+      const max = plant?.[`${rule.metric}_max`];
+      if (min == null || max == null) return false;
+      return value < min || value > max;
+    }
+    default:
+      return false;
+  }
 }
 
-// Telegram Bot Commands
-if (bot) {
-  bot.onText(/\/start/, async (msg) => {
-    try {
-      await bot.sendMessage(msg.chat.id, "Welcome to Hydroponic Monitoring Bot! This bot can show you the current values of Electrical Conductivity (EC), pH Level, Water Temperature and will send you alerts when any of the pump is activated. Oh, and it can also show you the optimised level for all plant profiles.");
-      console.log('✅ /start command processed for chat:', msg.chat.id);
-    } catch (error) {
-      console.error('❌ Error processing /start command:', error);
+// How far back a rule needs to look at readings to be evaluated
+function ruleLookbackMinutes(rule) {
+  const isRateRule = rule.condition === 'rising_faster' || rule.condition === 'falling_faster';
+  return rule.duration_minutes || (isRateRule ? DEFAULT_RATE_WINDOW_MINUTES : 0);
+}
+
+// Evaluate a rule as of the last reading in `readings` (oldest first, one system)
+// Level rules must be broken continuously for duration_minutes
+// Rate rules compare the change per hour over the lookback window with the threshold
+// Returns { triggered, value, rate }
+function evaluateRule(rule, readings, plant) {
+  const metric = rule.metric;
+  const values = readings.filter(r => typeof r[metric] === 'number');
+  const latest = values[values.length - 1];
+  if (!latest) {
+    return { triggered: false };
+  }
+
+  const latestTime = new Date(latest.created_at).getTime();
+  const windowMs = ruleLookbackMinutes(rule) * 60 * 1000;
+
+  if (rule.condition === 'rising_faster' || rule.condition === 'falling_faster') {
+    const first = values.find(r => latestTime - new Date(r.created_at).getTime() <= windowMs);
+    const hours = (latestTime - new Date(first.created_at).getTime()) / (60 * 60 * 1000);
+    if (hours <= 0) {
+      return { triggered: false, value: latest[metric] };
     }
-  });
+    const rate = (latest[metric] - first[metric]) / hours;
+    const triggered = rule.condition === 'rising_faster' ? rate > rule.threshold : rate < -rule.threshold;
+    return { triggered, value: latest[metric], rate };
+  }
 
-  bot.onText(/\/ph/, async (msg) => {
-    try {
-      const { data, error } = await supabase
-        .from('sensor_data')
-        .select('ph')
-        .order('created_at', { ascending: false })
-        .limit(1);
-      if (error || !data || data.length === 0) {
-        await bot.sendMessage(msg.chat.id, "Could not fetch pH value.");
-      } else {
-        await bot.sendMessage(msg.chat.id, `Current pH value: ${data[0].ph}`);
-      }
-      console.log('✅ /ph command processed for chat:', msg.chat.id);
-    } catch (error) {
-      console.error('❌ Error processing /ph command:', error);
-      try {
-        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
-      } catch (sendError) {
-        console.error('❌ Error sending error message:', sendError);
-      }
+  if (!isRuleViolation(rule, latest[metric], plant)) {
+    return { triggered: false, value: latest[metric] };
+  }
+
+  // Walk back to find when the current violation started
+  let since = latestTime;
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (!isRuleViolation(rule, values[i][metric], plant)) break;
+    since = new Date(values[i].created_at).getTime();
+  }
+  return { triggered: latestTime - since >= windowMs, value: latest[metric] };
+}
+
+// Human readable summary of a rule, e.g. "pH outside plant range (5.5 - 6.5) for 10 min"
+function describeRule(rule, plant) {
+  const { label, unit } = ALERT_METRICS[rule.metric] || { label: rule.metric, unit: '' };
+  let description;
+  switch (rule.condition) {
+    case 'outside_plant_range':
+      description = `${label} outside plant range (${plant?.[`${rule.metric}_min`]} - ${plant?.[`${rule.metric}_max`]})`;
+      break;
+    case 'above':
+      description = `${label} above ${rule.threshold}${unit}`;
+      break;
+    case 'below':
+      description = `${label} below ${rule.threshold}${unit}`;
+      break;
+    case 'rising_faster':
+      description = `${label} rising faster than ${rule.threshold}${unit} per hour`;
+      break;
+    case 'falling_faster':
+      description = `${label} falling faster than ${rule.threshold}${unit} per hour`;
+      break;
+    default:
+      description = `${label} ${rule.condition}`;
+  }
+  const isRateRule = rule.condition === 'rising_faster' || rule.condition === 'falling_faster';
+  if (rule.duration_minutes && !isRateRule) {
+    description += ` for ${rule.duration_minutes} min`;
+  }
+  return description;
+}
+
+// Validate an alert rule payload from the admin UI
+// Returns a list of error messages (empty if the rule is valid)
+function validateAlertRule(rule) {
+  const errors = [];
+  if (!rule.name || typeof rule.name !== 'string') {
+    errors.push('name is required.');
+  }
+  if (!ALERT_METRICS[rule.metric]) {
+    errors.push(`metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}.`);
+  }
+  if (!ALERT_CONDITIONS.includes(rule.condition)) {
+    errors.push(`condition must be one of: ${ALERT_CONDITIONS.join(', ')}.`);
+  }
+  if (rule.condition === 'outside_plant_range' && rule.metric === 'water_temperature') {
+    errors.push('Plant profiles have no water temperature range; use above or below instead.');
+  }
+  if (rule.condition !== 'outside_plant_range' && (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold))) {
+    errors.push('threshold must be a number.');
+  }
+  if (!ALERT_SEVERITIES[rule.severity]) {
+    errors.push(`severity must be one of: ${Object.keys(ALERT_SEVERITIES).join(', ')}.`);
+  }
+  for (const field of ['duration_minutes', 'cooldown_minutes']) {
+    if (rule[field] !== undefined && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      errors.push(`${field} must be a non-negative whole number.`);
     }
-  });
+  }
+  return errors;
+}
 
-  bot.onText(/\/ec/, async (msg) => {
-    try {
-      const { data, error } = await supabase
-        .from('sensor_data')
-        .select('ec')
-        .order('created_at', { ascending: false })
-        .limit(1);
-      if (error || !data || data.length === 0) {
-        await bot.sendMessage(msg.chat.id, "Could not fetch EC value.");
-      } else {
-        await bot.sendMessage(msg.chat.id, `Current EC value: ${data[0].ec}`);
+// Pick the alert_rules columns that can be set from the API
+function alertRuleFields(body) {
+  return {
+    name: body.name,
+    system_id: body.system_id || null,
+    metric: body.metric,
+    condition: body.condition,
+    threshold: body.condition === 'outside_plant_range' ? null : body.threshold,
+    duration_minutes: body.duration_minutes || 0,
+    severity: body.severity,
+    cooldown_minutes: body.cooldown_minutes ?? 30,
+    enabled: body.enabled !== false,
+  };
+}
+
+// Fetch a system's readings from the last `minutes` before `until`, oldest first
+// Supabase returns at most 1000 rows per request, so longer periods are fetched page by page,
+// newest first and up to MAX_RECENT_READINGS, so a busy sensor cannot fill the server's memory.
+// When there are more, only the most recent ones are returned; callers that report on a whole
+// period check for a full result (see getReportReadings)
+const READINGS_PAGE_SIZE = 1000;
+const MAX_RECENT_READINGS = 10000;
+
+async function getRecentReadings(systemId, minutes, until = new Date()) {
+  const from = new Date(until.getTime() - minutes * 60 * 1000);
+  const readings = [];
+  for (let offset = 0; offset < MAX_RECENT_READINGS; offset += READINGS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('sensor_data')
+      .select('id, created_at, plant_name, ph, ec, water_temperature, pump1, pump2, pump3, pump4')
+      .eq('system_id', systemId)
+      .gte('created_at', from.toISOString())
+      .lte('created_at', until.toISOString())
+      .order('created_at', { ascending: false })
+      .range(offset, offset + READINGS_PAGE_SIZE - 1);
+    if (error) throw error;
+    readings.push(...data);
+    if (data.length < READINGS_PAGE_SIZE) break;
+  }
+  return readings.reverse();
+}
+
+// Time of the last alert each rule raised for a system within its cooldown, as a map of rule ID -> ms
+async function getRuleAlertTimes(rules, systemId, now) {
+  const longestCooldown = Math.max(...rules.map(rule => rule.cooldown_minutes || 0));
+  const { data, error } = await supabase
+    .from('alerts')
+    .select('rule_id, created_at')
+    .eq('system_id', systemId)
+    .in('rule_id', rules.map(rule => rule.id))
+    .gte('created_at', new Date(now - longestCooldown * 60 * 1000).toISOString());
+  if (error) throw error;
+
+  const times = new Map();
+  for (const alert of data) {
+    times.set(alert.rule_id, Math.max(times.get(alert.rule_id) || 0, new Date(alert.created_at).getTime()));
+  }
+  return times;
+}
+
+// Check a new reading against every enabled rule for its system
+// and send a Telegram alert for each rule that fires outside its cooldown
+async function evaluateAlertRules(row) {
+  try {
+    const system = await getSystem(row.system_id);
+    if (!system) {
+      return;
+    }
+
+    const { data: rules, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('enabled', true)
+      .or(`system_id.is.null,system_id.eq.${system.id}`);
+    if (error) throw error;
+    if (!rules || rules.length === 0) {
+      return;
+    }
+
+    const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+
+    // Fetch enough history for the rule with the longest lookback, plus a small margin
+    const lookbackMinutes = Math.max(...rules.map(ruleLookbackMinutes)) + 5;
+    const readings = await getRecentReadings(system.id, lookbackMinutes, new Date(row.created_at));
+    if (!readings.some(r => r.id === row.id)) {
+      readings.push(row);
+    }
+
+    const now = Date.now();
+    const lastTriggered = await getRuleAlertTimes(rules, system.id, now);
+    for (const rule of rules) {
+      const result = evaluateRule(rule, readings, plant);
+      if (!result.triggered) continue;
+
+      // Respect the rule's cooldown so a lasting problem does not spam alerts
+      // The cooldown is per system, so a global rule firing on one system does not silence it on the others
+      if (now - (lastTriggered.get(rule.id) || 0) < (rule.cooldown_minutes || 0) * 60 * 1000) continue;
+
+      // last_triggered_at is shown in the admin UI, across all systems
+      const { error: updateError } = await supabase
+        .from('alert_rules')
+        .update({ last_triggered_at: new Date(now).toISOString() })
+        .eq('id', rule.id);
+      if (updateError) {
+        console.error('⚠️ Failed to record alert rule trigger:', updateError);
       }
-      console.log('✅ /ec command processed for chat:', msg.chat.id);
-    } catch (error) {
-      console.error('❌ Error processing /ec command:', error);
-      try {
-        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
-      } catch (sendError) {
-        console.error('❌ Error sending error message:', sendError);
+
+      const { label, unit } = ALERT_METRICS[rule.metric];
+      let message = `${ALERT_SEVERITIES[rule.severity]} ${rule.severity.toUpperCase()}: ${rule.name}\n`;
+      message += `📋 ${describeRule(rule, plant)}\n`;
+      message += `🏭 System: ${system.name}\n`;
+      message += `📊 ${label}: ${result.value}${unit}\n`;
+      if (result.rate !== undefined) {
+        message += `📈 Rate: ${result.rate.toFixed(2)}${unit} per hour\n`;
       }
-    }
-  });
+      message += `🌱 Plant: ${plant?.name || 'Unknown Plant'}`;
 
-  bot.onText(/\/temp/, async (msg) => {
-    try {
-      const { data, error } = await supabase
-        .from('sensor_data')
-        .select('water_temperature')
-        .order('created_at', { ascending: false })
-        .limit(1);
-      if (error || !data || data.length === 0) {
-        await bot.sendMessage(msg.chat.id, "Could not fetch water temperature.");
-      } else {
-        await bot.sendMessage(msg.chat.id, `Current water temperature: ${data[0].water_temperature}°C`);
+      await raiseAlert({ type: 'rule', severity: rule.severity, message, system, plant, reading: row, rule });
+      console.log('✅ Alert rule triggered:', rule.name, row.id);
+    }
+  } catch (err) {
+    console.error('❌ Unexpected error during alert rule evaluation:', err);
+  }
+}
+
+// Pump Safety Interlocks
+// Every new reading is checked for dosing that should never happen:
+// - pumps that work against each other running together or back-to-back
+//   (nutrients and water, pH up and pH down)
+// - a pump switching on more often than PUMP_MAX_ACTIVATIONS_PER_HOUR (runaway dosing)
+// - a pump staying on for longer than PUMP_MAX_ON_SECONDS (stuck relay), or for longer than a manual
+//   run asked for (plus the result grace period) while one is in progress
+// A violation raises a critical 'safety' alert and locks the system out of dosing:
+// manual pump commands are refused and the controller is told to stop dosing
+// until an admin clears the lockout. Only one lockout per system is active at a time
+
+const CONFLICTING_PUMPS = [['pump1', 'pump2'], ['pump3', 'pump4']];
+const PUMP_CONFLICT_WINDOW_SECONDS = Number(process.env.PUMP_CONFLICT_WINDOW_SECONDS) || 60;
+const PUMP_MAX_ACTIVATIONS_PER_HOUR = Number(process.env.PUMP_MAX_ACTIVATIONS_PER_HOUR) || 10;
+const PUMP_MAX_ON_SECONDS = Number(process.env.PUMP_MAX_ON_SECONDS) || 120;
+
+// Find every safety violation as of the last reading in `readings` (oldest first, last hour of one system)
+// `maxOnSeconds` overrides PUMP_MAX_ON_SECONDS per pump, e.g. { pump1: 360 } during a manual run
+// Returns a list of human readable descriptions (empty if everything is fine)
+function findPumpViolations(readings, maxOnSeconds = {}) {
+  const violations = [];
+  const row = readings[readings.length - 1];
+  const previous = readings[readings.length - 2];
+  const rowTime = new Date(row.created_at).getTime();
+  const switchedOn = (pump) => row[pump] && !previous?.[pump];
+
+  for (const [a, b] of CONFLICTING_PUMPS) {
+    if (row[a] && row[b]) {
+      violations.push(`${PUMP_LABELS[a]} and ${PUMP_LABELS[b]} are on at the same time`);
+      continue;
+    }
+    // One pump switching on shortly after the opposite one was running
+    for (const [pump, other] of [[a, b], [b, a]]) {
+      if (!switchedOn(pump)) continue;
+      const otherRecentlyOn = readings.some(r =>
+        r[other] && rowTime - new Date(r.created_at).getTime() <= PUMP_CONFLICT_WINDOW_SECONDS * 1000);
+      if (otherRecentlyOn) {
+        violations.push(`${PUMP_LABELS[pump]} switched on within ${PUMP_CONFLICT_WINDOW_SECONDS}s of ${PUMP_LABELS[other]}`);
       }
-      console.log('✅ /temp command processed for chat:', msg.chat.id);
-    } catch (error) {
-      console.error('❌ Error processing /temp command:', error);
-      try {
-        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
-      } catch (sendError) {
-        console.error('❌ Error sending error message:', sendError);
+    }
+  }
+
+  for (const pump of Object.keys(PUMP_LABELS)) {
+    if (!row[pump]) continue;
+
+    // Only check the count when the pump has just switched on, so one runaway raises one violation
+    if (switchedOn(pump)) {
+      const activations = readings.filter((r, i) => i > 0 && r[pump] && !readings[i - 1][pump]).length;
+      if (activations > PUMP_MAX_ACTIVATIONS_PER_HOUR) {
+        violations.push(`${PUMP_LABELS[pump]} switched on ${activations} times in the last hour (max ${PUMP_MAX_ACTIVATIONS_PER_HOUR})`);
+      }
+    }
+
+    // Walk back to the start of the current run
+    let start = readings.length - 1;
+    while (start > 0 && readings[start - 1][pump]) start--;
+    const onSeconds = Math.round((rowTime - new Date(readings[start].created_at).getTime()) / 1000);
+    const maxSeconds = maxOnSeconds[pump] || PUMP_MAX_ON_SECONDS;
+    if (onSeconds > maxSeconds) {
+      violations.push(`${PUMP_LABELS[pump]} has been on for ${onSeconds}s (max ${maxSeconds}s)`);
+    }
+  }
+
+  return violations;
+}
+
+// Allowed on-time per pump for manual runs that may still be going at `time`
+// A run may last its duration plus the grace period the controller gets to report back
+async function getManualRunLimits(systemId, time) {
+  const since = new Date(time.getTime() - (MAX_PUMP_RUN_SECONDS + PUMP_COMMAND_RESULT_GRACE_SECONDS) * 1000);
+  const { data, error } = await supabase
+    .from('pump_commands')
+    .select('pump, duration_seconds')
+    .eq('system_id', systemId)
+    .in('status', ['sent', 'done'])
+    .gte('sent_at', since.toISOString());
+  if (error) throw error;
+
+  const limits = {};
+  for (const command of data) {
+    const seconds = Math.max(PUMP_MAX_ON_SECONDS, command.duration_seconds + PUMP_COMMAND_RESULT_GRACE_SECONDS);
+    limits[command.pump] = Math.max(limits[command.pump] || 0, seconds);
+  }
+  return limits;
+}
+
+// Get the active (not yet cleared) lockout of a system, or null
+async function getActiveLockout(systemId) {
+  const { data, error } = await supabase
+    .from('pump_lockouts')
+    .select('*')
+    .eq('system_id', systemId)
+    .is('cleared_at', null)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Check a new reading against the interlocks and lock the system out of dosing on a violation
+async function checkPumpSafety(row) {
+  try {
+    if (!Object.keys(PUMP_LABELS).some(pump => row[pump])) {
+      return;
+    }
+
+    const system = await getSystem(row.system_id);
+    if (!system) {
+      return;
+    }
+
+    const readings = await getRecentReadings(system.id, 60, new Date(row.created_at));
+    if (!readings.some(r => r.id === row.id)) {
+      readings.push(row);
+    }
+    const violations = findPumpViolations(readings, await getManualRunLimits(system.id, new Date(row.created_at)));
+    if (violations.length === 0) {
+      return;
+    }
+
+    // The partial unique index on pump_lockouts allows one active lockout per system,
+    // so a system that is already locked out does not raise the same alarm on every reading
+    const { data: lockout, error } = await supabase
+      .from('pump_lockouts')
+      .insert([{ system_id: system.id, reason: violations.join('; '), sensor_data_id: row.id }])
+      .select()
+      .single();
+    if (error?.code === '23505') {
+      console.warn(`⚠️ Safety violation on ${system.name} while already locked out:`, violations.join('; '));
+      return;
+    }
+    if (error) throw error;
+
+    const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+    let message = `🛑 CRITICAL: Pump safety interlock triggered\n🏭 System: ${system.name}\n`;
+    message += violations.map(violation => `⚠️ ${violation}`).join('\n');
+    message += '\n\n🔒 Dosing is locked out until an admin clears it.';
+    const alert = await raiseAlert({ type: 'safety', severity: 'critical', message, system, plant, reading: row });
+
+    if (alert) {
+      const { error: updateError } = await supabase
+        .from('pump_lockouts')
+        .update({ alert_id: alert.id })
+        .eq('id', lockout.id);
+      if (updateError) {
+        console.error('⚠️ Failed to link lockout to its alert:', updateError);
+      }
+    }
+
+    // Commands that have not reached the controller yet must not run
+    const { data: queued, error: queuedError } = await supabase
+      .from('pump_commands')
+      .select('id')
+      .eq('system_id', system.id)
+      .eq('status', 'queued');
+    if (queuedError) throw queuedError;
+    for (const command of queued) {
+      await updatePumpCommandStatus(command.id, ['queued'], 'failed', 'system', { detail: 'Dosing was locked out by the safety interlock' });
+    }
+
+    console.log(`🛑 Dosing locked out on ${system.name}:`, violations.join('; '));
+  } catch (err) {
+    console.error('❌ Unexpected error during pump safety check:', err);
+  }
+}
+
+// Dosing Log
+// Each time a pump switches on a dosing event is opened in dosing_events, and it is closed
+// when a reading shows the pump off again. Together with each pump's flow rate (pump_settings)
+// the on-durations give an estimate of how much nutrient, water and pH solution is used
+
+// Turn readings (oldest first, one system) into dosing events
+// A pump that is still on at the last reading gives an open event (ended_at null)
+function deriveDosingEvents(readings) {
+  const events = [];
+  const open = {};
+  readings.forEach((reading) => {
+    for (const pump of Object.keys(PUMP_LABELS)) {
+      if (reading[pump] && !open[pump]) {
+        open[pump] = { pump, started_at: reading.created_at, ended_at: null, duration_seconds: null, plant_name: reading.plant_name || null, sensor_data_id: reading.id };
+        events.push(open[pump]);
+      } else if (!reading[pump] && open[pump]) {
+        open[pump].ended_at = reading.created_at;
+        open[pump].duration_seconds = (new Date(reading.created_at) - new Date(open[pump].started_at)) / 1000;
+        delete open[pump];
       }
     }
   });
+  return events;
+}
 
-  bot.onText(/\/plant/, async (msg) => {
-    try {
-      const { data: plantProfiles, error } = await supabase
-        .from('plant_profiles')
-        .select('name, ph_min, ph_max, ec_min, ec_max');
-      if (error || !plantProfiles || plantProfiles.length === 0) {
-        await bot.sendMessage(msg.chat.id, "Could not fetch plant profiles.");
-        return;
+// Open and close dosing events for a new reading
+async function recordDosingEvents(row) {
+  try {
+    const system = await getSystem(row.system_id);
+    if (!system) {
+      return;
+    }
+
+    const { data: open, error } = await supabase
+      .from('dosing_events')
+      .select('id, pump, started_at')
+      .eq('system_id', system.id)
+      .is('ended_at', null);
+    if (error) throw error;
+
+    const started = [];
+    for (const pump of Object.keys(PUMP_LABELS)) {
+      const event = open.find(e => e.pump === pump);
+      if (row[pump] && !event) {
+        started.push({ system_id: system.id, pump, started_at: row.created_at, plant_name: row.plant_name || null, sensor_data_id: row.id });
+      } else if (!row[pump] && event && new Date(row.created_at) > new Date(event.started_at)) {
+        const { error: closeError } = await supabase
+          .from('dosing_events')
+          .update({ ended_at: row.created_at, duration_seconds: (new Date(row.created_at) - new Date(event.started_at)) / 1000 })
+          .eq('id', event.id);
+        if (closeError) throw closeError;
       }
-      let message = "Plant Profiles and Optimum Ranges:\n\n";
-      plantProfiles.forEach(plant => {
-        message += `🌱 ${plant.name}\n`;
-        message += `  pH: ${plant.ph_min} - ${plant.ph_max}\n`;
-        message += `  EC: ${plant.ec_min} - ${plant.ec_max}\n\n`;
-      });
-      await bot.sendMessage(msg.chat.id, message);
-      console.log('✅ /plant command processed for chat:', msg.chat.id);
-    } catch (error) {
-      console.error('❌ Error processing /plant command:', error);
-      try {
-        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
-      } catch (sendError) {
-        console.error('❌ Error sending error message:', sendError);
+    }
+
+    if (started.length > 0) {
+      const { error: insertError } = await supabase.from('dosing_events').insert(started);
+      if (insertError) throw insertError;
+    }
+  } catch (err) {
+    console.error('❌ Unexpected error while recording dosing events:', err);
+  }
+}
+
+// Probe Calibration
+// pH and EC probes drift, so each calibration against buffer solutions is stored in probe_calibrations
+// as a linear correction: corrected = slope × raw + offset, fitted through the buffer points
+// A reading is corrected with the calibration of its system and probe that was current when it was taken,
+// so older readings keep the correction they were measured under; readings before the first calibration stay raw
+// Probes that have not been calibrated for CALIBRATION_INTERVAL_DAYS get a reminder alert. Systems without
+// any calibration are left alone until an admin records the first one, so existing setups are not all flagged at once
+
+const CALIBRATION_PROBES = {
+  ph: { label: 'pH', minPoints: 2, min: 0, max: 14 },
+  ec: { label: 'EC', minPoints: 1, min: 0, max: Infinity },
+};
+const MAX_CALIBRATION_POINTS = 3;
+// A slope this far from 1 means a wrong buffer or a worn-out probe rather than drift
+const CALIBRATION_SLOPE_RANGE = { min: 0.5, max: 1.5 };
+const CALIBRATION_INTERVAL_DAYS = Number(process.env.CALIBRATION_INTERVAL_DAYS) || 30;
+const CALIBRATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Least-squares line through the points (measured -> reference)
+// A single EC point is a one-point calibration through zero
+function fitCalibration(points) {
+  if (points.length === 1) {
+    return { slope: points[0].reference / points[0].measured, offset: 0 };
+  }
+  const meanX = points.reduce((sum, p) => sum + p.measured, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.reference, 0) / points.length;
+  const sxy = points.reduce((sum, p) => sum + (p.measured - meanX) * (p.reference - meanY), 0);
+  const sxx = points.reduce((sum, p) => sum + (p.measured - meanX) ** 2, 0);
+  const slope = sxy / sxx;
+  return { slope, offset: meanY - slope * meanX };
+}
+
+// Validate a calibration payload from the wizard
+// Returns a list of error messages (empty if the calibration is valid)
+function validateCalibration({ probe, points }) {
+  const errors = [];
+  const config = CALIBRATION_PROBES[probe];
+  if (!config) {
+    return [`probe must be one of: ${Object.keys(CALIBRATION_PROBES).join(', ')}.`];
+  }
+  if (!Array.isArray(points) || points.length < config.minPoints || points.length > MAX_CALIBRATION_POINTS) {
+    return [`A ${config.label} calibration needs ${config.minPoints} to ${MAX_CALIBRATION_POINTS} points.`];
+  }
+
+  points.forEach((point, index) => {
+    for (const key of ['reference', 'measured']) {
+      const value = point?.[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < config.min || value > config.max) {
+        errors.push(`Point ${index + 1}: ${key} must be a ${config.label} value${config.max === Infinity ? ' of at least 0' : ` between ${config.min} and ${config.max}`}.`);
       }
     }
   });
+  if (errors.length > 0) return errors;
 
-  // General message handler for unknown commands
-  bot.on('message', async (msg) => {
-    // Only respond to text messages that aren't commands
-    if (msg.text && !msg.text.startsWith('/')) {
-      try {
-        const helpMessage = `🤖 Hydroponic Monitoring Bot Commands:
+  if (points.length === 1 && points[0].measured === 0) {
+    errors.push('The measured value must not be 0.');
+  }
+  if (new Set(points.map(p => p.reference)).size < points.length) {
+    errors.push('Each point needs a different buffer.');
+  } else if (points.length > 1 && new Set(points.map(p => p.measured)).size < 2) {
+    errors.push('The probe measured the same value in every buffer.');
+  }
+  if (errors.length > 0) return errors;
 
-/start - Welcome message
-/ph - Get current pH value
-/ec - Get current EC value
-/temp - Get current water temperature
-/plant - Show plant profiles and optimum ranges
+  const { slope } = fitCalibration(points);
+  if (slope < CALIBRATION_SLOPE_RANGE.min || slope > CALIBRATION_SLOPE_RANGE.max) {
+    errors.push(`The slope of ${slope.toFixed(2)} is outside ${CALIBRATION_SLOPE_RANGE.min} - ${CALIBRATION_SLOPE_RANGE.max}; check the buffers or replace the probe.`);
+  }
+  return errors;
+}
 
-Send any of these commands to get started!`;
-        
-        await bot.sendMessage(msg.chat.id, helpMessage);
-        console.log('✅ Help message sent for chat:', msg.chat.id);
-      } catch (error) {
-        console.error('❌ Error sending help message:', error);
+// All calibrations of a system, oldest first
+async function getCalibrations(systemId) {
+  const { data, error } = await supabase
+    .from('probe_calibrations')
+    .select('probe, slope, offset, created_at')
+    .eq('system_id', systemId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+// Apply the calibration that was current at each reading's time to its pH and EC
+// `calibrations` are one system's calibrations, oldest first; returns corrected copies
+function calibrateReadings(readings, calibrations) {
+  return readings.map((reading) => {
+    const corrected = { ...reading };
+    const takenAt = new Date(reading.created_at).getTime();
+    for (const probe of Object.keys(CALIBRATION_PROBES)) {
+      if (corrected[probe] == null) continue;
+      const calibration = calibrations.findLast(c => c.probe === probe && new Date(c.created_at).getTime() <= takenAt);
+      if (calibration) {
+        corrected[probe] = Math.round((calibration.slope * corrected[probe] + calibration.offset) * 100) / 100;
       }
     }
+    return corrected;
   });
+}
 
-  console.log('✅ Bot command handlers set up successfully');
-} else {
-  console.warn('⚠️ Bot not initialized, skipping command handlers');
+// Readings of a report period (/stats, /graph and digests) with pH and EC calibrated, oldest first
+// A period with more than MAX_RECENT_READINGS readings is read as 5-minute aggregates instead (see aggregate_readings),
+// so it is still covered in full: each bucket becomes one reading with the bucket's averages plus its
+// `<metric>_min`, `<metric>_max`, `<metric>_count` and `reading_count`. Pump states are not aggregated,
+// so the pump activations of such a period are counted from the dosing log
+const REPORT_BUCKET = '5m';
+
+async function getReportReadings(systemId, minutes, until = new Date()) {
+  const [readings, calibrations] = await Promise.all([
+    getRecentReadings(systemId, minutes, until),
+    getCalibrations(systemId),
+  ]);
+  if (readings.length < MAX_RECENT_READINGS) {
+    return { readings: calibrateReadings(readings, calibrations), pumpActivations: null, aggregated: false };
+  }
+
+  const from = new Date(until.getTime() - minutes * 60 * 1000);
+  const [buckets, pumpActivations] = await Promise.all([
+    getAggregateBuckets(systemId, from, until, REPORT_BUCKET),
+    countPumpActivations(systemId, from, until),
+  ]);
+  const calibrated = (stat) => calibrateReadings(buckets.map(row => ({
+    created_at: row.bucket,
+    ...Object.fromEntries(AGGREGATE_METRICS.map(metric => [metric, row[`${metric}_${stat}`]])),
+  })), calibrations);
+  const [averages, minimums, maximums] = ['avg', 'min', 'max'].map(calibrated);
+
+  const aggregated = buckets.map((row, index) => {
+    const reading = { created_at: row.bucket, reading_count: 0 };
+    for (const metric of AGGREGATE_METRICS) {
+      const count = Number(row[`${metric}_count`]);
+      reading[metric] = count === 0 ? null : averages[index][metric];
+      reading[`${metric}_min`] = minimums[index][metric];
+      reading[`${metric}_max`] = maximums[index][metric];
+      reading[`${metric}_count`] = count;
+      reading.reading_count = Math.max(reading.reading_count, count);
+    }
+    return reading;
+  });
+  return { readings: aggregated, pumpActivations, aggregated: true };
 }
 
-// Webhook endpoint for Telegram
-app.post('/webhook', (req, res) => {
-  console.log('📥 Webhook received:', JSON.stringify(req.body, null, 2)); 
-  
-  if (!bot) {
-    console.error('❌ Bot not initialized, cannot process webhook');
-    return res.sendStatus(500);
+// All buckets of aggregate_readings for a period, oldest first
+// Supabase returns at most 1000 rows per request, so longer periods are fetched page by page
+async function getAggregateBuckets(systemId, from, until, bucket) {
+  const buckets = [];
+  for (let offset = 0; ; offset += READINGS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('aggregate_readings', {
+        p_system_id: systemId,
+        p_from: from.toISOString(),
+        p_to: until.toISOString(),
+        p_bucket: bucket,
+      })
+      .range(offset, offset + READINGS_PAGE_SIZE - 1);
+    if (error) throw error;
+    buckets.push(...data);
+    if (data.length < READINGS_PAGE_SIZE) return buckets;
+  }
+}
+
+// Pump activations in a period from the dosing log, as a map of pump -> count
+async function countPumpActivations(systemId, from, until) {
+  const counts = await Promise.all(Object.keys(PUMP_LABELS).map(async (pump) => {
+    const { count, error } = await supabase
+      .from('dosing_events')
+      .select('id', { count: 'exact', head: true })
+      .eq('system_id', systemId)
+      .eq('pump', pump)
+      .gte('started_at', from.toISOString())
+      .lte('started_at', until.toISOString());
+    if (error) throw error;
+    return [pump, count];
+  }));
+  return Object.fromEntries(counts);
+}
+
+// When each probe of each system was last calibrated and whether it is overdue
+// A probe that was never calibrated is only overdue once another probe of its system has been
+async function getCalibrationStatus() {
+  const systems = await getSystems();
+  const { data, error } = await supabase
+    .from('probe_calibrations')
+    .select('system_id, probe, created_at')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  const now = Date.now();
+  return systems.flatMap(system => Object.keys(CALIBRATION_PROBES).map((probe) => {
+    const last = data.find(c => c.system_id === system.id && c.probe === probe);
+    const dueAt = last ? new Date(new Date(last.created_at).getTime() + CALIBRATION_INTERVAL_DAYS * 24 * 60 * 60 * 1000) : null;
+    return {
+      system_id: system.id,
+      system_name: system.name,
+      probe,
+      last_calibrated_at: last?.created_at || null,
+      due_at: dueAt?.toISOString() || null,
+      overdue: dueAt ? dueAt.getTime() < now : data.some(c => c.system_id === system.id),
+    };
+  }));
+}
+
+// Open and acknowledged calibration reminders of a system
+async function getOpenCalibrationAlerts(systemId) {
+  const { data, error } = await supabase
+    .from('alerts')
+    .select('id')
+    .eq('type', 'calibration')
+    .eq('system_id', systemId)
+    .in('status', ['open', 'acknowledged']);
+  if (error) throw error;
+  return data;
+}
+
+// Send one reminder per system listing its overdue probes
+// No new reminder is sent while the previous one is still unresolved
+async function checkCalibrationsDue() {
+  try {
+    const status = await getCalibrationStatus();
+    const systems = await getSystems();
+    for (const system of systems) {
+      const overdue = status.filter(s => s.system_id === system.id && s.overdue);
+      if (overdue.length === 0) continue;
+      if ((await getOpenCalibrationAlerts(system.id)).length > 0) continue;
+
+      let message = `🧪 Probe calibration due\n🏭 System: ${system.name}\n`;
+      message += overdue.map(s => {
+        const { label } = CALIBRATION_PROBES[s.probe];
+        if (!s.last_calibrated_at) return `${label} probe: never calibrated`;
+        const days = Math.floor((Date.now() - new Date(s.last_calibrated_at).getTime()) / (24 * 60 * 60 * 1000));
+        return `${label} probe: last calibrated ${days} days ago`;
+      }).join('\n');
+      message += `\n\nProbes should be calibrated every ${CALIBRATION_INTERVAL_DAYS} days.`;
+      await raiseAlert({ type: 'calibration', severity: 'info', message, system });
+      console.log('🧪 Calibration reminder sent for system:', system.name);
+    }
+  } catch (err) {
+    console.error('❌ Error checking probe calibrations:', err);
+  }
+}
+
+// Sensor Silence Watchdog
+// If a controller loses Wi-Fi the realtime subscription simply stops delivering,
+// so we periodically check the age of each system's newest sensor_data row
+// An alert is sent once when a system goes quiet, and a recovery message when data resumes
+
+const STALE_DATA_THRESHOLD_MINUTES = Number(process.env.STALE_DATA_THRESHOLD_MINUTES) || 5;
+const WATCHDOG_INTERVAL_MS = 30 * 1000;
+
+// Last known state per system for the health endpoint: systemId -> { name, lastReadingAt, stale }
+// Whether a system was already reported stale comes from its unresolved stale alerts instead,
+// so a restart neither repeats the alert nor forgets to report the recovery
+const watchdogState = new Map();
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} h ${minutes % 60} min`;
+}
+
+// Open and acknowledged stale data alerts of a system
+async function getOpenStaleAlerts(systemId) {
+  const { data, error } = await supabase
+    .from('alerts')
+    .select('id')
+    .eq('type', 'stale')
+    .eq('system_id', systemId)
+    .in('status', ['open', 'acknowledged']);
+  if (error) throw error;
+  return data;
+}
+
+// Update the watchdog state for a system and send a stale or recovery message if it changed
+async function updateWatchdogState(system, lastReadingAt) {
+  const age = lastReadingAt ? Date.now() - new Date(lastReadingAt).getTime() : null;
+  // Systems that have never reported are not treated as stale to avoid noise while setting up
+  const stale = age !== null && age > STALE_DATA_THRESHOLD_MINUTES * 60 * 1000;
+  watchdogState.set(system.id, { name: system.name, lastReadingAt, stale });
+
+  const staleAlerts = await getOpenStaleAlerts(system.id);
+  if (stale && staleAlerts.length === 0) {
+    await raiseAlert({
+      type: 'stale',
+      severity: 'critical',
+      message: `📡 No sensor data from ${system.name} for ${formatDuration(age)}!\nLast reading: ${new Date(lastReadingAt).toLocaleString()}\nCheck the controller's power and Wi-Fi.`,
+      system,
+    });
+    console.warn('⚠️ Sensor data is stale for system:', system.name);
+  } else if (!stale && staleAlerts.length > 0) {
+    // The silence is over, so the stale alert no longer needs attention
+    for (const alert of staleAlerts) {
+      await updateAlertStatus(alert.id, 'resolved', 'watchdog');
+    }
+
+    // The silence lasted from the reading before this one
+    const { data: before, error } = await supabase
+      .from('sensor_data')
+      .select('created_at')
+      .eq('system_id', system.id)
+      .lt('created_at', lastReadingAt)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    const silence = before.length > 0 ? new Date(lastReadingAt).getTime() - new Date(before[0].created_at).getTime() : null;
+
+    dispatchNotification({
+      type: 'stale',
+      severity: 'info',
+      systemId: system.id,
+      message: silence === null
+        ? `✅ Sensor data from ${system.name} has resumed.`
+        : `✅ Sensor data from ${system.name} has resumed after ${formatDuration(silence)} of silence.`,
+    }).catch(err => console.error('❌ Error dispatching recovery message:', err));
+    console.log('✅ Sensor data resumed for system:', system.name);
+  }
+}
+
+// Called for every new reading so recovery is reported immediately rather than on the next check
+async function noteReadingReceived(row) {
+  try {
+    const system = await getSystem(row.system_id);
+    if (system) {
+      await updateWatchdogState(system, row.created_at);
+    }
+  } catch (err) {
+    console.error('❌ Error updating sensor watchdog:', err);
+  }
+}
+
+// Check the newest reading of every system
+async function checkSensorSilence() {
+  try {
+    const systems = await getSystems();
+    for (const system of systems) {
+      const { data, error } = await supabase
+        .from('sensor_data')
+        .select('created_at')
+        .eq('system_id', system.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      await updateWatchdogState(system, data?.[0]?.created_at || null);
+    }
+  } catch (err) {
+    console.error('❌ Error checking for stale sensor data:', err);
+  }
+}
+
+// Summarise the watchdog state for the health endpoint
+function getSensorDataHealth() {
+  const systems = [...watchdogState.entries()].map(([id, state]) => ({
+    id,
+    name: state.name,
+    lastReadingAt: state.lastReadingAt,
+    ageSeconds: state.lastReadingAt ? Math.round((Date.now() - new Date(state.lastReadingAt).getTime()) / 1000) : null,
+    stale: state.stale,
+  }));
+  return {
+    status: systems.some(s => s.stale) ? 'stale' : 'ok',
+    thresholdMinutes: STALE_DATA_THRESHOLD_MINUTES,
+    systems,
+  };
+}
+
+// Supabase Realtime Subscription for sensor_data
+// This will listen for new sensor data and trigger alerts
+// instant alerts(miliseconds) when a pump is activated
+// This is more efficient than polling every 5 seconds
+// as it only sends alerts when there is a change in the sensor data
+if (supabase) {
+  supabase
+    .channel('sensor_data_changes')
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'sensor_data' },
+      (payload) => {
+        console.log('Realtime change received:', payload);
+        handleNewReading(payload.new);
+      }
+    )
+    .subscribe();
+  console.log('✅ Subscribed to sensor_data changes.');
+}
+
+// Get the grow system a Telegram chat is looking at
+// Chats choose a system with /system; otherwise the default system is used
+async function getChatSystem(chatId) {
+  const { data, error } = await supabase
+    .from('telegram_chats')
+    .select('system_id')
+    .eq('chat_id', chatId)
+    .maybeSingle();
+  if (error) {
+    console.warn('⚠️ Could not fetch chat system:', error);
+  }
+  return getSystem(data?.system_id);
+}
+
+// Telegram Account Links
+// A chat is linked to a web app account by sending /link <code>, where the one-time code
+// is generated from the user menu in the web app. Only linked chats may use the bot,
+// and what they can do depends on the linked account's role
+
+const LINK_CODE_TTL_MINUTES = 15;
+const NOT_LINKED_MESSAGE = "Sorry, this chat isn't linked to a Hydroponic Monitoring account yet. " +
+  "Open the web app, choose \"Link Telegram\" in the user menu and send /link <code> here.";
+const SENDER_NOT_LINKED_MESSAGE = "Sorry, you need to link your own account first. " +
+  "Open the web app, choose \"Link Telegram\" in the user menu and send /link <code> to me in a private chat.";
+
+// Short code that is easy to type on a phone, without look-alike characters
+function generateLinkCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return [...crypto.randomBytes(8)].map(byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// Telegram limits button callback data to 64 bytes, so UUIDs are packed into 22 base64url characters
+function packUuid(uuid) {
+  return Buffer.from(uuid.replace(/-/g, ''), 'hex').toString('base64url');
+}
+
+// Unpack a UUID packed by packUuid, or null if it is not one
+function unpackUuid(packed) {
+  const hex = Buffer.from(packed || '', 'base64url').toString('hex');
+  return hex.length === 32 ? hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5') : null;
+}
+
+// Get the profile a chat is linked to, or null
+async function getChatProfile(chatId) {
+  const { data, error } = await supabase
+    .from('telegram_chats')
+    .select('profile:profiles(id, email, role)')
+    .eq('chat_id', chatId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.profile || null;
+}
+
+// Get the profile of the person sending a message or pressing a button, with a refusal if there is none
+// Permissions follow the sender, not the chat: in a group linked by an admin, members only get the rights
+// of the account they linked in their own private chat with the bot (which has the same ID as the user)
+async function getSenderProfile(chat, from) {
+  const chatProfile = await getChatProfile(chat.id);
+  if (!chatProfile) {
+    return { profile: null, refusal: NOT_LINKED_MESSAGE };
+  }
+  const profile = chat.type === 'private' ? chatProfile : await getChatProfile(from?.id);
+  return { profile, refusal: profile ? null : SENDER_NOT_LINKED_MESSAGE };
+}
+
+// Make sure a chat and its sender are linked (to an admin if adminOnly) before running a command
+// Sends a polite refusal and returns null otherwise
+async function requireLinkedChat(msg, { adminOnly = false } = {}) {
+  const { profile, refusal } = await getSenderProfile(msg.chat, msg.from);
+  if (!profile) {
+    await bot.sendMessage(msg.chat.id, refusal);
+    return null;
+  }
+  if (adminOnly && profile.role !== 'admin') {
+    await bot.sendMessage(msg.chat.id, "Sorry, only admins can use this command.");
+    return null;
+  }
+  return profile;
+}
+
+// Telegram Subscribers
+// Linked chats can /subscribe to alerts and narrow them down with /settings:
+// which alert types, which systems and quiet hours (in the chat's timezone)
+// Critical alerts are still delivered during quiet hours
+// Subscribed chats whose account link was removed no longer receive alerts
+// The TELEGRAM_CHAT_ID chat, if set, keeps receiving every alert
+
+const ALERT_TYPES = ['pump', 'rule', 'stale', 'safety', 'calibration'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Current time of day in minutes, in the given IANA timezone (server time if not set)
+function minutesOfDay(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timezone || undefined,
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return get('hour') * 60 + get('minute');
+}
+
+// Current date ("YYYY-MM-DD") and weekday (0 = Sunday) in the given IANA timezone
+function localDay(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short', timeZone: timezone || undefined,
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase()),
+  };
+}
+
+// Parse "HH:MM" into minutes of the day, or null if invalid
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Quiet hours may wrap past midnight, e.g. 22:00-07:00
+function isQuietTime(subscriber, date = new Date()) {
+  const start = parseTimeOfDay(subscriber.quiet_hours_start);
+  const end = parseTimeOfDay(subscriber.quiet_hours_end);
+  if (start === null || end === null || start === end) return false;
+  const now = minutesOfDay(subscriber.timezone, date);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Whether a subscriber wants an alert of this type, severity and system
+// Empty alert_types or system_ids mean "all"
+function wantsAlert(subscriber, { type, severity, systemId }) {
+  if (subscriber.alert_types?.length && !subscriber.alert_types.includes(type)) return false;
+  if (subscriber.system_ids?.length && systemId && !subscriber.system_ids.includes(systemId)) return false;
+  if (severity !== 'critical' && isQuietTime(subscriber)) return false;
+  return true;
+}
+
+async function getSubscriber(chatId) {
+  const { data, error } = await supabase
+    .from('telegram_subscribers')
+    .select('*')
+    .eq('chat_id', chatId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Map of linked chat ID -> role of the linked account
+async function getLinkedChatRoles() {
+  const { data, error } = await supabase
+    .from('telegram_chats')
+    .select('chat_id, profile:profiles(role)')
+    .not('profile_id', 'is', null);
+  if (error) {
+    console.error('❌ Failed to fetch linked Telegram chats:', error);
+  }
+  return new Map((data || [])
+    .filter(chat => chat.profile)
+    .map(chat => [String(chat.chat_id), chat.profile.role]));
+}
+
+// Telegram notifier: sends to every linked chat that wants this alert
+// If the stored alert row is given, each chat gets the buttons its account's role allows
+// Chats that blocked the bot or removed it from the group are unsubscribed instead of retried
+const telegramNotifier = {
+  type: 'telegram',
+  async deliver(notification) {
+    if (!bot) return;
+
+    const [{ data: subscribers, error }, roles] = await Promise.all([
+      supabase.from('telegram_subscribers').select('*'),
+      getLinkedChatRoles(),
+    ]);
+    if (error) {
+      console.error('❌ Failed to fetch Telegram subscribers:', error);
+    }
+
+    // chat ID -> role of the linked account (null for an unlinked TELEGRAM_CHAT_ID chat)
+    const recipients = new Map();
+    if (TELEGRAM_CHAT_ID) {
+      recipients.set(String(TELEGRAM_CHAT_ID), roles.get(String(TELEGRAM_CHAT_ID)) || null);
+    }
+    (subscribers || [])
+      .filter(subscriber => roles.has(String(subscriber.chat_id)) && wantsAlert(subscriber, notification))
+      .forEach(subscriber => recipients.set(String(subscriber.chat_id), roles.get(String(subscriber.chat_id))));
+
+    await Promise.all([...recipients].map(async ([chatId, role]) => {
+      const options = notification.alert ? { reply_markup: alertKeyboard(notification.alert, role) } : {};
+      const err = await sendWithRetry(
+        notification,
+        { type: 'telegram', target: chatId },
+        () => bot.sendMessage(chatId, notification.message, options),
+        (sendError) => !isChatBlocked(sendError)
+      );
+      if (err && isChatBlocked(err)) {
+        console.warn('⚠️ Bot was blocked or removed, unsubscribing chat:', chatId);
+        await supabase.from('telegram_subscribers').delete().eq('chat_id', chatId);
+      }
+    }));
+  },
+};
+
+// Telegram answers 403 once a user blocks the bot or removes it from a group
+function isChatBlocked(err) {
+  return err.response?.body?.error_code === 403;
+}
+
+// Describe a subscriber's preferences for /settings
+function describeSubscriber(subscriber, systems) {
+  const types = subscriber.alert_types?.length ? subscriber.alert_types.join(', ') : 'all';
+  const systemNames = subscriber.system_ids?.length
+    ? systems.filter(s => subscriber.system_ids.includes(s.id)).map(s => s.name).join(', ') || 'none'
+    : 'all';
+  const quiet = subscriber.quiet_hours_start && subscriber.quiet_hours_end
+    ? `${subscriber.quiet_hours_start}-${subscriber.quiet_hours_end}`
+    : 'off';
+  const digest = subscriber.digest_frequency === 'off'
+    ? 'off'
+    : `${subscriber.digest_frequency}${subscriber.digest_frequency === 'weekly' ? ` on ${WEEKDAYS[subscriber.digest_weekday]}` : ''} at ${subscriber.digest_time}`;
+  return `Alert types: ${types}\nSystems: ${systemNames}\nQuiet hours: ${quiet}\nDigest: ${digest}\nTimezone: ${subscriber.timezone || 'server time'}`;
+}
+
+// Notifiers
+// Every alert is handed to dispatchNotification, which fans it out to Telegram, browser push and each enabled
+// notification channel (email or webhook) whose filters match. A notifier has a `type` and a
+// `deliver(notification, channel)` method; a notification looks like
+// { type, severity, systemId, message, alert } where `alert` is the stored alert row, if any
+// Failed sends are retried with a growing delay and every outcome is written to alert_deliveries
+
+const NOTIFY_MAX_ATTEMPTS = 3;
+const NOTIFY_RETRY_DELAY_MS = 2000;  // doubled after every failed attempt
+const WEBHOOK_TIMEOUT_MS = 10000;
+const NOTIFICATION_CHANNEL_TYPES = ['email', 'webhook'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `send` until it succeeds, fails for good or runs out of attempts, then log the delivery
+// Returns the last error, or null if the message was delivered
+async function sendWithRetry(notification, { type, channelId = null, target }, send, shouldRetry = () => true) {
+  let attempts = 0;
+  let lastError = null;
+  while (attempts < NOTIFY_MAX_ATTEMPTS) {
+    attempts++;
+    try {
+      await send();
+      lastError = null;
+      break;
+    } catch (err) {
+      lastError = err;
+      if (!shouldRetry(err) || attempts >= NOTIFY_MAX_ATTEMPTS) break;
+      await sleep(NOTIFY_RETRY_DELAY_MS * 2 ** (attempts - 1));
+    }
+  }
+
+  const { error } = await supabase
+    .from('alert_deliveries')
+    .insert([{
+      alert_id: notification.alert?.id || null,
+      channel_type: type,
+      channel_id: channelId,
+      target: String(target),
+      status: lastError ? 'failed' : 'sent',
+      attempts,
+      error: lastError ? lastError.message : null,
+    }]);
+  if (error) {
+    console.error('❌ Failed to log alert delivery:', error);
+  }
+  if (lastError) {
+    console.error(`❌ Failed to deliver ${type} notification to ${target} after ${attempts} attempt(s):`, lastError.message);
+  }
+  return lastError;
+}
+
+// SMTP transport for email channels, created on first use
+// Point SMTP_HOST/SMTP_PORT at a local catcher such as Mailpit (localhost:1025) to test without a real server
+let mailTransport = null;
+function getMailTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP is not configured (SMTP_HOST is missing).');
+  }
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return mailTransport;
+}
+
+const emailNotifier = {
+  type: 'email',
+  async deliver(notification, channel) {
+    const subject = `[Hydroponic ${notification.severity}] ${notification.message.split('\n').find(line => line.trim()) || notification.type}`;
+    return sendWithRetry(
+      notification,
+      { type: 'email', channelId: channel.id, target: channel.config.to },
+      () => getMailTransport().sendMail({
+        from: process.env.SMTP_FROM || 'hydroponic-monitor@localhost',
+        to: channel.config.to,
+        subject,
+        text: notification.message,
+      }),
+      (err) => !/not configured/.test(err.message)
+    );
+  },
+};
+
+// Webhook payloads are signed with the channel's secret so receivers can verify them:
+// X-Hydroponic-Signature = "sha256=" + HMAC-SHA256(secret, timestamp + "." + body)
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const webhookNotifier = {
+  type: 'webhook',
+  async deliver(notification, channel) {
+    const body = JSON.stringify({
+      event: notification.alert ? 'alert' : 'notice',
+      type: notification.type,
+      severity: notification.severity,
+      system_id: notification.systemId,
+      message: notification.message,
+      alert: notification.alert || null,
+      sent_at: new Date().toISOString(),
+    });
+    return sendWithRetry(
+      notification,
+      { type: 'webhook', channelId: channel.id, target: channel.config.url },
+      async () => {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const response = await fetch(channel.config.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Hydroponic-Timestamp': timestamp,
+            'X-Hydroponic-Signature': signWebhookPayload(channel.config.secret, timestamp, body),
+          },
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          throw new Error(`Webhook responded with ${response.status}`);
+        }
+      }
+    );
+  },
+};
+
+// Web Push notifier: sends a browser notification to every push subscription
+// VAPID keys come from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY (generate them with `npx web-push generate-vapid-keys`)
+// Subscriptions the push service reports as gone (404/410) are removed instead of retried
+const pushEnabled = !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+if (pushEnabled) {
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:hydroponic-monitor@localhost',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+} else {
+  console.warn('⚠️ VAPID keys not configured, browser push notifications are disabled');
+}
+
+// Like Telegram subscribers, each subscription can be narrowed down to alert types and systems,
+// and only subscriptions of accounts that still have a role receive alerts
+const webPushNotifier = {
+  type: 'web_push',
+  async deliver(notification) {
+    if (!pushEnabled) return;
+
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select('id, endpoint, p256dh, auth, alert_types, system_ids, profile:profiles(email, role)');
+    if (error) {
+      console.error('❌ Failed to fetch push subscriptions:', error);
+      return;
+    }
+    const subscriptions = data.filter(subscription => subscription.profile?.role && wantsAlert(subscription, notification));
+
+    const [title, ...body] = notification.message.split('\n').filter(line => line.trim());
+    const payload = JSON.stringify({
+      title: title || 'Hydroponic Monitoring',
+      body: body.join('\n'),
+      severity: notification.severity,
+      alertId: notification.alert?.id || null,
+      url: '/alerts',
+    });
+    const isGone = (err) => err.statusCode === 404 || err.statusCode === 410;
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+      const err = await sendWithRetry(
+        notification,
+        { type: 'web_push', target: subscription.profile?.email || subscription.id },
+        () => webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+          payload,
+          { urgency: notification.severity === 'critical' ? 'high' : 'normal' }
+        ),
+        (sendError) => !isGone(sendError)
+      );
+      if (err && isGone(err)) {
+        console.warn('⚠️ Push subscription expired, removing:', subscription.id);
+        await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+      }
+    }));
+  },
+};
+
+const CHANNEL_NOTIFIERS = { email: emailNotifier, webhook: webhookNotifier };
+
+// Channels use the same filters as Telegram subscribers; empty lists mean "all"
+function channelWantsAlert(channel, { type, severity, systemId }) {
+  if (channel.alert_types?.length && !channel.alert_types.includes(type)) return false;
+  if (channel.severities?.length && !channel.severities.includes(severity)) return false;
+  if (channel.system_ids?.length && systemId && !channel.system_ids.includes(systemId)) return false;
+  return true;
+}
+
+// Fan a notification out to Telegram, browser push and every matching channel
+// Channels are delivered in parallel; one failing channel does not hold up the others
+async function dispatchNotification(notification) {
+  const deliveries = [telegramNotifier.deliver(notification), webPushNotifier.deliver(notification)];
+  const { data: channels, error } = await supabase
+    .from('notification_channels')
+    .select('*')
+    .eq('enabled', true);
+  if (error) {
+    console.error('❌ Failed to fetch notification channels:', error);
+  }
+  (channels || [])
+    .filter(channel => CHANNEL_NOTIFIERS[channel.type] && channelWantsAlert(channel, notification))
+    .forEach(channel => deliveries.push(CHANNEL_NOTIFIERS[channel.type].deliver(notification, channel)));
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('❌ Notifier error:', result.reason));
+}
+
+// Scheduled Digests
+// Subscribed chats get a daily (last 24h) or weekly (last 7 days) summary at their local send time,
+// so slow drifts are noticed even when no alert fires. Checked once a minute; a digest that was
+// missed while the server was down is sent as soon as it is back up on the same day
+
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+let digestCheckRunning = false;
+
+// Telegram rejects messages longer than this many characters
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Split a long message into parts Telegram accepts, breaking between lines
+// (a single line longer than the limit is cut into pieces)
+function splitMessage(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+  const parts = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    for (let start = 0; start === 0 || start < line.length; start += limit) {
+      const piece = line.slice(start, start + limit);
+      const joined = current ? `${current}\n${piece}` : piece;
+      if (joined.length > limit) {
+        parts.push(current);
+        current = piece;
+      } else {
+        current = joined;
+      }
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+// Whether a subscriber's digest is due now and has not been sent today
+function isDigestDue(subscriber, now = new Date()) {
+  if (subscriber.digest_frequency === 'off') return false;
+  const sendAt = parseTimeOfDay(subscriber.digest_time);
+  if (sendAt === null || minutesOfDay(subscriber.timezone, now) < sendAt) return false;
+
+  const today = localDay(subscriber.timezone, now);
+  if (subscriber.digest_frequency === 'weekly' && today.weekday !== subscriber.digest_weekday) return false;
+  return !subscriber.last_digest_at || localDay(subscriber.timezone, new Date(subscriber.last_digest_at)).date !== today.date;
+}
+
+// Build the digest message for one system
+async function buildSystemDigest(system, minutes, until) {
+  const { readings, pumpActivations, aggregated } = await getReportReadings(system.id, minutes, until);
+  const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+  let message = `🏭 ${system.name}\n🌱 Plant: ${plant?.name || 'None selected'}\n`;
+  if (readings.length === 0) {
+    return message + '📡 No readings in this period!\n';
+  }
+
+  const summary = summarizeReadings(readings, plant, until, pumpActivations);
+  message += `📈 Readings: ${summary.count}${aggregated ? ' (summarised from 5-minute averages)' : ''}\n`;
+  for (const [metric, { label, unit }] of Object.entries(ALERT_METRICS)) {
+    const stats = summary.metrics[metric];
+    if (!stats) continue;
+    message += `${label}: avg ${stats.avg.toFixed(2)}${unit} (${stats.min.toFixed(2)} - ${stats.max.toFixed(2)})`;
+    if (stats.inRangePercent !== null) {
+      message += `, ${stats.inRangePercent.toFixed(0)}% in range`;
+      if (stats.outOfRangeEpisodes > 0) {
+        message += `\n  ⚠️ ${stats.outOfRangeEpisodes} out-of-range episode${stats.outOfRangeEpisodes === 1 ? '' : 's'}, longest ${formatDuration(stats.longestEpisodeMs)}`;
+      }
+    }
+    message += '\n';
+  }
+
+  const activations = Object.entries(PUMP_LABELS)
+    .filter(([pump]) => summary.pumpActivations[pump] > 0)
+    .map(([pump, label]) => `${label}: ${summary.pumpActivations[pump]}`);
+  message += `🚰 Pump activations: ${activations.length > 0 ? '\n' + activations.join('\n') : 'none'}\n`;
+
+  if (summary.gaps.length > 0) {
+    const total = summary.gaps.reduce((sum, gap) => sum + (gap.to - gap.from), 0);
+    message += `📡 Data gaps: ${summary.gaps.length} (${formatDuration(total)} in total)\n`;
+  } else {
+    message += '📡 Data gaps: none\n';
+  }
+  return message;
+}
+
+async function sendDigest(subscriber, systems) {
+  const weekly = subscriber.digest_frequency === 'weekly';
+  const minutes = weekly ? REPORT_PERIODS['7d'] : REPORT_PERIODS['24h'];
+  const until = new Date();
+  const chosen = subscriber.system_ids?.length
+    ? systems.filter(s => subscriber.system_ids.includes(s.id))
+    : systems;
+
+  const sections = [];
+  for (const system of chosen) {
+    sections.push(await buildSystemDigest(system, minutes, until));
+  }
+  const title = weekly ? '🗓️ Weekly digest - last 7 days' : '☀️ Daily digest - last 24 hours';
+  // With many systems a digest can outgrow a single Telegram message
+  for (const part of splitMessage(`${title}\n\n${sections.join('\n')}`.trim())) {
+    await bot.sendMessage(subscriber.chat_id, part);
+  }
+
+  const { error } = await supabase
+    .from('telegram_subscribers')
+    .update({ last_digest_at: until.toISOString() })
+    .eq('chat_id', subscriber.chat_id);
+  if (error) throw error;
+}
+
+// Send every digest that is due to linked, subscribed chats
+async function sendDueDigests() {
+  if (!bot || digestCheckRunning) return;
+  digestCheckRunning = true;
+  try {
+    const { data: subscribers, error } = await supabase
+      .from('telegram_subscribers')
+      .select('*')
+      .neq('digest_frequency', 'off');
+    if (error) throw error;
+
+    const due = (subscribers || []).filter(subscriber => isDigestDue(subscriber));
+    if (due.length === 0) return;
+    const [roles, systems] = await Promise.all([getLinkedChatRoles(), getSystems()]);
+
+    for (const subscriber of due.filter(s => roles.has(String(s.chat_id)))) {
+      try {
+        await sendDigest(subscriber, systems);
+        console.log('✅ Digest sent to chat:', subscriber.chat_id);
+      } catch (err) {
+        if (isChatBlocked(err)) {
+          // Otherwise the digest would be retried every minute
+          console.warn('⚠️ Bot was blocked or removed, unsubscribing chat:', subscriber.chat_id);
+          await supabase.from('telegram_subscribers').delete().eq('chat_id', subscriber.chat_id);
+        } else {
+          console.error(`❌ Failed to send digest to chat ${subscriber.chat_id}:`, err.message);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error sending digests:', err);
+  } finally {
+    digestCheckRunning = false;
+  }
+}
+
+// Telegram Bot Commands
+if (bot) {
+  bot.onText(/\/start/, async (msg) => {
+    try {
+      await bot.sendMessage(msg.chat.id, "Welcome to Hydroponic Monitoring Bot! This bot can show you the current values of Electrical Conductivity (EC), pH Level, Water Temperature and will send you alerts when any of the pump is activated. Oh, and it can also show you the optimised level for all plant profiles. Link this chat to your account with /link <code> from the web app, then send /subscribe to receive alerts here.");
+      console.log('✅ /start command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /start command:', error);
+    }
+  });
+
+  bot.onText(/\/ph/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+      const { data, error } = await supabase
+        .from('sensor_data')
+        .select('created_at, ph')
+        .eq('system_id', system.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error || !data || data.length === 0) {
+        await bot.sendMessage(msg.chat.id, "Could not fetch pH value.");
+      } else {
+        const [reading] = calibrateReadings(data, await getCalibrations(system.id));
+        await bot.sendMessage(msg.chat.id, `Current pH value (${system.name}): ${reading.ph}`);
+      }
+      console.log('✅ /ph command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /ph command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/\/ec/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+      const { data, error } = await supabase
+        .from('sensor_data')
+        .select('created_at, ec')
+        .eq('system_id', system.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error || !data || data.length === 0) {
+        await bot.sendMessage(msg.chat.id, "Could not fetch EC value.");
+      } else {
+        const [reading] = calibrateReadings(data, await getCalibrations(system.id));
+        await bot.sendMessage(msg.chat.id, `Current EC value (${system.name}): ${reading.ec}`);
+      }
+      console.log('✅ /ec command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /ec command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/\/temp/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+      const { data, error } = await supabase
+        .from('sensor_data')
+        .select('water_temperature')
+        .eq('system_id', system.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error || !data || data.length === 0) {
+        await bot.sendMessage(msg.chat.id, "Could not fetch water temperature.");
+      } else {
+        await bot.sendMessage(msg.chat.id, `Current water temperature (${system.name}): ${data[0].water_temperature}°C`);
+      }
+      console.log('✅ /temp command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /temp command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /status - latest readings of this chat's system checked against the selected plant
+  bot.onText(/^\/status(?:@\w+)?$/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+      const { data, error } = await supabase
+        .from('sensor_data')
+        .select('created_at, ph, ec, water_temperature, pump1, pump2, pump3, pump4')
+        .eq('system_id', system.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      if (error || !data || data.length === 0) {
+        await bot.sendMessage(msg.chat.id, `No sensor data for ${system.name} yet.`);
+        return;
+      }
+      const [reading] = calibrateReadings(data, await getCalibrations(system.id));
+      const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+
+      let message = `🏭 System: ${system.name}\n🌱 Plant: ${plant?.name || 'None selected'}\n\n`;
+      for (const [metric, { label, unit }] of Object.entries(ALERT_METRICS)) {
+        const value = reading[metric];
+        const range = getMetricRange(plant, metric);
+        const verdict = value == null || !range ? '❔' : isInRange(value, range) ? '✅' : '⚠️';
+        message += `${verdict} ${label}: ${value ?? '-'}${unit}`;
+        message += range ? ` (optimal ${range.min} - ${range.max})\n` : '\n';
+      }
+
+      const age = Date.now() - new Date(reading.created_at).getTime();
+      const stale = age > STALE_DATA_THRESHOLD_MINUTES * 60 * 1000;
+      message += `\n${stale ? '📡' : '🕒'} Last reading: ${formatDuration(age)} ago${stale ? ' (no recent data!)' : ''}\n`;
+
+      const pumpsOn = Object.keys(PUMP_LABELS).filter(pump => reading[pump]).map(pump => PUMP_LABELS[pump]);
+      message += `🚰 Pumps on: ${pumpsOn.length > 0 ? pumpsOn.join(', ') : 'none'}`;
+
+      await bot.sendMessage(msg.chat.id, message);
+      console.log('✅ /status command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /status command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /stats [1h|24h|7d] - min/max/average, time in range and pump activations for a period
+  bot.onText(/^\/stats(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const period = match[1]?.toLowerCase() || '24h';
+      if (!REPORT_PERIODS[period]) {
+        await bot.sendMessage(msg.chat.id, `Unknown period "${match[1]}". Use /stats 1h, /stats 24h or /stats 7d.`);
+        return;
+      }
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+
+      const until = new Date();
+      const { readings, pumpActivations, aggregated } = await getReportReadings(system.id, REPORT_PERIODS[period], until);
+      if (readings.length === 0) {
+        await bot.sendMessage(msg.chat.id, `No sensor data for ${system.name} in the last ${period}.`);
+        return;
+      }
+      const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+      const summary = summarizeReadings(readings, plant, until, pumpActivations);
+
+      let message = `📊 ${system.name} - last ${period}\n🌱 Plant: ${plant?.name || 'None selected'}\n📈 Readings: ${summary.count}`;
+      message += aggregated ? ' (summarised from 5-minute averages)\n\n' : '\n\n';
+      for (const [metric, { label, unit }] of Object.entries(ALERT_METRICS)) {
+        const stats = summary.metrics[metric];
+        if (!stats) {
+          message += `${label}: no data\n\n`;
+          continue;
+        }
+        message += `${label}: min ${stats.min.toFixed(2)}${unit}, max ${stats.max.toFixed(2)}${unit}, avg ${stats.avg.toFixed(2)}${unit}\n`;
+        if (stats.inRangePercent !== null) {
+          const verdict = stats.inRangePercent >= 90 ? '✅' : '⚠️';
+          message += `${verdict} In range ${stats.inRangePercent.toFixed(0)}% of the time (${stats.range.min} - ${stats.range.max})\n`;
+        }
+        message += '\n';
+      }
+
+      message += '🚰 Pump activations:\n';
+      for (const [pump, label] of Object.entries(PUMP_LABELS)) {
+        message += `${label}: ${summary.pumpActivations[pump]}\n`;
+      }
+
+      await bot.sendMessage(msg.chat.id, message.trim());
+      console.log('✅ /stats command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /stats command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /graph <metric> [period] - line chart of a metric with the plant's range shaded
+  const GRAPH_METRICS = { ph: 'ph', ec: 'ec', temp: 'water_temperature', temperature: 'water_temperature' };
+
+  bot.onText(/^\/graph(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const metric = GRAPH_METRICS[match[1]?.toLowerCase()];
+      const period = match[2]?.toLowerCase() || '24h';
+      if (!metric || !REPORT_PERIODS[period]) {
+        await bot.sendMessage(msg.chat.id, "Usage: /graph <ph|ec|temp> [1h|24h|7d], e.g. /graph ph 24h");
+        return;
+      }
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+
+      const until = new Date();
+      const from = new Date(until.getTime() - REPORT_PERIODS[period] * 60 * 1000);
+      const { readings, aggregated } = await getReportReadings(system.id, REPORT_PERIODS[period], until);
+      if (!readings.some(r => r[metric] != null)) {
+        await bot.sendMessage(msg.chat.id, `No sensor data for ${system.name} in the last ${period}.`);
+        return;
+      }
+      const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+      const range = getMetricRange(plant, metric);
+      const { label } = ALERT_METRICS[metric];
+
+      const svg = renderChartSvg({ title: `${label} - ${system.name} - last ${period}`, readings, metric, range, from, until });
+      const caption = `📈 ${label}, last ${period}${aggregated ? ' (5-minute averages)' : ''}\n🌱 Plant: ${plant?.name || 'None selected'}` +
+        (range ? `\nShaded: optimal ${range.min} - ${range.max}` : '');
+      await bot.sendPhoto(msg.chat.id, renderChartPng(svg), { caption }, { filename: 'graph.png', contentType: 'image/png' });
+      console.log('✅ /graph command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /graph command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/^\/system(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const systems = await getSystems();
+      if (systems.length === 0) {
+        await bot.sendMessage(msg.chat.id, "No grow systems are configured yet.");
+        return;
+      }
+
+      const choice = match[1]?.trim();
+      if (!choice) {
+        // List systems and mark the one this chat is using
+        const current = await getChatSystem(msg.chat.id);
+        let message = "Grow Systems:\n\n";
+        systems.forEach((system, index) => {
+          message += `${index + 1}. ${system.name}${system.id === current?.id ? ' ✅' : ''}\n`;
+        });
+        message += "\nSend /system <number or name> to switch.";
+        await bot.sendMessage(msg.chat.id, message);
+      } else {
+        // Choose a system by its list number or name
+        const index = parseInt(choice, 10);
+        const system = String(index) === choice
+          ? systems[index - 1]
+          : systems.find(s => s.name.toLowerCase() === choice.toLowerCase());
+        if (!system) {
+          await bot.sendMessage(msg.chat.id, `Unknown system "${choice}". Send /system to see the list.`);
+          return;
+        }
+
+        const { error } = await supabase
+          .from('telegram_chats')
+          .upsert({ chat_id: msg.chat.id, system_id: system.id, updated_at: new Date().toISOString() }, { onConflict: 'chat_id' });
+        if (error) throw error;
+        await bot.sendMessage(msg.chat.id, `✅ This chat now shows data for ${system.name}.`);
+      }
+      console.log('✅ /system command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /system command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/^\/subscribe(?:@\w+)?$/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const chatName = msg.chat.title || (msg.chat.username ? '@' + msg.chat.username : msg.chat.first_name);
+      const existing = await getSubscriber(msg.chat.id);
+      if (existing) {
+        await bot.sendMessage(msg.chat.id, "This chat is already subscribed to alerts. Send /settings to change what you receive.");
+        return;
+      }
+      // The first digest goes out at the next send time rather than right away
+      const { error } = await supabase
+        .from('telegram_subscribers')
+        .insert([{ chat_id: msg.chat.id, chat_name: chatName, last_digest_at: new Date().toISOString() }]);
+      if (error) throw error;
+      await bot.sendMessage(msg.chat.id, "🔔 This chat is now subscribed to all alerts. Send /settings to choose alert types, systems and quiet hours, or /unsubscribe to stop.");
+      console.log('✅ Chat subscribed to alerts:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /subscribe command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/^\/unsubscribe(?:@\w+)?$/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const { data, error } = await supabase
+        .from('telegram_subscribers')
+        .delete()
+        .eq('chat_id', msg.chat.id)
+        .select();
+      if (error) throw error;
+      await bot.sendMessage(msg.chat.id, data.length > 0
+        ? "🔕 This chat will no longer receive alerts. Send /subscribe to start again."
+        : "This chat is not subscribed to alerts.");
+      console.log('✅ /unsubscribe command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /unsubscribe command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /settings                       - show this chat's alert preferences
+  // /settings types pump,rule|all   - alert types to receive
+  // /settings systems 1,2|all       - systems to receive alerts for (numbers or names from /system)
+  // /settings quiet 22:00-07:00|off - quiet hours, only critical alerts are sent
+  // /settings digest daily 08:00 | weekly mon 08:00 | off
+  // /settings timezone Europe/Berlin
+  bot.onText(/^\/settings(?:@\w+)?(?:\s+(\w+)(?:\s+(.+))?)?$/, async (msg, match) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const subscriber = await getSubscriber(msg.chat.id);
+      if (!subscriber) {
+        await bot.sendMessage(msg.chat.id, "This chat is not subscribed to alerts. Send /subscribe first.");
+        return;
+      }
+      const systems = await getSystems();
+      const setting = match[1]?.toLowerCase();
+      const value = match[2]?.trim();
+
+      if (!setting) {
+        await bot.sendMessage(
+          msg.chat.id,
+          `🔔 Alert settings for this chat:\n\n${describeSubscriber(subscriber, systems)}\n\n` +
+          "Change them with:\n/settings types pump,rule,stale,safety,calibration or all\n/settings systems 1,2 or all\n" +
+          "/settings quiet 22:00-07:00 or off\n/settings digest daily 08:00, weekly mon 08:00 or off\n" +
+          "/settings timezone Europe/Berlin"
+        );
+        return;
+      }
+      if (!value) {
+        await bot.sendMessage(msg.chat.id, `Please give a value, e.g. /settings ${setting} all`);
+        return;
+      }
+
+      const update = {};
+      const list = value.toLowerCase() === 'all' ? [] : value.split(',').map(v => v.trim()).filter(Boolean);
+      if (setting === 'types') {
+        const unknown = list.filter(type => !ALERT_TYPES.includes(type));
+        if (unknown.length > 0) {
+          await bot.sendMessage(msg.chat.id, `Unknown alert type: ${unknown.join(', ')}. Choose from ${ALERT_TYPES.join(', ')}.`);
+          return;
+        }
+        update.alert_types = list;
+      } else if (setting === 'systems') {
+        const chosen = list.map(choice => {
+          const index = parseInt(choice, 10);
+          return String(index) === choice
+            ? systems[index - 1]
+            : systems.find(s => s.name.toLowerCase() === choice.toLowerCase());
+        });
+        if (chosen.some(system => !system)) {
+          await bot.sendMessage(msg.chat.id, "Unknown system. Send /system to see the list.");
+          return;
+        }
+        update.system_ids = chosen.map(system => system.id);
+      } else if (setting === 'quiet') {
+        if (value.toLowerCase() === 'off') {
+          Object.assign(update, { quiet_hours_start: null, quiet_hours_end: null });
+        } else {
+          const [start, end] = value.split('-').map(v => v.trim());
+          if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+            await bot.sendMessage(msg.chat.id, "Quiet hours must look like 22:00-07:00.");
+            return;
+          }
+          Object.assign(update, { quiet_hours_start: start, quiet_hours_end: end });
+        }
+      } else if (setting === 'digest') {
+        // digest daily 08:00 | digest weekly mon 08:00 | digest off
+        const [frequency, ...rest] = value.toLowerCase().split(/\s+/);
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+          await bot.sendMessage(msg.chat.id, "Digest must be daily, weekly or off, e.g. /settings digest daily 08:00");
+          return;
+        }
+        update.digest_frequency = frequency;
+        if (frequency === 'weekly') {
+          const weekday = WEEKDAYS.indexOf((rest.shift() || '').slice(0, 3));
+          if (weekday === -1) {
+            await bot.sendMessage(msg.chat.id, "Please give a weekday, e.g. /settings digest weekly mon 08:00");
+            return;
+          }
+          update.digest_weekday = weekday;
+        }
+        if (frequency !== 'off' && rest[0]) {
+          if (parseTimeOfDay(rest[0]) === null) {
+            await bot.sendMessage(msg.chat.id, "The send time must look like 08:00.");
+            return;
+          }
+          update.digest_time = rest[0];
+        }
+      } else if (setting === 'timezone') {
+        if (!isValidTimezone(value)) {
+          await bot.sendMessage(msg.chat.id, `Unknown timezone "${value}". Use a name like Europe/Berlin.`);
+          return;
+        }
+        update.timezone = value;
+      } else {
+        await bot.sendMessage(msg.chat.id, `Unknown setting "${setting}". Send /settings to see the options.`);
+        return;
+      }
+
+      const { data, error } = await supabase
+        .from('telegram_subscribers')
+        .update(update)
+        .eq('chat_id', msg.chat.id)
+        .select()
+        .single();
+      if (error) throw error;
+      await bot.sendMessage(msg.chat.id, `✅ Settings updated.\n\n${describeSubscriber(data, systems)}`);
+      console.log('✅ /settings command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /settings command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /link <code> - bind this chat to the web app account that generated the code
+  bot.onText(/^\/link(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    try {
+      const code = match[1]?.toUpperCase();
+      if (!code) {
+        await bot.sendMessage(msg.chat.id, "Please send the code from the web app, e.g. /link ABCD2345");
+        return;
+      }
+
+      // Codes are single use, so remove it whether or not it has expired
+      const { data: codes, error } = await supabase
+        .from('telegram_link_codes')
+        .delete()
+        .eq('code', code)
+        .select('profile_id, expires_at');
+      if (error) throw error;
+      const linkCode = codes[0];
+      if (!linkCode || new Date(linkCode.expires_at) < new Date()) {
+        await bot.sendMessage(msg.chat.id, "That code is invalid or has expired. Please generate a new one in the web app.");
+        return;
+      }
+
+      const chatName = msg.chat.title || (msg.chat.username ? '@' + msg.chat.username : msg.chat.first_name);
+      const { error: linkError } = await supabase
+        .from('telegram_chats')
+        .upsert({
+          chat_id: msg.chat.id,
+          chat_name: chatName,
+          profile_id: linkCode.profile_id,
+          linked_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'chat_id' });
+      if (linkError) throw linkError;
+
+      const profile = await getChatProfile(msg.chat.id);
+      await bot.sendMessage(msg.chat.id, `✅ This chat is now linked to ${profile.email} (${profile.role}). Send /subscribe to receive alerts here.`);
+      console.log('✅ Chat linked to profile:', msg.chat.id, profile.email);
+    } catch (error) {
+      console.error('❌ Error processing /link command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /unlink - remove the account link; the chat also stops receiving alerts
+  bot.onText(/^\/unlink(?:@\w+)?$/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const { error } = await supabase
+        .from('telegram_chats')
+        .update({ profile_id: null, linked_at: null, updated_at: new Date().toISOString() })
+        .eq('chat_id', msg.chat.id);
+      if (error) throw error;
+      await supabase.from('telegram_subscribers').delete().eq('chat_id', msg.chat.id);
+      await bot.sendMessage(msg.chat.id, "This chat is no longer linked to your account and will not receive alerts.");
+      console.log('✅ /unlink command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /unlink command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  bot.onText(/\/plant/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg)) return;
+      const { data: plantProfiles, error } = await supabase
+        .from('plant_profiles')
+        .select('name, ph_min, ph_max, ec_min, ec_max');
+      if (error || !plantProfiles || plantProfiles.length === 0) {
+        await bot.sendMessage(msg.chat.id, "Could not fetch plant profiles.");
+        return;
+      }
+      let message = "Plant Profiles and Optimum Ranges:\n\n";
+      plantProfiles.forEach(plant => {
+        message += `🌱 ${plant.name}\n`;
+        message += `  pH: ${plant.ph_min} - ${plant.ph_max}\n`;
+        message += `  EC: ${plant.ec_min} - ${plant.ec_max}\n\n`;
+      });
+      await bot.sendMessage(msg.chat.id, message);
+      console.log('✅ /plant command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /plant command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // /select - change the plant grown in this chat's system (linked admins only)
+  // Lists the Multiplant profile and all plant profiles as inline buttons, like the web app's Select Plant page
+  bot.onText(/^\/select(?:@\w+)?$/, async (msg) => {
+    try {
+      if (!await requireLinkedChat(msg, { adminOnly: true })) return;
+      const system = await getChatSystem(msg.chat.id);
+      if (!system) {
+        await bot.sendMessage(msg.chat.id, "No grow system is configured yet.");
+        return;
+      }
+      const plants = await getPlantOptions();
+      if (plants.length === 0) {
+        await bot.sendMessage(msg.chat.id, "Could not fetch plant profiles.");
+        return;
+      }
+
+      // Two buttons per row, the current plant marked with a tick
+      const buttons = plants.map(plant => ({
+        text: `${plant.id === system.selected_plant_id ? '✅ ' : ''}${plant.name}`,
+        callback_data: `plant:select:${packUuid(system.id)}:${packUuid(plant.id)}`,
+      }));
+      const inline_keyboard = [];
+      for (let i = 0; i < buttons.length; i += 2) {
+        inline_keyboard.push(buttons.slice(i, i + 2));
+      }
+      await bot.sendMessage(msg.chat.id, `🌱 Choose the plant for ${system.name}:`, { reply_markup: { inline_keyboard } });
+      console.log('✅ /select command processed for chat:', msg.chat.id);
+    } catch (error) {
+      console.error('❌ Error processing /select command:', error);
+      try {
+        await bot.sendMessage(msg.chat.id, "Sorry, there was an error processing your request.");
+      } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+      }
+    }
+  });
+
+  // Inline button handler for /select
+  // Buttons carry callback data like "plant:select:<system id>:<plant id>" (packed UUIDs), so a tap changes
+  // the system the menu was shown for, even if the chat has switched systems since
+  bot.on('callback_query', async (query) => {
+    const [scope, action, packedSystemId, packedPlantId] = (query.data || '').split(':');
+    if (scope !== 'plant' || action !== 'select') {
+      return;
+    }
+    try {
+      const { profile } = await getSenderProfile(query.message.chat, query.from);
+      if (profile?.role !== 'admin') {
+        await bot.answerCallbackQuery(query.id, { text: 'Sorry, only linked admins can change the plant.', show_alert: true });
+        return;
+      }
+      const systemId = unpackUuid(packedSystemId);
+      const plantId = unpackUuid(packedPlantId);
+      if (!systemId || !plantId) {
+        await bot.answerCallbackQuery(query.id, { text: 'This menu is out of date. Send /select again.' });
+        return;
+      }
+      const system = await getSystem(systemId);
+      const plant = (await getPlantOptions()).find(p => p.id === plantId);
+      if (!system || !plant) {
+        await bot.answerCallbackQuery(query.id, { text: 'This plant or system no longer exists.' });
+        return;
+      }
+
+      const { error } = await supabase
+        .from('systems')
+        .update({ selected_plant_id: plant.id })
+        .eq('id', system.id);
+      if (error) throw error;
+
+      await bot.editMessageText(
+        `✅ ${system.name} is now growing ${plant.name}\n\nOptimum ranges:\n  pH: ${plant.ph_min} - ${plant.ph_max}\n  EC: ${plant.ec_min} - ${plant.ec_max}`,
+        { chat_id: query.message.chat.id, message_id: query.message.message_id }
+      );
+      await bot.answerCallbackQuery(query.id, { text: `Selected ${plant.name}.` });
+      console.log(`✅ Plant for ${system.name} changed to ${plant.name} from Telegram by ${profile.email}`);
+    } catch (error) {
+      console.error('❌ Error processing plant selection:', error);
+      try {
+        await bot.answerCallbackQuery(query.id, { text: 'Sorry, there was an error processing your request.' });
+      } catch (sendError) {
+        console.error('❌ Error answering callback query:', sendError);
+      }
+    }
+  });
+
+  // Inline button handler for alert messages
+  // Buttons carry callback data like "alert:acknowledge:<id>" or "alert:resolve:<id>"
+  bot.on('callback_query', async (query) => {
+    const [scope, action, alertId] = (query.data || '').split(':');
+    if (scope !== 'alert') {
+      return;
+    }
+    try {
+      const { profile, refusal } = await getSenderProfile(query.message.chat, query.from);
+      if (!profile) {
+        await bot.answerCallbackQuery(query.id, { text: refusal, show_alert: true });
+        return;
+      }
+      const status = action === 'resolve' ? 'resolved' : 'acknowledged';
+      if (status === 'resolved' && profile.role !== 'admin') {
+        await bot.answerCallbackQuery(query.id, { text: 'Only admins can resolve alerts.' });
+        return;
+      }
+      const by = `telegram:${profile.email}`;
+      const alert = await updateAlertStatus(alertId, status, by);
+
+      if (!alert) {
+        await bot.answerCallbackQuery(query.id, { text: 'This alert was already handled.' });
+        return;
+      }
+
+      // Update the buttons on the original message to reflect the new status
+      await bot.editMessageReplyMarkup(alertKeyboard(alert, profile.role), {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+      });
+      await bot.answerCallbackQuery(query.id, { text: `Alert ${status}.` });
+      console.log(`✅ Alert ${alertId} ${status} from Telegram by ${by}`);
+    } catch (error) {
+      console.error('❌ Error processing alert button:', error);
+      try {
+        await bot.answerCallbackQuery(query.id, { text: 'Sorry, there was an error processing your request.' });
+      } catch (sendError) {
+        console.error('❌ Error answering callback query:', sendError);
+      }
+    }
+  });
+
+  // General message handler for unknown commands
+  bot.on('message', async (msg) => {
+    // Only respond to text messages that aren't commands
+    if (msg.text && !msg.text.startsWith('/')) {
+      try {
+        const helpMessage = `🤖 Hydroponic Monitoring Bot Commands:
+
+/start - Welcome message
+/status - Latest readings, plant ranges and pumps in one message
+/stats [1h|24h|7d] - Min/max/average, time in range and pump activations
+/graph <ph|ec|temp> [1h|24h|7d] - Chart with the plant's range shaded
+/ph - Get current pH value
+/ec - Get current EC value
+/temp - Get current water temperature
+/plant - Show plant profiles and optimum ranges
+/select - Change the plant of this chat's system (admins)
+/system - List grow systems or switch the one this chat shows
+/link <code> - Link this chat to your web app account
+/unlink - Remove the link to your account
+/subscribe - Receive alerts in this chat
+/unsubscribe - Stop receiving alerts in this chat
+/settings - Choose alert types, systems and quiet hours
+
+Send any of these commands to get started!`;
+        
+        await bot.sendMessage(msg.chat.id, helpMessage);
+        console.log('✅ Help message sent for chat:', msg.chat.id);
+      } catch (error) {
+        console.error('❌ Error sending help message:', error);
+      }
+    }
+  });
+
+  console.log('✅ Bot command handlers set up successfully');
+} else {
+  console.warn('⚠️ Bot not initialized, skipping command handlers');
+}
+
+// Webhook endpoint for Telegram
+app.post('/webhook', (req, res) => {
+  console.log('📥 Webhook received:', JSON.stringify(req.body, null, 2)); 
+  
+  if (!bot) {
+    console.error('❌ Bot not initialized, cannot process webhook');
+    return res.sendStatus(500);
+  }
+  
+  try { 
+    bot.processUpdate(req.body); // Process the incoming update and trigger any relevant handlers
+    console.log('✅ Update processed successfully'); // Log successful processing
+    res.sendStatus(200); 
+  } catch (error) {
+    console.error('❌ Error processing update:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Function to set webhook
+// This function sets the webhook URL for the Telegram bot
+// It first deletes any existing webhook, then sets the new one
+// This is useful for ensuring the bot always has the correct webhook URL
+async function setWebhook() {
+  if (!bot) {
+    console.error('❌ Bot not initialized, cannot set webhook');
+    return;
+  }
+  
+  try {
+    // First, delete any existing webhook
+    await bot.deleteWebHook();
+    console.log('✅ Existing webhook deleted');
+    
+    const webhookUrl = `https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend/webhook`;
+    await bot.setWebHook(webhookUrl);
+    console.log('✅ Webhook set successfully:', webhookUrl);
+  } catch (error) {
+    console.error('❌ Failed to set webhook:', error);
+  }
+}
+
+// User CRUD Operations
+// Create user
+app.post('/api/users', requireAdmin, async (req, res) => {
+  console.log('Creating user:', req.body);
+  const { email, password, role } = req.body;
+  try {
+    // Create auth user
+    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+      email,
+      password,
+    });
+    if (authError) {
+      console.error('Auth error:', authError);
+      throw authError;
+    }
+
+    // Create profile
+    const { error: profileError } = await supabase
+      .from('profiles')
+      .insert([{
+        id: authData.user.id,
+        email,
+        role,
+      }]);
+    if (profileError) {
+      console.error('Profile error:', profileError);
+      throw profileError;
+    }
+
+    console.log('User created successfully:', authData.user.id);
+    res.json({ user: authData.user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(400).json({ 
+      error: error.message,
+      details: error.details || 'Unknown error occurred'
+    });
+  }
+});
+
+// Get all users
+app.get('/api/users', requireAdmin, async (req, res) => { // Fetch all users from profiles table
+  console.log('Fetching all users');
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+    
+    console.log(`Successfully fetched ${data.length} users`);
+    res.json(data);
+  } catch (error) {
+    console.error('Error in GET /api/users:', error);
+    res.status(400).json({ 
+      error: error.message,
+      details: error.details || 'Unknown error occurred'
+    });
+  }
+});
+
+// Update user
+app.put('/api/users/:id', requireAdmin, async (req, res) => { // Update user by ID
+  const { id } = req.params;
+  const { email, password, role } = req.body;
+  console.log(`Updating user ${id}:`, req.body);
+  
+  try {
+    // Update auth user
+    const updateData = { email };
+    if (password) updateData.password = password;
+    
+    const { data: authData, error: authError } = await supabase.auth.admin.updateUserById(id, updateData);
+    if (authError) {
+      console.error('Auth update error:', authError);
+      throw authError;
+    }
+
+    // Update profile
+    const { error: profileError } = await supabase  
+      .from('profiles')
+      .update({ email, role })
+      .eq('id', id);
+    if (profileError) {
+      console.error('Profile update error:', profileError);
+      throw profileError;
+    }
+
+    console.log('User updated successfully:', id);
+    res.json({ user: authData.user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(400).json({ 
+      error: error.message,
+      details: error.details || 'Unknown error occurred'
+    });
+  }
+});
+
+// Delete user
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {  // Delete user by ID
+  const { id } = req.params;
+  console.log(`Deleting user ${id}`);
+  
+  try {
+    // Delete from auth
+    const { error: authError } = await supabase.auth.admin.deleteUser(id);
+    if (authError) {
+      console.error('Auth delete error:', authError);
+      throw authError;
+    }
+
+    // Delete from profiles
+    const { error: profileError } = await supabase  
+      .from('profiles')
+      .delete()
+      .eq('id', id);
+    if (profileError) {
+      console.error('Profile delete error:', profileError);
+      throw profileError;
+    }
+
+    console.log('User deleted successfully:', id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(400).json({ 
+      error: error.message,
+      details: error.details || 'Unknown error occurred'
+    });
+  }
+});
+
+// Plant CRUD Operations
+// Create plant
+app.post('/api/plants', requireAdmin, async (req, res) => {  // Create new plant profile
+  try {
+    const { error } = await supabase
+      .from('plant_profiles')
+      .insert([req.body]);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get all plants (including multiplant)
+app.get('/api/plants', async (req, res) => {
+  try {
+    // Get regular plants
+    const { data: plants, error: plantsError } = await supabase
+      .from('plant_profiles')
+      .select('*');
+    
+    if (plantsError) throw plantsError;
+
+    // Get multiplant profile
+    const { data: multiplant, error: multiplantError } = await supabase
+      .from('multiplant_profile')
+      .select('*');
+
+    if (multiplantError) throw multiplantError;
+
+    // Combine both sets of data
+    const allPlants = [...(plants || []), ...(multiplant || [])];
+    res.json(allPlants);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update plant
+app.put('/api/plants/:id', requireAdmin, async (req, res) => {  // Update plant profile by ID
+  const { id } = req.params;
+  try {
+    // Try updating in plant_profiles first
+    let { error: plantError } = await supabase
+      .from('plant_profiles')
+      .update(req.body)
+      .eq('id', id);
+
+    if (plantError) {
+      // If not found in plant_profiles, try multiplant_profile
+      const { error: multiplantError } = await supabase
+        .from('multiplant_profile')
+        .update(req.body)
+        .eq('id', id);
+
+      if (multiplantError) throw multiplantError;
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete plant
+app.delete('/api/plants/:id', requireAdmin, async (req, res) => {  // Delete plant profile by ID
+  const { id } = req.params;
+  try {
+    const { error } = await supabase
+      .from('plant_profiles')
+      .delete()
+      .eq('id', id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Grow System CRUD Operations
+// Each system (tower, NFT channel, reservoir) has its own selected plant,
+// sensor stream and pumps; sensor_data rows and devices reference a system
+
+// Get all systems
+app.get('/api/systems', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('systems')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create system
+app.post('/api/systems', requireAdmin, async (req, res) => {
+  const { name, description, selected_plant_id } = req.body;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'System name is required.' });
+  }
+  try {
+    const { data, error } = await supabase
+      .from('systems')
+      .insert([{ name, description: description || null, selected_plant_id: selected_plant_id || null }])
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ system: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update system
+app.put('/api/systems/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { name, description } = req.body;
+  try {
+    const { data, error } = await supabase
+      .from('systems')
+      .update({ name, description })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ system: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete system
+// Fails if sensor data or devices still reference the system
+app.delete('/api/systems/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { error } = await supabase
+      .from('systems')
+      .delete()
+      .eq('id', id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Alert Rule CRUD Operations
+// Rules are evaluated by the alert rule engine on every new reading
+
+// Get all alert rules
+app.get('/api/alert-rules', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create alert rule
+app.post('/api/alert-rules', requireAdmin, async (req, res) => {
+  const rule = alertRuleFields(req.body);
+  const errors = validateAlertRule(rule);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  try {
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .insert([rule])
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ rule: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update alert rule (also used to enable/disable)
+// Only the fields in the body change, so e.g. { "enabled": false } keeps the rule's cooldown
+app.put('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found.' });
+    }
+
+    const rule = alertRuleFields({ ...existing, ...req.body });
+    const errors = validateAlertRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(' ') });
+    }
+
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .update(rule)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ rule: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete alert rule
+app.delete('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { error } = await supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Test an alert rule against recent data
+// Replays the system's readings from the last `hours` (default 24) through the rule,
+// honouring its cooldown, and returns when it would have fired
+// The rule does not need to be saved, so the admin UI can test a draft
+app.post('/api/alert-rules/test', requireAdmin, async (req, res) => {
+  try {
+    const rule = alertRuleFields(req.body?.rule || {});
+    const errors = validateAlertRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(' ') });
+    }
+    const hours = Math.min(Math.max(Number(req.body.hours) || 24, 1), 24 * 7);
+
+    const system = await getSystem(req.body.system_id || rule.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'No grow system to test against.' });
+    }
+    const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+
+    const lookbackMs = ruleLookbackMinutes(rule) * 60 * 1000;
+    const readings = await getRecentReadings(system.id, hours * 60 + ruleLookbackMinutes(rule));
+    const testFrom = Date.now() - hours * 60 * 60 * 1000;
+
+    const triggers = [];
+    let lastTriggered = 0;
+    let windowStart = 0;
+    readings.forEach((reading, index) => {
+      const time = new Date(reading.created_at).getTime();
+      // Only keep the readings the rule can see from this point in time
+      while (time - new Date(readings[windowStart].created_at).getTime() > lookbackMs + 5 * 60 * 1000) {
+        windowStart++;
+      }
+      if (time < testFrom) return;
+
+      const result = evaluateRule(rule, readings.slice(windowStart, index + 1), plant);
+      if (result.triggered && time - lastTriggered >= rule.cooldown_minutes * 60 * 1000) {
+        lastTriggered = time;
+        triggers.push({ created_at: reading.created_at, value: result.value, rate: result.rate });
+      }
+    });
+
+    res.json({
+      description: describeRule(rule, plant),
+      system: system.name,
+      plant: plant?.name || null,
+      readingsChecked: readings.filter(r => new Date(r.created_at).getTime() >= testFrom).length,
+      // With more than MAX_RECENT_READINGS readings only the most recent part of the period is tested
+      checkedFrom: readings.length >= MAX_RECENT_READINGS ? readings[0].created_at : new Date(testFrom).toISOString(),
+      triggers,
+    });
+  } catch (error) {
+    console.error('Error testing alert rule:', error);
+    res.status(500).json({ error: 'Failed to test alert rule.', details: error.message });
+  }
+});
+
+// Alert History Operations
+
+// Get alerts, newest first
+// Optional filters: status, severity, type, system_id, from, to (ISO dates), limit, offset
+app.get('/api/alerts', async (req, res) => {
+  const { status, severity, type, system_id, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  try {
+    let query = supabase
+      .from('alerts')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.in('status', status.split(','));
+    if (severity) query = query.in('severity', severity.split(','));
+    if (type) query = query.in('type', type.split(','));
+    if (system_id) query = query.eq('system_id', system_id);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    res.json({ alerts: data, total: count });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Acknowledge or resolve an alert from the web app
+// Any user can acknowledge, only admins can resolve
+app.post('/api/alerts/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+  const status = { acknowledge: 'acknowledged', resolve: 'resolved' }[action];
+  if (!status) {
+    return res.status(404).json({ error: `Unknown alert action: ${action}` });
+  }
+  if (status === 'resolved' && req.profile.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required.' });
+  }
+
+  try {
+    const alert = await updateAlertStatus(id, status, req.profile.email);
+    if (!alert) {
+      return res.status(409).json({ error: 'Alert not found or already handled.' });
+    }
+    res.json({ alert });
+  } catch (error) {
+    console.error(`Error updating alert ${id}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Telegram Link Operations
+
+// Generate a one-time code for linking a Telegram chat to the signed-in user
+// Any earlier unused codes of the user stop working
+app.post('/api/telegram/link-code', async (req, res) => {
+  try {
+    const { error: deleteError } = await supabase
+      .from('telegram_link_codes')
+      .delete()
+      .eq('profile_id', req.profile.id);
+    if (deleteError) throw deleteError;
+
+    const code = generateLinkCode();
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MINUTES * 60 * 1000).toISOString();
+    const { error } = await supabase
+      .from('telegram_link_codes')
+      .insert([{ code, profile_id: req.profile.id, expires_at: expiresAt }]);
+    if (error) throw error;
+    res.json({ code, expiresAt });
+  } catch (error) {
+    console.error('Error generating Telegram link code:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List the Telegram chats linked to the signed-in user
+app.get('/api/telegram/links', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('telegram_chats')
+      .select('chat_id, chat_name, linked_at')
+      .eq('profile_id', req.profile.id)
+      .order('linked_at', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching Telegram links:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Unlink one of the signed-in user's chats; it also stops receiving alerts
+app.delete('/api/telegram/links/:chatId', async (req, res) => {
+  const { chatId } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('telegram_chats')
+      .update({ profile_id: null, linked_at: null, updated_at: new Date().toISOString() })
+      .eq('chat_id', chatId)
+      .eq('profile_id', req.profile.id)
+      .select();
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Linked chat not found.' });
+    }
+    await supabase.from('telegram_subscribers').delete().eq('chat_id', chatId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error unlinking Telegram chat ${chatId}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Telegram Subscriber Operations
+
+// List the chats subscribed to alerts (admin only)
+app.get('/api/telegram-subscribers', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('telegram_subscribers')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching Telegram subscribers:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a chat from the alert subscribers (admin only)
+// The chat is told so that it does not silently stop receiving alerts
+app.delete('/api/telegram-subscribers/:chatId', requireAdmin, async (req, res) => {
+  const { chatId } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('telegram_subscribers')
+      .delete()
+      .eq('chat_id', chatId)
+      .select();
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Subscriber not found.' });
+    }
+
+    if (bot) {
+      try {
+        await bot.sendMessage(chatId, "🔕 An administrator removed this chat from the alert subscribers.");
+      } catch (sendError) {
+        console.warn('⚠️ Could not notify removed chat:', sendError.message);
+      }
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error removing Telegram subscriber ${chatId}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Web Push Operations
+// Browsers subscribe through the service worker and store the subscription here, one per browser
+
+// Public VAPID key the browser needs to subscribe
+app.get('/api/push/vapid-public-key', (req, res) => {
+  if (!pushEnabled) {
+    return res.status(503).json({ error: 'Push notifications are not configured on the server.' });
+  }
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// Check the alert_types and system_ids of a push subscription; empty lists mean "all"
+function validatePushPreferences({ alert_types, system_ids }) {
+  const errors = [];
+  if (alert_types !== undefined && (!Array.isArray(alert_types) || alert_types.some(type => !ALERT_TYPES.includes(type)))) {
+    errors.push(`alert_types must only contain: ${ALERT_TYPES.join(', ')}.`);
+  }
+  if (system_ids !== undefined && (!Array.isArray(system_ids) || system_ids.some(id => typeof id !== 'string'))) {
+    errors.push('system_ids must be a list of system IDs.');
+  }
+  return errors;
+}
+
+// Get the signed-in user's push subscriptions with their alert preferences
+app.get('/api/push/subscriptions', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select('endpoint, alert_types, system_ids, user_agent, created_at')
+      .eq('profile_id', req.profile.id);
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching push subscriptions:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Store a browser's push subscription for the signed-in user
+// Subscribing again from the same browser replaces the earlier subscription
+// but keeps its preferences unless alert_types or system_ids are sent
+app.post('/api/push/subscriptions', async (req, res) => {
+  const { endpoint, keys, alert_types, system_ids } = req.body || {};
+  if (!endpoint || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ error: 'endpoint, keys.p256dh and keys.auth are required.' });
+  }
+  const errors = validatePushPreferences({ alert_types, system_ids });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  try {
+    const subscription = {
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      profile_id: req.profile.id,
+      user_agent: req.headers['user-agent'] || null,
+    };
+    if (alert_types) subscription.alert_types = alert_types;
+    if (system_ids) subscription.system_ids = system_ids;
+
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .upsert(subscription, { onConflict: 'endpoint' });
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change which alerts a browser's push subscription receives
+app.put('/api/push/subscriptions', async (req, res) => {
+  const { endpoint, alert_types, system_ids } = req.body || {};
+  if (!endpoint) {
+    return res.status(400).json({ error: 'endpoint is required.' });
+  }
+  const errors = validatePushPreferences({ alert_types, system_ids });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  try {
+    const update = {};
+    if (alert_types) update.alert_types = alert_types;
+    if (system_ids) update.system_ids = system_ids;
+
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .update(update)
+      .eq('endpoint', endpoint)
+      .eq('profile_id', req.profile.id)
+      .select('endpoint, alert_types, system_ids')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Push subscription not found.' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating push subscription:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a browser's push subscription
+app.delete('/api/push/subscriptions', async (req, res) => {
+  const { endpoint } = req.body || {};
+  if (!endpoint) {
+    return res.status(400).json({ error: 'endpoint is required.' });
+  }
+  try {
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('endpoint', endpoint)
+      .eq('profile_id', req.profile.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Notification Channel Operations
+// Email and webhook channels that alerts are fanned out to, alongside Telegram (admin only)
+
+function notificationChannelFields(body) {
+  return {
+    name: body.name,
+    type: body.type,
+    config: body.type === 'email' ? { to: body.config?.to } : { url: body.config?.url },
+    alert_types: body.alert_types || [],
+    severities: body.severities || [],
+    system_ids: body.system_ids || [],
+    enabled: body.enabled !== false,
+  };
+}
+
+// Whether a URL hostname is a loopback, private, link-local or otherwise internal address or name
+// Only the hostname as written is checked, not what a public name resolves to
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+];
+
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+
+  const ipv4ToNumber = (ip) => ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+  const isPrivateIpv4 = (ip) => PRIVATE_IPV4_RANGES.some(([base, bits]) => (
+    Math.floor(ipv4ToNumber(ip) / 2 ** (32 - bits)) === Math.floor(ipv4ToNumber(base) / 2 ** (32 - bits))
+  ));
+
+  if (net.isIPv4(host)) return isPrivateIpv4(host);
+  if (net.isIPv6(host)) {
+    // IPv4-mapped addresses, e.g. ::ffff:127.0.0.1 (which URL normalises to ::ffff:7f00:1)
+    const mapped = host.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      const ip = mapped[1] || [mapped[2], mapped[3]]
+        .flatMap(part => [parseInt(part, 16) >> 8, parseInt(part, 16) & 255]).join('.');
+      return isPrivateIpv4(ip);
+    }
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+function validateNotificationChannel(channel) {
+  const errors = [];
+  if (!channel.name || typeof channel.name !== 'string') {
+    errors.push('name is required.');
+  }
+  if (!NOTIFICATION_CHANNEL_TYPES.includes(channel.type)) {
+    errors.push(`type must be one of: ${NOTIFICATION_CHANNEL_TYPES.join(', ')}.`);
+  }
+  if (channel.type === 'email' && !/^[^\s@]+@[^\s@]+$/.test(channel.config.to || '')) {
+    errors.push('config.to must be an email address.');
+  }
+  if (channel.type === 'webhook') {
+    let url = null;
+    try {
+      url = new URL(channel.config.url);
+    } catch {
+      errors.push('config.url must be a valid URL.');
+    }
+    if (url && url.protocol !== 'https:') {
+      errors.push('config.url must use https.');
+    }
+    // Alerts must not be a way to reach services inside the server's network
+    if (url && isPrivateHost(url.hostname)) {
+      errors.push('config.url must not point to a private or loopback address.');
+    }
+  }
+  if (!Array.isArray(channel.alert_types) || channel.alert_types.some(type => !ALERT_TYPES.includes(type))) {
+    errors.push(`alert_types must only contain: ${ALERT_TYPES.join(', ')}.`);
+  }
+  if (!Array.isArray(channel.severities) || channel.severities.some(severity => !ALERT_SEVERITIES[severity])) {
+    errors.push(`severities must only contain: ${Object.keys(ALERT_SEVERITIES).join(', ')}.`);
+  }
+  if (!Array.isArray(channel.system_ids)) {
+    errors.push('system_ids must be a list.');
+  }
+  return errors;
+}
+
+app.get('/api/notification-channels', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_channels')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Webhook channels get a random signing secret, which is returned with the channel
+app.post('/api/notification-channels', requireAdmin, async (req, res) => {
+  const channel = notificationChannelFields(req.body);
+  const errors = validateNotificationChannel(channel);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  if (channel.type === 'webhook') {
+    channel.config.secret = crypto.randomBytes(32).toString('hex');
+  }
+  try {
+    const { data, error } = await supabase
+      .from('notification_channels')
+      .insert([channel])
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ channel: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// The type of a channel cannot change, and a webhook keeps its signing secret
+app.put('/api/notification-channels/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('notification_channels')
+      .select('type, config')
+      .eq('id', id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification channel not found.' });
+    }
+
+    const channel = notificationChannelFields({ ...req.body, type: existing.type });
+    const errors = validateNotificationChannel(channel);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(' ') });
+    }
+    if (channel.type === 'webhook') {
+      channel.config.secret = existing.config.secret;
+    }
+
+    const { data, error } = await supabase
+      .from('notification_channels')
+      .update(channel)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ channel: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/notification-channels/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { error } = await supabase
+      .from('notification_channels')
+      .delete()
+      .eq('id', id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Send a test message to one channel and report whether it arrived
+app.post('/api/notification-channels/:id/test', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: channel, error } = await supabase
+      .from('notification_channels')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!channel) {
+      return res.status(404).json({ error: 'Notification channel not found.' });
+    }
+
+    const deliveryError = await CHANNEL_NOTIFIERS[channel.type].deliver({
+      type: 'test',
+      severity: 'info',
+      systemId: null,
+      message: `🧪 Test notification from Hydroponic Monitoring for channel "${channel.name}".`,
+    }, channel);
+    res.json({ success: !deliveryError, error: deliveryError?.message || null });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delivery log, newest first
+// Optional filters: alert_id, status ('sent' or 'failed'), channel_type, limit
+app.get('/api/alert-deliveries', requireAdmin, async (req, res) => {
+  const { alert_id, status, channel_type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  try {
+    let query = supabase
+      .from('alert_deliveries')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (alert_id) query = query.eq('alert_id', alert_id);
+    if (status) query = query.eq('status', status);
+    if (channel_type) query = query.eq('channel_type', channel_type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching alert deliveries:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Device Registry
+// Each controller board is registered as a device with its own revocable API key
+// Only a SHA-256 hash of the key is stored; the plain key is shown once on create/rotate
+
+const DEVICE_COLUMNS = 'id, name, description, system_id, key_prefix, firmware_version, last_seen_at, revoked_at, created_at';
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Generate a new API key and the values we persist for it
+function generateApiKey() {
+  const apiKey = `hyd_${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    apiKey,
+    api_key_hash: hashApiKey(apiKey),
+    key_prefix: apiKey.slice(0, 12),
+  };
+}
+
+// Get all devices
+app.get('/api/devices', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .select(DEVICE_COLUMNS)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Register device
+app.post('/api/devices', requireAdmin, async (req, res) => {
+  const { name, description, system_id } = req.body;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'Device name is required.' });
+  }
+
+  try {
+    const { apiKey, api_key_hash, key_prefix } = generateApiKey();
+    const { data, error } = await supabase
+      .from('devices')
+      .insert([{ name, description: description || null, system_id: system_id || null, api_key_hash, key_prefix }])
+      .select(DEVICE_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    console.log('Device registered:', data.id);
+    res.json({ device: data, apiKey });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update device name, description or system
+app.put('/api/devices/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { name, description, system_id } = req.body;
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ name, description, system_id: system_id || null })
+      .eq('id', id)
+      .select(DEVICE_COLUMNS)
+      .single();
+    if (error) throw error;
+    res.json({ device: data });
+  } catch (error) {
+    console.error('Error updating device:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rotate device API key
+// The old key stops working immediately; rotating also reinstates a revoked device
+app.post('/api/devices/:id/rotate-key', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { apiKey, api_key_hash, key_prefix } = generateApiKey();
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ api_key_hash, key_prefix, revoked_at: null })
+      .eq('id', id)
+      .select(DEVICE_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    console.log('Device key rotated:', id);
+    res.json({ device: data, apiKey });
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revoke device
+// The device row is kept so existing sensor_data rows stay attributed to it
+app.post('/api/devices/:id/revoke', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(DEVICE_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    console.log('Device revoked:', id);
+    res.json({ device: data });
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Sensor Reading Ingestion
+// Single trusted entry point for the controller and test scripts to submit readings
+// Readings are validated, timestamped (recorded_at from the controller, or server time), inserted into sensor_data
+// and then passed to handleNewReading, the same path used by the realtime subscription
+
+const READING_LIMITS = {
+  ph: { min: 0, max: 14 },
+  ec: { min: 0, max: Infinity },
+  water_temperature: { min: 0, max: 50 },
+};
+const PUMP_FIELDS = ['pump1', 'pump2', 'pump3', 'pump4'];
+const MAX_BATCH_SIZE = 500;
+// How far a controller's recorded_at may lie in the past (buffered readings) or the future (clock drift)
+const MAX_RECORDED_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+// Recently ingested payload fingerprints, used to reject retransmitted readings
+// Readings with a reading_id are remembered longer than anonymous ones, since
+// identical values a few seconds apart are normal for a stable reservoir
+const recentReadings = new Map();
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const ANONYMOUS_DUPLICATE_WINDOW_MS = 2 * 1000;
+
+// Authenticate ingestion requests
+// Accepts a registered device's API key in the X-API-Key header,
+// or falls back to a signed-in user's access token (useful for test scripts)
+// Authenticated devices are attached to the request as req.device
+async function requireIngestAuth(req, res, next) {
+  const apiKey = req.get('x-api-key');
+  if (!apiKey) {
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    const { data: device, error } = await supabase
+      .from('devices')
+      .select('id, name, system_id, revoked_at')
+      .eq('api_key_hash', hashApiKey(apiKey))
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid API key.' });
+    }
+    if (device.revoked_at) {
+      return res.status(403).json({ error: 'This device has been revoked.' });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying device API key:', error);
+    res.status(500).json({ error: 'Failed to verify API key.' });
+  }
+}
+
+// Validate a single reading payload
+// Returns { errors } if the payload is malformed or out of range,
+// otherwise { reading } with only the columns we store in sensor_data
+function validateReading(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Reading must be a JSON object.'] };
+  }
+
+  const reading = {};
+  for (const [field, { min, max }] of Object.entries(READING_LIMITS)) {
+    const value = input[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${field} must be a number.`);
+    } else if (value < min || value > max) {
+      errors.push(max === Infinity ? `${field} must be at least ${min}.` : `${field} must be between ${min} and ${max}.`);
+    } else {
+      reading[field] = value;
+    }
+  }
+
+  for (const pump of PUMP_FIELDS) {
+    const value = input[pump];
+    if (value === undefined) {
+      reading[pump] = false;
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${pump} must be a boolean.`);
+    } else {
+      reading[pump] = value;
+    }
+  }
+
+  if (input.reading_id !== undefined && (typeof input.reading_id !== 'string' || !input.reading_id)) {
+    errors.push('reading_id must be a non-empty string.');
+  }
+
+  if (input.plant_name !== undefined && typeof input.plant_name !== 'string') {
+    errors.push('plant_name must be a string.');
+  }
+
+  if (input.system_id !== undefined && (typeof input.system_id !== 'string' || !input.system_id)) {
+    errors.push('system_id must be a non-empty string.');
+  }
+
+  let recordedAt = null;
+  if (input.recorded_at !== undefined) {
+    recordedAt = typeof input.recorded_at === 'string' ? new Date(input.recorded_at) : null;
+    const age = recordedAt ? Date.now() - recordedAt.getTime() : NaN;
+    if (!Number.isFinite(age)) {
+      errors.push('recorded_at must be an ISO 8601 timestamp.');
+    } else if (age > MAX_RECORDED_AGE_MS || age < -MAX_CLOCK_SKEW_MS) {
+      errors.push('recorded_at must be within the last 24 hours; import older readings from CSV.');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  if (input.plant_name) {
+    reading.plant_name = input.plant_name;
+  }
+  if (input.system_id) {
+    reading.system_id = input.system_id;
+  }
+  if (recordedAt) {
+    reading.created_at = recordedAt.toISOString();
+  }
+  return { reading };
+}
+
+// Build the key used to detect duplicate payloads
+// Keys are scoped to the sending device (or the target system for readings without a device),
+// so two controllers with the same reading_id counter or identical values are not mistaken for each other
+function readingFingerprint(input, reading, device) {
+  const source = device ? `device:${device.id}` : `system:${reading.system_id || 'default'}`;
+  if (input.reading_id) {
+    return { key: `${source}:id:${input.reading_id}`, windowMs: DUPLICATE_WINDOW_MS };
+  }
+  return { key: `${source}:values:${JSON.stringify(reading)}`, windowMs: ANONYMOUS_DUPLICATE_WINDOW_MS };
+}
+
+function isDuplicateReading(key, now) {
+  const expiresAt = recentReadings.get(key);
+  return expiresAt !== undefined && expiresAt > now;
+}
+
+function rememberReading(key, windowMs, now) {
+  recentReadings.set(key, now + windowMs);
+  // Drop expired fingerprints so the map does not grow without bound
+  for (const [storedKey, expiresAt] of recentReadings) {
+    if (expiresAt <= now) recentReadings.delete(storedKey);
+  }
+}
+
+// Feed ingested rows through the same alert path as the realtime subscription, oldest first
+async function handleIngestedReadings(rows) {
+  const ordered = [...rows].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  for (const row of ordered) {
+    await handleNewReading(row);
+  }
+}
+
+// Ingest one reading or a batch of readings
+// Accepts a single reading object, an array of readings, or { readings: [...] }
+app.post('/api/readings', requireIngestAuth, async (req, res) => {
+  const isBatch = Array.isArray(req.body) || Array.isArray(req.body?.readings);
+  const inputs = Array.isArray(req.body) ? req.body : (req.body?.readings || [req.body]);
+
+  if (inputs.length === 0) {
+    return res.status(400).json({ error: 'At least one reading must be provided.' });
+  }
+  if (inputs.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_SIZE} readings.` });
+  }
+
+  // Validate every reading before inserting anything
+  const now = Date.now();
+  const invalid = [];
+  const duplicates = [];
+  const accepted = [];
+  const batchKeys = new Set();
+
+  inputs.forEach((input, index) => {
+    const { errors, reading } = validateReading(input);
+    if (errors) {
+      invalid.push({ index, errors });
+      return;
+    }
+    const fingerprint = readingFingerprint(input, reading, req.device);
+    if (batchKeys.has(fingerprint.key) || isDuplicateReading(fingerprint.key, now)) {
+      duplicates.push(index);
+      return;
+    }
+    batchKeys.add(fingerprint.key);
+    accepted.push({ reading, fingerprint });
+  });
+
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid reading payload.', invalid });
+  }
+  if (duplicates.length > 0) {
+    return res.status(409).json({ error: 'Duplicate reading payload.', duplicates });
+  }
+
+  try {
+    // Readings from a device belong to the device's system; otherwise the
+    // payload's system_id is used, falling back to the default system
+    const systemsById = new Map();
+    for (const { reading } of accepted) {
+      const systemId = req.device?.system_id || reading.system_id || null;
+      if (!systemsById.has(systemId)) {
+        const system = await getSystem(systemId);
+        if (!system) {
+          return res.status(400).json({ error: systemId ? `Unknown system: ${systemId}` : 'No grow system is configured.' });
+        }
+        const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+        systemsById.set(systemId, { system, plant });
+      }
+    }
+
+    // Readings without recorded_at get server time, a millisecond apart so a batch keeps its order
+    // (the last reading gets the current time)
+    // Fill in the plant name from the system's selected plant when the controller did not send one
+    const createdAt = new Date(now).toISOString();
+    const rows = accepted.map(({ reading }, index) => {
+      const { system, plant } = systemsById.get(req.device?.system_id || reading.system_id || null);
+      return {
+        ...reading,
+        system_id: system.id,
+        plant_name: reading.plant_name || plant?.name || null,
+        device_id: req.device?.id || null,
+        created_at: reading.created_at || new Date(now - (accepted.length - 1 - index)).toISOString(),
+      };
+    });
+
+    const { data, error } = await supabase
+      .from('sensor_data')
+      .insert(rows)
+      .select();
+    if (error) throw error;
+
+    // Record that the device is alive and which firmware it is running
+    if (req.device) {
+      const deviceUpdate = { last_seen_at: createdAt };
+      const firmwareVersion = req.get('x-firmware-version') || req.body?.firmware_version;
+      if (typeof firmwareVersion === 'string' && firmwareVersion) {
+        deviceUpdate.firmware_version = firmwareVersion;
+      }
+      const { error: deviceError } = await supabase
+        .from('devices')
+        .update(deviceUpdate)
+        .eq('id', req.device.id);
+      if (deviceError) {
+        console.error('⚠️ Failed to update device last seen:', deviceError);
+      }
+    }
+
+    accepted.forEach(({ fingerprint }) => rememberReading(fingerprint.key, fingerprint.windowMs, now));
+    console.log(`✅ Ingested ${data.length} reading(s)`);
+    res.status(201).json(isBatch ? { success: true, inserted: data.length, readings: data } : { success: true, reading: data[0] });
+
+    // Alerts are processed after responding, so the controller does not wait for their delivery
+    handleIngestedReadings(data).catch(err => console.error('❌ Error processing ingested readings:', err));
+  } catch (error) {
+    console.error('Error ingesting readings:', error);
+    res.status(500).json({ error: 'Failed to store readings.', details: error.message });
+  }
+});
+
+// Pump Control
+// Admins can run a pump for a number of seconds from the web app. Commands are queued in pump_commands
+// and the system's controller picks them up by polling GET /api/device/pump-commands with its API key,
+// then reports the outcome. Commands move from queued -> sent -> done or failed,
+// and every step is written to pump_command_events as an audit trail
+
+const MAX_PUMP_RUN_SECONDS = 300;
+const PUMP_COMMAND_COLUMNS = 'id, system_id, pump, duration_seconds, status, requested_by_email, device_id, error, created_at, sent_at, completed_at';
+
+// Commands the controller does not pick up in time, or whose result never arrives, are marked failed
+const PUMP_COMMAND_PICKUP_TIMEOUT_MINUTES = 5;
+const PUMP_COMMAND_RESULT_GRACE_SECONDS = 60;
+const PUMP_COMMAND_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Device-only routes: unlike ingestion there is no fallback to a signed-in user
+function requireDeviceAuth(req, res, next) {
+  if (!req.get('x-api-key')) {
+    return res.status(401).json({ error: 'Missing X-API-Key header.' });
+  }
+  requireIngestAuth(req, res, next);
+}
+
+// Add a step to a command's audit trail
+// `actor` is a web user's email, "device:<name>" or "system"
+async function logPumpCommandEvent(commandId, status, actor, detail = null) {
+  const { error } = await supabase
+    .from('pump_command_events')
+    .insert([{ command_id: commandId, status, actor, detail }]);
+  if (error) {
+    console.error('❌ Failed to log pump command event:', error);
+  }
+}
+
+// Move a command to a new status if it is currently in one of the `from` statuses,
+// so a late result cannot overwrite a command that already finished or timed out
+// Returns the updated command, or null if it was not in one of those statuses
+async function updatePumpCommandStatus(id, from, status, actor, { detail = null, deviceId } = {}) {
+  const now = new Date().toISOString();
+  const changes = { status };
+  if (status === 'sent') {
+    changes.sent_at = now;
+    changes.device_id = deviceId || null;
+  } else {
+    changes.completed_at = now;
+    if (status === 'failed') changes.error = detail;
+  }
+
+  const { data, error } = await supabase
+    .from('pump_commands')
+    .update(changes)
+    .eq('id', id)
+    .in('status', from)
+    .select(PUMP_COMMAND_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  await logPumpCommandEvent(id, status, actor, detail);
+  return data;
+}
+
+// Fail commands that were never picked up, or were sent but never reported back
+async function expirePumpCommands() {
+  try {
+    const { data: pending, error } = await supabase
+      .from('pump_commands')
+      .select(PUMP_COMMAND_COLUMNS)
+      .in('status', ['queued', 'sent']);
+    if (error) throw error;
+
+    const now = Date.now();
+    for (const command of pending) {
+      let reason = null;
+      if (command.status === 'queued' &&
+          now - new Date(command.created_at).getTime() > PUMP_COMMAND_PICKUP_TIMEOUT_MINUTES * 60 * 1000) {
+        reason = `Not picked up by the controller within ${PUMP_COMMAND_PICKUP_TIMEOUT_MINUTES} minutes`;
+      } else if (command.status === 'sent' &&
+          now - new Date(command.sent_at).getTime() > (command.duration_seconds + PUMP_COMMAND_RESULT_GRACE_SECONDS) * 1000) {
+        reason = 'The controller did not report a result';
+      }
+      if (reason) {
+        await updatePumpCommandStatus(command.id, [command.status], 'failed', 'system', { detail: reason });
+        console.warn(`⚠️ Pump command ${command.id} failed: ${reason}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error expiring pump commands:', error);
+  }
+}
+
+// Queue a command to run a pump for `duration_seconds` (admin only)
+// system_id is optional and defaults to the default system
+// A pump can only have one pending command at a time, and none while the system is locked out
+app.post('/api/pumps/:pump/run', requireAdmin, async (req, res) => {
+  const { pump } = req.params;
+  const duration = Number(req.body?.duration_seconds);
+  if (!PUMP_LABELS[pump]) {
+    return res.status(404).json({ error: `Unknown pump: ${pump}` });
+  }
+  if (!Number.isInteger(duration) || duration < 1 || duration > MAX_PUMP_RUN_SECONDS) {
+    return res.status(400).json({ error: `duration_seconds must be a whole number between 1 and ${MAX_PUMP_RUN_SECONDS}.` });
+  }
+
+  try {
+    const system = await getSystem(req.body?.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    const lockout = await getActiveLockout(system.id);
+    if (lockout) {
+      return res.status(423).json({ error: `Dosing is locked out by the safety interlock: ${lockout.reason}` });
+    }
+
+    const { data: pending, error: pendingError } = await supabase
+      .from('pump_commands')
+      .select('id')
+      .eq('system_id', system.id)
+      .eq('pump', pump)
+      .in('status', ['queued', 'sent'])
+      .limit(1);
+    if (pendingError) throw pendingError;
+    if (pending.length > 0) {
+      return res.status(409).json({ error: `${PUMP_LABELS[pump]} already has a pending command.` });
+    }
+
+    const { data: command, error } = await supabase
+      .from('pump_commands')
+      .insert([{
+        system_id: system.id,
+        pump,
+        duration_seconds: duration,
+        status: 'queued',
+        requested_by: req.profile.id,
+        requested_by_email: req.profile.email,
+      }])
+      .select(PUMP_COMMAND_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    await logPumpCommandEvent(command.id, 'queued', req.profile.email, `Run for ${duration}s`);
+    console.log(`Pump command queued: ${pump} for ${duration}s on ${system.name} by ${req.profile.email}`);
+    res.json({ command });
+  } catch (error) {
+    console.error(`Error queueing pump command for ${pump}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get pump commands with their audit trail, newest first
+// Optional filters: system_id, limit
+app.get('/api/pumps/commands', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+
+  try {
+    let query = supabase
+      .from('pump_commands')
+      .select(`${PUMP_COMMAND_COLUMNS}, events:pump_command_events(id, status, actor, detail, created_at)`)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.system_id) query = query.eq('system_id', req.query.system_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    data.forEach(command => command.events.sort((a, b) => new Date(a.created_at) - new Date(b.created_at)));
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching pump commands:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get safety lockouts, newest first
+// Optional filters: system_id, active ('true' for lockouts that are not cleared yet), limit
+app.get('/api/pumps/lockouts', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+
+  try {
+    let query = supabase
+      .from('pump_lockouts')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.system_id) query = query.eq('system_id', req.query.system_id);
+    if (req.query.active === 'true') query = query.is('cleared_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching pump lockouts:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Clear a safety lockout so dosing can resume (admin only)
+// An optional note records why it is safe to continue
+app.post('/api/pumps/lockouts/:id/clear', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data, error } = await supabase
+      .from('pump_lockouts')
+      .update({ cleared_at: new Date().toISOString(), cleared_by: req.profile.email, clear_note: req.body?.note || null })
+      .eq('id', id)
+      .is('cleared_at', null)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      return res.status(409).json({ error: 'Lockout not found or already cleared.' });
+    }
+
+    console.log(`🔓 Safety lockout ${id} cleared by ${req.profile.email}`);
+    res.json({ lockout: data });
+  } catch (error) {
+    console.error(`Error clearing pump lockout ${id}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Controller polling endpoint
+// Returns the queued commands for the device's system (oldest first) and marks them sent
+// Devices without a system receive the default system's commands
+// `locked` tells the controller to stop dosing on its own until the safety lockout is cleared
+app.get('/api/device/pump-commands', requireDeviceAuth, async (req, res) => {
+  try {
+    const system = await getSystem(req.device.system_id);
+    if (!system) {
+      return res.json({ commands: [], locked: false });
+    }
+
+    const lockout = await getActiveLockout(system.id);
+    if (lockout) {
+      return res.json({ commands: [], locked: true, reason: lockout.reason });
+    }
+
+    const { data: queued, error } = await supabase
+      .from('pump_commands')
+      .select(PUMP_COMMAND_COLUMNS)
+      .eq('system_id', system.id)
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const commands = [];
+    for (const command of queued) {
+      // Another poll may have claimed the command in the meantime
+      const sent = await updatePumpCommandStatus(command.id, ['queued'], 'sent', `device:${req.device.name}`, { deviceId: req.device.id });
+      if (sent) {
+        commands.push({ id: sent.id, pump: sent.pump, duration_seconds: sent.duration_seconds });
+      }
+    }
+    res.json({ commands, locked: false });
+  } catch (error) {
+    console.error('Error delivering pump commands:', error);
+    res.status(500).json({ error: 'Failed to fetch pump commands.', details: error.message });
+  }
+});
+
+// Controller reports the outcome of a command it received: { status: 'done' | 'failed', error }
+app.post('/api/device/pump-commands/:id/result', requireDeviceAuth, async (req, res) => {
+  const { id } = req.params;
+  const { status, error: reportedError } = req.body ?? {};
+  if (!['done', 'failed'].includes(status)) {
+    return res.status(400).json({ error: "status must be 'done' or 'failed'." });
+  }
+
+  try {
+    const { data: command, error } = await supabase
+      .from('pump_commands')
+      .select('id, device_id')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!command || command.device_id !== req.device.id) {
+      return res.status(404).json({ error: 'Pump command not found.' });
+    }
+
+    const detail = status === 'failed' ? (reportedError || 'Reported as failed by the controller') : null;
+    const updated = await updatePumpCommandStatus(id, ['sent'], status, `device:${req.device.name}`, { detail });
+    if (!updated) {
+      return res.status(409).json({ error: 'Pump command is no longer waiting for a result.' });
+    }
+    res.json({ command: updated });
+  } catch (error) {
+    console.error(`Error storing result of pump command ${id}:`, error);
+    res.status(500).json({ error: 'Failed to store pump command result.', details: error.message });
+  }
+});
+
+// Dosing Log Operations
+// Volumes are estimates: on-duration × the pump's flow rate. Pumps without a flow rate only report durations
+
+const MAX_DOSING_DAYS = 365;
+const MAX_DOSING_REBUILD_DAYS = 90;
+const DEFAULT_LOW_STOCK_DAYS = 7;
+
+// Fetch a system's dosing events that started at or after `from`, oldest first
+async function getDosingEvents(systemId, from) {
+  const events = [];
+  for (let offset = 0; ; offset += READINGS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('dosing_events')
+      .select('id, pump, started_at, ended_at, duration_seconds, plant_name')
+      .eq('system_id', systemId)
+      .gte('started_at', from.toISOString())
+      .order('started_at', { ascending: true })
+      .range(offset, offset + READINGS_PAGE_SIZE - 1);
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < READINGS_PAGE_SIZE) break;
+  }
+  return events;
+}
+
+// Settings of all four pumps of a system; pumps that were never configured get empty settings
+async function getPumpSettings(systemId) {
+  const { data, error } = await supabase
+    .from('pump_settings')
+    .select('*')
+    .eq('system_id', systemId);
+  if (error) throw error;
+  return Object.keys(PUMP_LABELS).map(pump => data.find(s => s.pump === pump) || {
+    system_id: systemId,
+    pump,
+    flow_rate_ml_per_min: null,
+    stock_ml: null,
+    stock_updated_at: null,
+    low_stock_days: DEFAULT_LOW_STOCK_DAYS,
+  });
+}
+
+// Validate a pump settings payload from the admin UI
+// Returns a list of error messages (empty if the settings are valid)
+function validatePumpSettings(settings) {
+  const errors = [];
+  const isOptionalNumber = (value) => value === null || value === undefined || value === '' || (typeof value === 'number' && value >= 0);
+  if (!isOptionalNumber(settings.flow_rate_ml_per_min)) {
+    errors.push('flow_rate_ml_per_min must be a non-negative number.');
+  }
+  if (!isOptionalNumber(settings.stock_ml)) {
+    errors.push('stock_ml must be a non-negative number.');
+  }
+  if (settings.low_stock_days !== undefined && !(Number.isInteger(settings.low_stock_days) && settings.low_stock_days >= 0)) {
+    errors.push('low_stock_days must be a whole number of days.');
+  }
+  return errors;
+}
+
+const toMl = (seconds, flowRate) => (flowRate ? Math.round((seconds / 60) * flowRate * 10) / 10 : null);
+
+// Summarise dosing over the last `days` for each pump: on-time and estimated ml in total and per day,
+// the stock left since the last refill and how many days it will last at the current rate,
+// plus totals per crop cycle (consecutive events for the same plant)
+// Days are calendar days in `timezone`; events that are still running are not counted yet
+async function buildDosingSummary(system, days, timezone) {
+  const until = new Date();
+  const periodStart = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+  const settings = await getPumpSettings(system.id);
+
+  // Consumption since a refill may reach back further than the period
+  const refills = settings.filter(s => s.stock_ml != null && s.stock_updated_at).map(s => new Date(s.stock_updated_at));
+  const fetchFrom = new Date(Math.min(periodStart.getTime(), ...refills.map(d => d.getTime())));
+  const events = (await getDosingEvents(system.id, fetchFrom)).filter(e => e.duration_seconds != null);
+  const inPeriod = events.filter(e => new Date(e.started_at) >= periodStart);
+
+  const pumps = settings.map((setting) => {
+    const flowRate = setting.flow_rate_ml_per_min;
+    const pumpEvents = inPeriod.filter(e => e.pump === setting.pump);
+    const seconds = pumpEvents.reduce((sum, e) => sum + e.duration_seconds, 0);
+
+    const perDay = {};
+    pumpEvents.forEach((e) => {
+      const day = localDay(timezone, new Date(e.started_at)).date;
+      perDay[day] = (perDay[day] || 0) + e.duration_seconds;
+    });
+
+    const avgMlPerDay = flowRate ? toMl(seconds, flowRate) / days : null;
+    let stock = null;
+    if (setting.stock_ml != null) {
+      const since = setting.stock_updated_at ? new Date(setting.stock_updated_at) : periodStart;
+      const usedSeconds = events
+        .filter(e => e.pump === setting.pump && new Date(e.started_at) >= since)
+        .reduce((sum, e) => sum + e.duration_seconds, 0);
+      const remainingMl = flowRate ? Math.max(0, setting.stock_ml - toMl(usedSeconds, flowRate)) : null;
+      const daysLeft = remainingMl != null && avgMlPerDay > 0 ? remainingMl / avgMlPerDay : null;
+      stock = {
+        stockMl: setting.stock_ml,
+        refilledAt: setting.stock_updated_at,
+        remainingMl,
+        daysLeft: daysLeft == null ? null : Math.round(daysLeft * 10) / 10,
+        low: remainingMl === 0 || (daysLeft != null && daysLeft < setting.low_stock_days),
+      };
+    }
+
+    return {
+      pump: setting.pump,
+      label: PUMP_LABELS[setting.pump],
+      flowRate,
+      activations: pumpEvents.length,
+      seconds,
+      totalMl: toMl(seconds, flowRate),
+      avgMlPerDay: avgMlPerDay == null ? null : Math.round(avgMlPerDay * 10) / 10,
+      perDay: Object.entries(perDay).map(([date, daySeconds]) => ({ date, seconds: daySeconds, ml: toMl(daySeconds, flowRate) })),
+      stock,
+    };
+  });
+
+  const cycles = [];
+  inPeriod.forEach((e) => {
+    let cycle = cycles[cycles.length - 1];
+    if (!cycle || cycle.plantName !== e.plant_name) {
+      cycle = { plantName: e.plant_name, from: e.started_at, to: e.ended_at, seconds: {} };
+      cycles.push(cycle);
+    }
+    cycle.to = e.ended_at;
+    cycle.seconds[e.pump] = (cycle.seconds[e.pump] || 0) + e.duration_seconds;
+  });
+  cycles.forEach((cycle) => {
+    cycle.ml = Object.fromEntries(settings.map(s => [s.pump, toMl(cycle.seconds[s.pump] || 0, s.flow_rate_ml_per_min)]));
+  });
+
+  return { system: { id: system.id, name: system.name }, days, from: periodStart.toISOString(), until: until.toISOString(), pumps, cycles };
+}
+
+// Get dosing events, newest first
+// Optional filters: system_id, pump, from, to (ISO dates), limit, offset
+app.get('/api/dosing/events', async (req, res) => {
+  const { system_id, pump, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  try {
+    let query = supabase
+      .from('dosing_events')
+      .select('*', { count: 'exact' })
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (system_id) query = query.eq('system_id', system_id);
+    if (pump) query = query.eq('pump', pump);
+    if (from) query = query.gte('started_at', from);
+    if (to) query = query.lte('started_at', to);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    res.json({ events: data, total: count });
+  } catch (error) {
+    console.error('Error fetching dosing events:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Consumption summary of a system over the last `days` (default 30)
+// `timezone` (IANA name) decides where days start; server time if not given
+app.get('/api/dosing/summary', async (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, MAX_DOSING_DAYS);
+  const { timezone } = req.query;
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+  }
+
+  try {
+    const system = await getSystem(req.query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+    res.json(await buildDosingSummary(system, days, timezone));
+  } catch (error) {
+    console.error('Error building dosing summary:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Flow rate and stock settings of a system's pumps
+app.get('/api/dosing/pumps', async (req, res) => {
+  try {
+    const system = await getSystem(req.query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+    res.json(await getPumpSettings(system.id));
+  } catch (error) {
+    console.error('Error fetching pump settings:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a pump's flow rate, stock or low stock warning (admin only)
+// Setting stock_ml records a refill: consumption is counted from now on
+app.put('/api/dosing/pumps/:pump', requireAdmin, async (req, res) => {
+  const { pump } = req.params;
+  if (!PUMP_LABELS[pump]) {
+    return res.status(404).json({ error: `Unknown pump: ${pump}` });
+  }
+  const errors = validatePumpSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  try {
+    const system = await getSystem(req.body.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    const update = { system_id: system.id, pump };
+    if (req.body.flow_rate_ml_per_min !== undefined) {
+      update.flow_rate_ml_per_min = req.body.flow_rate_ml_per_min === '' ? null : req.body.flow_rate_ml_per_min;
+    }
+    if (req.body.stock_ml !== undefined) {
+      update.stock_ml = req.body.stock_ml === '' ? null : req.body.stock_ml;
+      update.stock_updated_at = new Date().toISOString();
+    }
+    if (req.body.low_stock_days !== undefined) {
+      update.low_stock_days = req.body.low_stock_days;
+    }
+
+    const { data, error } = await supabase
+      .from('pump_settings')
+      .upsert(update, { onConflict: 'system_id,pump' })
+      .select()
+      .single();
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error(`Error updating settings of ${pump}:`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rebuild the dosing log of the last `days` (default 7) from the pump flags in sensor_data (admin only)
+// Useful for history recorded before the dosing log existed
+// A pump already on at the start of the window started before it, so that run is left to the existing log
+app.post('/api/dosing/rebuild', requireAdmin, async (req, res) => {
+  try {
+    const days = Number(req.body?.days ?? 7);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DOSING_REBUILD_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number between 1 and ${MAX_DOSING_REBUILD_DAYS}.` });
+    }
+
+    const system = await getSystem(req.body?.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    const readings = await getRecentReadings(system.id, days * 24 * 60);
+    const from = readings[0]?.created_at;
+    if (!from) {
+      return res.json({ success: true, events: 0 });
+    }
+    const events = deriveDosingEvents(readings)
+      .filter(e => !(e.started_at === from && readings[0][e.pump]))
+      .map(e => ({ ...e, system_id: system.id }));
+
+    const { error: deleteError } = await supabase
+      .from('dosing_events')
+      .delete()
+      .eq('system_id', system.id)
+      .gte('started_at', from);
+    if (deleteError) throw deleteError;
+
+    for (let i = 0; i < events.length; i += MAX_BATCH_SIZE) {
+      const { error } = await supabase.from('dosing_events').insert(events.slice(i, i + MAX_BATCH_SIZE));
+      if (error) throw error;
+    }
+
+    // With more than MAX_RECENT_READINGS readings in the period, only the most recent part is rebuilt
+    console.log(`✅ Rebuilt ${events.length} dosing events for ${system.name} since ${from}`);
+    res.json({ success: true, events: events.length, from });
+  } catch (error) {
+    console.error('Error rebuilding dosing log:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Probe Calibration Operations
+
+// Get calibrations, newest first
+// Optional filters: system_id, probe, limit
+app.get('/api/calibrations', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  try {
+    let query = supabase
+      .from('probe_calibrations')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.system_id) query = query.eq('system_id', req.query.system_id);
+    if (req.query.probe) query = query.eq('probe', req.query.probe);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching calibrations:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// When each probe was last calibrated and whether it is overdue
+app.get('/api/calibrations/status', async (req, res) => {
+  try {
+    res.json({ intervalDays: CALIBRATION_INTERVAL_DAYS, probes: await getCalibrationStatus() });
+  } catch (error) {
+    console.error('Error fetching calibration status:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Record a calibration (admin only)
+// Body: { system_id, probe: 'ph' | 'ec', points: [{ reference, measured }], notes }
+// The slope and offset are fitted here; a reminder for the system is resolved once no probe is overdue
+app.post('/api/calibrations', requireAdmin, async (req, res) => {
+  const body = req.body ?? {};
+  const { probe, notes } = body;
+  const points = Array.isArray(body.points)
+    ? body.points.map(p => ({ reference: p?.reference, measured: p?.measured }))
+    : body.points;
+  const errors = validateCalibration({ probe, points });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  try {
+    const system = await getSystem(body.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    const { slope, offset } = fitCalibration(points);
+    const { data, error } = await supabase
+      .from('probe_calibrations')
+      .insert([{ system_id: system.id, probe, points, slope, offset, notes: notes || null, calibrated_by: req.profile.email }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    const stillOverdue = (await getCalibrationStatus()).some(s => s.system_id === system.id && s.overdue);
+    if (!stillOverdue) {
+      for (const alert of await getOpenCalibrationAlerts(system.id)) {
+        await updateAlertStatus(alert.id, 'resolved', req.profile.email);
+      }
+    }
+
+    console.log(`✅ ${CALIBRATION_PROBES[probe].label} probe of ${system.name} calibrated by ${req.profile.email}`);
+    res.json(data);
+  } catch (error) {
+    console.error('Error recording calibration:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a calibration recorded by mistake (admin only)
+// Readings fall back to the previous calibration of the probe
+app.delete('/api/calibrations/:id', requireAdmin, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('probe_calibrations')
+      .delete()
+      .eq('id', req.params.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting calibration:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Sensor History Operations
+// Charts read aggregated history instead of every row, so long periods come back as a bounded payload
+// The aggregation runs in the database (aggregate_readings function, see README), which also reads
+// the hourly and daily rollups for ranges whose raw readings the retention job has purged
+
+const AGGREGATE_BUCKETS = { '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000, '1d': 24 * 60 * 60 * 1000 };
+const AGGREGATE_METRICS = ['ph', 'ec', 'water_temperature'];
+// Supabase returns at most 1000 rows per request, including rows returned by database functions
+const MAX_AGGREGATE_BUCKETS = 1000;
+
+// Min/max/average/count per time bucket
+// Query: from (required), to (default now), bucket ('5m', '1h' or '1d'), metric (comma separated, default all),
+// system_id, plant_name, timezone (IANA name where '1d' buckets start, default UTC)
+// pH and EC are corrected with the calibration current at the start of each bucket,
+// so a bucket spanning a calibration uses the earlier one
+app.get('/api/readings/aggregate', async (req, res) => {
+  const { bucket, plant_name, timezone } = req.query;
+  const from = new Date(req.query.from);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const metrics = req.query.metric ? req.query.metric.split(',') : AGGREGATE_METRICS;
+
+  const errors = [];
+  if (!req.query.from || Number.isNaN(from.getTime())) errors.push('from must be an ISO date.');
+  if (Number.isNaN(to.getTime())) errors.push('to must be an ISO date.');
+  if (!AGGREGATE_BUCKETS[bucket]) errors.push(`bucket must be one of: ${Object.keys(AGGREGATE_BUCKETS).join(', ')}.`);
+  if (metrics.some(metric => !AGGREGATE_METRICS.includes(metric))) errors.push(`metric must only contain: ${AGGREGATE_METRICS.join(', ')}.`);
+  if (timezone && !isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}.`);
+  if (errors.length === 0 && from >= to) errors.push('from must be before to.');
+  // A period that does not start on a bucket boundary touches one bucket more than it spans
+  if (errors.length === 0 && Math.ceil((to - from) / AGGREGATE_BUCKETS[bucket]) + 1 > MAX_AGGREGATE_BUCKETS) {
+    errors.push(`This period has more than ${MAX_AGGREGATE_BUCKETS} buckets of ${bucket}; use a larger bucket or a shorter period.`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  try {
+    const system = await getSystem(req.query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    const [{ data, error }, calibrations] = await Promise.all([
+      supabase.rpc('aggregate_readings', {
+        p_system_id: system.id,
+        p_from: from.toISOString(),
+        p_to: to.toISOString(),
+        p_bucket: bucket,
+        p_timezone: timezone || 'UTC',
+        p_plant_name: plant_name || null,
+      }),
+      getCalibrations(system.id),
+    ]);
+    if (error) throw error;
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const buckets = data.map((row) => {
+      const calibrate = (metric, value) => calibrateReadings([{ created_at: row.bucket, [metric]: value }], calibrations)[0][metric];
+      const entry = { start: row.bucket };
+      for (const metric of metrics) {
+        const count = Number(row[`${metric}_count`]);
+        entry[metric] = count === 0 ? null : {
+          min: calibrate(metric, row[`${metric}_min`]),
+          max: calibrate(metric, row[`${metric}_max`]),
+          avg: round(calibrate(metric, row[`${metric}_avg`])),
+          count,
+        };
+      }
+      return entry;
+    });
+
+    res.json({ system_id: system.id, from: from.toISOString(), to: to.toISOString(), bucket, metrics, buckets });
+  } catch (error) {
+    console.error('Error aggregating readings:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Sensor readings for the raw data table, one page at a time
+// Pages are keyset paginated on (sort column, id): `next_cursor` points after the last row of the page,
+// so paging stays fast however many rows there are and rows inserted meanwhile do not shift pages
+const READING_SORT_FIELDS = ['created_at', 'ph', 'ec', 'water_temperature'];
+const MAX_READINGS_PAGE = 500;
+const READING_COLUMNS = 'id, created_at, system_id, device_id, plant_name, ph, ec, water_temperature, pump1, pump2, pump3, pump4';
+
+// Timestamps as PostgREST returns them, e.g. 2024-05-01T12:00:00.123456+00:00
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})?$/;
+
+function encodeReadingsCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ value: row[sort], id: row.id })).toString('base64url');
+}
+
+// The cursor's values end up in a PostgREST filter, so they must have the type of the sort column:
+// an integer id and a timestamp or number (or null, as metrics can be missing) value
+function decodeReadingsCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!decoded || !Number.isInteger(decoded.id)) return null;
+  const { value } = decoded;
+  const valid = sort === 'created_at'
+    ? typeof value === 'string' && CURSOR_TIMESTAMP.test(value)
+    : value === null || (typeof value === 'number' && Number.isFinite(value));
+  return valid ? { value, id: decoded.id } : null;
+}
+
+// PostgREST condition for the rows after a cursor
+// Metrics are sorted with nulls last in both directions, so rows with a value are followed by those without
+function readingsAfterCursor(sort, ascending, after) {
+  const op = ascending ? 'gt' : 'lt';
+  if (after.value === null) {
+    return `and(${sort}.is.null,id.${op}.${after.id})`;
+  }
+  const value = sort === 'created_at' ? `"${after.value}"` : after.value;
+  return `${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${after.id}),${sort}.is.null`;
+}
+
+// PostgREST conditions (to be OR-ed) matching readings whose calibrated `metric` is outside `range`
+// Stored pH and EC are raw, so the bounds are mapped back with the inverse of the calibration that was current
+// in each period; calibration slopes are positive, so the mapped bounds keep their order
+function outOfRangeConditions(metric, range, calibrations) {
+  const outside = (min, max) => `${metric}.lt.${min},${metric}.gt.${max}`;
+  const periods = CALIBRATION_PROBES[metric] ? calibrations.filter(c => c.probe === metric) : [];
+  if (periods.length === 0) {
+    return [outside(range.min, range.max)];
+  }
+
+  const conditions = [`and(created_at.lt."${periods[0].created_at}",or(${outside(range.min, range.max)}))`];
+  periods.forEach((calibration, index) => {
+    const raw = (value) => (value - calibration.offset) / calibration.slope;
+    const next = periods[index + 1];
+    const period = `created_at.gte."${calibration.created_at}"` + (next ? `,created_at.lt."${next.created_at}"` : '');
+    conditions.push(`and(${period},or(${outside(raw(range.min), raw(range.max))}))`);
+  });
+  return conditions;
+}
+
+// Query: system_id, plant_name, from, to, pump (comma-separated pumps or 'any': at least one of them on),
+// out_of_range (comma-separated metrics or 'any': at least one of them outside the plant's range),
+// sort (created_at, ph, ec or water_temperature), order (asc or desc, default desc), limit, cursor
+// pH and EC in the response are calibrated, and so is the out_of_range filter;
+// sorting uses the stored raw values, which only differs from the calibrated order across calibrations
+app.get('/api/readings', async (req, res) => {
+  const { plant_name, from, to, cursor } = req.query;
+  const sort = req.query.sort || 'created_at';
+  const ascending = req.query.order === 'asc';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_READINGS_PAGE);
+  const pumps = req.query.pump === 'any' ? PUMP_FIELDS : req.query.pump?.split(',') || [];
+  const outOfRange = req.query.out_of_range === 'any' ? AGGREGATE_METRICS : req.query.out_of_range?.split(',') || [];
+  const after = cursor ? decodeReadingsCursor(cursor, sort) : null;
+
+  const errors = [];
+  if (!READING_SORT_FIELDS.includes(sort)) errors.push(`sort must be one of: ${READING_SORT_FIELDS.join(', ')}.`);
+  if (req.query.order && !['asc', 'desc'].includes(req.query.order)) errors.push('order must be asc or desc.');
+  if (from && Number.isNaN(new Date(from).getTime())) errors.push('from must be an ISO date.');
+  if (to && Number.isNaN(new Date(to).getTime())) errors.push('to must be an ISO date.');
+  if (pumps.some(pump => !PUMP_FIELDS.includes(pump))) errors.push(`pump must be 'any' or only contain: ${PUMP_FIELDS.join(', ')}.`);
+  if (outOfRange.some(metric => !AGGREGATE_METRICS.includes(metric))) errors.push(`out_of_range must be 'any' or only contain: ${AGGREGATE_METRICS.join(', ')}.`);
+  if (cursor && !after) errors.push('Invalid cursor.');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  try {
+    const system = await getSystem(req.query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+
+    // The total is only counted for the first page
+    let query = supabase
+      .from('sensor_data')
+      .select(READING_COLUMNS, cursor ? undefined : { count: 'exact' })
+      .eq('system_id', system.id)
+      .order(sort, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(limit + 1);  // One extra row tells whether there is a next page
+
+    if (plant_name) query = query.eq('plant_name', plant_name);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+    if (pumps.length > 0) query = query.or(pumps.map(pump => `${pump}.is.true`).join(','));
+
+    const calibrations = await getCalibrations(system.id);
+    if (outOfRange.length > 0) {
+      // Ranges of the filtered plant, or of the plant currently selected for the system
+      const plant = plant_name ? await getPlantProfileByName(plant_name) : await getSelectedPlant(system.id);
+      const conditions = [];
+      for (const metric of outOfRange) {
+        const range = getMetricRange(plant, metric);
+        if (!range) {
+          return res.status(400).json({ error: `${plant?.name || 'The plant'} has no optimal ${metric} range.` });
+        }
+        conditions.push(...outOfRangeConditions(metric, range, calibrations));
+      }
+      query = query.or(conditions.join(','));
+    }
+
+    if (after) query = query.or(readingsAfterCursor(sort, ascending, after));
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const rows = data.slice(0, limit);
+    res.json({
+      readings: calibrateReadings(rows, calibrations),
+      next_cursor: data.length > limit ? encodeReadingsCursor(rows[rows.length - 1], sort) : null,
+      ...(cursor ? {} : { total: count }),
+    });
+  } catch (error) {
+    console.error('Error fetching readings:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Bulk export of readings as CSV, JSON Lines or Excel
+// Rows are read from the database a page at a time and written to the response as they arrive,
+// so a full-season export never has to fit in memory
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Columns that can be exported, in file order
+// The in-range flags compare the calibrated value with the optimal range of the reading's plant
+// (null if the plant has no range for that metric)
+const EXPORT_COLUMNS = [
+  'created_at', 'system', 'plant_name', 'ph', 'ec', 'water_temperature',
+  'ph_in_range', 'ec_in_range', 'water_temperature_in_range',
+  'pump1', 'pump2', 'pump3', 'pump4', 'device_id',
+];
+
+// All readings of a system matching the filters, oldest first, one page per iteration
+// Keyset paginated on (created_at, id) so late pages are as fast as early ones
+async function* readingPages(systemId, { from, to, plantName }) {
+  let last = null;
+  for (;;) {
+    let query = supabase
+      .from('sensor_data')
+      .select(READING_COLUMNS)
+      .eq('system_id', systemId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(READINGS_PAGE_SIZE);
+    if (plantName) query = query.eq('plant_name', plantName);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (last) query = query.or(`created_at.gt."${last.created_at}",and(created_at.eq."${last.created_at}",id.gt.${last.id})`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data.length > 0) yield data;
+    if (data.length < READINGS_PAGE_SIZE) return;
+    last = data[data.length - 1];
+  }
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write to a response, waiting while its buffer is full
+// Resolves as well when the client disconnects, so the export loop can stop
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return drained(res);
+}
+
+// Wait until a response's buffer has drained, or the client has disconnected
+function drained(res) {
+  if (!res.writableNeedDrain || res.destroyed) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Signed Export Links
+// A plain <a href download> cannot send the Authorization header, so the web app first asks for a link whose
+// token holds the export query and the user's email, signed with EXPORT_LINK_SECRET (or a per-process secret)
+// The browser then streams the file straight to disk instead of buffering it in memory
+const EXPORT_LINK_TTL_MS = 60 * 1000;
+const EXPORT_QUERY_FIELDS = ['format', 'system_id', 'plant_name', 'from', 'to', 'columns'];
+const exportLinkSecret = process.env.EXPORT_LINK_SECRET || crypto.randomBytes(32);
+
+function signExportLink(query, email) {
+  const payload = Buffer.from(JSON.stringify({ query, email, expiresAt: Date.now() + EXPORT_LINK_TTL_MS })).toString('base64url');
+  const signature = crypto.createHmac('sha256', exportLinkSecret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// The { query, email } of a valid export link token that has not expired, or null
+function verifyExportLink(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+  const expected = crypto.createHmac('sha256', exportLinkSecret).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const link = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return link.expiresAt > Date.now() ? link : null;
+  } catch {
+    return null;
+  }
+}
+
+// Check an export query; returns the errors (empty if valid) with the format and columns to export
+function validateExportQuery(query) {
+  const format = query.format || 'csv';
+  const columns = query.columns ? query.columns.split(',') : EXPORT_COLUMNS;
+
+  const errors = [];
+  if (!EXPORT_FORMATS[format]) errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  if (columns.length === 0 || columns.some(column => !EXPORT_COLUMNS.includes(column))) {
+    errors.push(`columns must only contain: ${EXPORT_COLUMNS.join(', ')}.`);
+  }
+  if (query.from && Number.isNaN(new Date(query.from).getTime())) errors.push('from must be an ISO date.');
+  if (query.to && Number.isNaN(new Date(query.to).getTime())) errors.push('to must be an ISO date.');
+  return { errors, format, columns };
+}
+
+// Get a download link for an export, valid for a minute
+// Body: the export query (see below); returns { url } relative to the backend
+app.post('/api/readings/export/link', (req, res) => {
+  const query = Object.fromEntries(EXPORT_QUERY_FIELDS
+    .filter(field => typeof req.body?.[field] === 'string' && req.body[field])
+    .map(field => [field, req.body[field]]));
+  const { errors } = validateExportQuery(query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  res.json({ url: `/api/readings/export?token=${signExportLink(query, req.profile.email)}` });
+});
+
+// Query: format (csv, ndjson or xlsx), system_id, plant_name, from, to, columns (comma separated, default all),
+// or token (a signed link from /api/readings/export/link) instead of the Authorization header
+// pH and EC are exported calibrated
+app.get('/api/readings/export', async (req, res) => {
+  let query = req.query;
+  let email = req.profile?.email;
+  if (req.query.token) {
+    const link = verifyExportLink(req.query.token);
+    if (!link) {
+      return res.status(401).json({ error: 'This download link is invalid or has expired.' });
+    }
+    ({ query, email } = link);
+  }
+
+  const { from, to, plant_name } = query;
+  const { errors, format, columns } = validateExportQuery(query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  let system;
+  let calibrations;
+  try {
+    system = await getSystem(query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
+    }
+    calibrations = await getCalibrations(system.id);
+  } catch (error) {
+    console.error('Error starting readings export:', error);
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Plant ranges for the in-range flags, looked up once per plant name
+  const plants = new Map();
+  const getPlant = (name) => {
+    if (!plants.has(name)) plants.set(name, name ? getPlantProfileByName(name) : Promise.resolve(null));
+    return plants.get(name);
+  };
+
+  const toRecord = async (reading) => {
+    const plant = await getPlant(reading.plant_name);
+    const full = { ...reading, system: system.name };
+    for (const metric of AGGREGATE_METRICS) {
+      const range = getMetricRange(plant, metric);
+      full[`${metric}_in_range`] = range ? isInRange(reading[metric], range) : null;
+    }
+    return Object.fromEntries(columns.map(column => [column, full[column] ?? null]));
+  };
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `${system.name}_${plant_name || 'all'}_readings.${extension}`.replace(/[^\w.-]+/g, '_');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  let rows = 0;
+
+  try {
+    const workbook = format === 'xlsx'
+      ? new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false })
+      : null;
+    const worksheet = workbook?.addWorksheet('Readings');
+
+    if (worksheet) worksheet.addRow(columns).commit();
+    if (format === 'csv') await writeChunk(res, columns.join(',') + '\n');
+
+    const filters = {
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString(),
+      plantName: plant_name,
+    };
+    for await (const page of readingPages(system.id, filters)) {
+      if (closed) break;  // Client went away, stop reading
+      const records = await Promise.all(calibrateReadings(page, calibrations).map(toRecord));
+      rows += records.length;
+      if (worksheet) {
+        // Timestamps become Excel dates so spreadsheets can sort and chart them
+        records.forEach(record => worksheet.addRow(columns.map(column => (
+          column === 'created_at' ? new Date(record[column]) : record[column]
+        ))).commit());
+        // The workbook writer pipes into the response without waiting, so hold off while a slow client catches up
+        await drained(res);
+      } else if (format === 'csv') {
+        await writeChunk(res, records.map(record => columns.map(column => csvField(record[column])).join(',')).join('\n') + '\n');
+      } else {
+        await writeChunk(res, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+      }
+    }
+
+    if (workbook) {
+      worksheet.commit();
+      await workbook.commit();  // Ends the response
+    } else {
+      res.end();
+    }
+    console.log(`✅ Exported ${rows} readings of ${system.name} as ${format} for ${email}`);
+  } catch (error) {
+    // Headers are already sent, so the client can only see the download break off
+    console.error('❌ Error exporting readings:', error);
+    res.destroy(error);
+  }
+});
+
+// Historical Import
+// Readings from an earlier logger or buffered by an offline controller are uploaded as CSV by an admin.
+// A dry run validates every row and reports what would be imported; the real run inserts in batches.
+// Imported rows keep their own timestamps and are not alerted on (see handleNewReading)
+const IMPORT_FIELDS = ['created_at', 'ph', 'ec', 'water_temperature', 'pump1', 'pump2', 'pump3', 'pump4', 'plant_name'];
+const MAX_IMPORT_ROWS = 100000;
+const IMPORT_PREVIEW_ROWS = 20;
+const MAX_PLAUSIBLE_EC = 20;  // mS/cm; anything higher was almost certainly logged in µS/cm
+
+// Header names recognised when no mapping is given, after lowercasing and dropping units and punctuation
+const IMPORT_HEADER_ALIASES = {
+  created_at: ['createdat', 'timestamp', 'time', 'datetime', 'date'],
+  ph: ['ph'],
+  ec: ['ec', 'conductivity'],
+  water_temperature: ['watertemperature', 'watertemp', 'temperature', 'temp'],
+  pump1: ['pump1'],
+  pump2: ['pump2'],
+  pump3: ['pump3'],
+  pump4: ['pump4'],
+  plant_name: ['plantname', 'plant'],
+};
+
+const IMPORT_BOOLEANS = { true: true, false: false, 1: true, 0: false, on: true, off: false, yes: true, no: false, '': false };
+
+// Cutoff of the latest successful retention run, or null if retention has never completed
+async function getRetentionCutoff() {
+  const { data, error } = await supabase
+    .from('retention_runs')
+    .select('cutoff')
+    .not('finished_at', 'is', null)
+    .is('error', null)
+    .order('cutoff', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data[0]?.cutoff || null;
+}
+
+// Which of the given Unix seconds already have a reading of the system
+// The database is read in windows around runs of the file's timestamps, so a file spanning months does not load
+// every reading in between, and only matching seconds are kept
+const IMPORT_WINDOW_ROWS = 500;
+const IMPORT_WINDOW_GAP_SECONDS = 60 * 60;
+
+async function findExistingSeconds(systemId, seconds) {
+  const wanted = new Set(seconds);
+  const sorted = [...wanted].sort((a, b) => a - b);
+  const existing = new Set();
+  let start = 0;
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i < sorted.length && i - start < IMPORT_WINDOW_ROWS && sorted[i] - sorted[i - 1] <= IMPORT_WINDOW_GAP_SECONDS) continue;
+    const from = new Date(sorted[start] * 1000).toISOString();
+    const to = new Date(sorted[i - 1] * 1000 + 999).toISOString();
+    for await (const page of readingPages(systemId, { from, to })) {
+      for (const reading of page) {
+        const second = Math.floor(new Date(reading.created_at).getTime() / 1000);
+        if (wanted.has(second)) existing.add(second);
+      }
+    }
+    start = i;
+  }
+  return existing;
+}
+
+// Parse CSV text into records of fields, each with the line it starts on
+// Handles quoted fields with doubled quotes and line breaks, CRLF or LF line endings; blank lines are skipped
+function parseCsv(text, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRecord();
+  return records;
+}
+
+// Comma, semicolon or tab, whichever the header line uses most
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+}
+
+// Map fields to CSV headers by their names
+function guessImportMapping(headers) {
+  const normalize = (header) => header.replace(/\(.*\)|\[.*\]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(IMPORT_HEADER_ALIASES)) {
+    const header = headers.find(h => aliases.includes(normalize(h)) && !Object.values(mapping).includes(h));
+    if (header) mapping[field] = header;
   }
-  
-  try { 
-    bot.processUpdate(req.body); // Process the incoming update and trigger any relevant handlers
-    console.log('✅ Update processed successfully'); // Log successful processing
-    res.sendStatus(200); 
-  } catch (error) {
-    console.error('❌ Error processing update:', error);
-    res.sendStatus(500);
+  return mapping;
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const zoneFormatters = new Map();
+function timezoneOffset(timezone, ms) {
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
   }
-});
+  const parts = zoneFormatters.get(timezone).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - Math.floor(ms / 1000) * 1000;
+}
 
-// Function to set webhook
-// This function sets the webhook URL for the Telegram bot
-// It first deletes any existing webhook, then sets the new one
-// This is useful for ensuring the bot always has the correct webhook URL
-async function setWebhook() {
-  if (!bot) {
-    console.error('❌ Bot not initialized, cannot set webhook');
-    return;
+// Parse an imported timestamp into milliseconds, or null if it is not recognised
+// Accepts ISO 8601 with an offset or Z, "YYYY-MM-DD HH:MM[:SS]" in the import's timezone,
+// and Unix time in seconds or milliseconds
+function parseImportTimestamp(value, timezone) {
+  if (/^\d{10}(\.\d+)?$/.test(value)) return Math.round(Number(value) * 1000);
+  if (/^\d{13}$/.test(value)) return Number(value);
+  if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
   }
-  
-  try {
-    // First, delete any existing webhook
-    await bot.deleteWebHook();
-    console.log('✅ Existing webhook deleted');
-    
-    const webhookUrl = `https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend/webhook`;
-    await bot.setWebHook(webhookUrl);
-    console.log('✅ Webhook set successfully:', webhookUrl);
-  } catch (error) {
-    console.error('❌ Failed to set webhook:', error);
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?$/.exec(value);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second) + Math.round(Number(match[7] || 0) * 1000);
+  const check = new Date(asUtc);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;  // e.g. 2024-02-30 or 25:00
   }
+  // Correct by the zone's offset, then again in case the first guess fell on the other side of a DST change
+  const guess = asUtc - timezoneOffset(timezone, asUtc);
+  return asUtc - timezoneOffset(timezone, guess);
 }
 
-// User CRUD Operations
-// Create user
-app.post('/api/users', async (req, res) => {
-  console.log('Creating user:', req.body);
-  const { email, password, role } = req.body;
-  try {
-    // Create auth user
-    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-      email,
-      password,
-    });
-    if (authError) {
-      console.error('Auth error:', authError);
-      throw authError;
+// Turn one CSV record into a sensor_data row
+// Returns { errors } or { row }; values are converted to the stored units and then validated like live readings
+function parseImportRecord(record, mapping, options, now) {
+  const value = (field) => (mapping[field] == null ? undefined : (record[mapping[field]] ?? '').trim());
+  const errors = [];
+  const input = {};
+
+  const timestamp = value('created_at');
+  const ms = timestamp ? parseImportTimestamp(timestamp, options.timezone) : null;
+  if (!timestamp) {
+    errors.push('Missing timestamp.');
+  } else if (ms === null) {
+    errors.push(`Unrecognised timestamp "${timestamp}".`);
+  } else if (ms > now) {
+    errors.push('Timestamp is in the future.');
+  }
+
+  for (const metric of Object.keys(READING_LIMITS)) {
+    const raw = value(metric);
+    const number = Number(/^-?\d+,\d+$/.test(raw) ? raw.replace(',', '.') : raw);  // Decimal commas from European spreadsheets
+    if (!raw) {
+      errors.push(`${metric} is missing.`);
+      continue;
+    }
+    if (!Number.isFinite(number)) {
+      errors.push(`${metric} is not a number: "${raw}".`);
+      continue;
     }
+    if (metric === 'ec' && options.ecUnit === 'uS/cm') {
+      input.ec = Math.round(number) / 1000;
+    } else if (metric === 'water_temperature' && options.temperatureUnit === 'F') {
+      input.water_temperature = Math.round((number - 32) * 5 / 9 * 100) / 100;
+    } else {
+      input[metric] = number;
+    }
+  }
+  if (input.ec > MAX_PLAUSIBLE_EC) {
+    errors.push(`EC ${input.ec} mS/cm is implausibly high; was it logged in µS/cm?`);
+  }
 
-    // Create profile
-    const { error: profileError } = await supabase
-      .from('profiles')
-      .insert([{
-        id: authData.user.id,
-        email,
-        role,
-      }]);
-    if (profileError) {
-      console.error('Profile error:', profileError);
-      throw profileError;
+  for (const pump of PUMP_FIELDS) {
+    const raw = value(pump);
+    if (raw === undefined) continue;
+    const flag = IMPORT_BOOLEANS[raw.toLowerCase()];
+    if (flag === undefined) {
+      errors.push(`${pump} must be true/false, 1/0, on/off or yes/no, not "${raw}".`);
+    } else {
+      input[pump] = flag;
     }
+  }
 
-    console.log('User created successfully:', authData.user.id);
-    res.json({ user: authData.user });
-  } catch (error) {
-    console.error('Error creating user:', error);
-    res.status(400).json({ 
-      error: error.message,
-      details: error.details || 'Unknown error occurred'
-    });
+  if (errors.length > 0) {
+    return { errors };
   }
-});
+  const { errors: readingErrors, reading } = validateReading(input);
+  if (readingErrors) {
+    return { errors: readingErrors };
+  }
+  return {
+    row: {
+      ...reading,
+      plant_name: value('plant_name') || options.plantName,
+      created_at: new Date(ms).toISOString(),
+    },
+  };
+}
 
-// Get all users
-app.get('/api/users', async (req, res) => { // Fetch all users from profiles table
-  console.log('Fetching all users');
-  try {
-    const { data, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .order('created_at', { ascending: false });
-    
-    if (error) {
-      console.error('Error fetching users:', error);
-      throw error;
+// Import readings from CSV (admin only)
+// Body: the CSV file with a header line, sent as text/csv
+// Query: dry_run (default true; false to insert), system_id, mapping (JSON object of sensor_data field -> CSV header,
+// guessed from the headers when missing), ec_unit (mS/cm or uS/cm), temperature_unit (C or F),
+// timezone (of timestamps without an offset, default UTC), plant_name (for rows without a plant column,
+// default the system's selected plant)
+// A row is a duplicate if the system already has a reading in the same second, or an earlier row of the file does.
+// Rows before the last retention cutoff are rejected: those readings now live only in the rollups, so duplicates
+// cannot be detected and the raw rows would be purged on the next run without being rolled up
+app.post('/api/readings/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+  const dryRun = req.query.dry_run !== 'false';
+  const ecUnit = req.query.ec_unit || 'mS/cm';
+  const temperatureUnit = req.query.temperature_unit || 'C';
+  const timezone = req.query.timezone || 'UTC';
+  const text = typeof req.body === 'string' ? req.body.replace(/^\uFEFF/, '') : '';
+
+  const errors = [];
+  let mapping = null;
+  if (req.query.mapping) {
+    try {
+      mapping = JSON.parse(req.query.mapping);
+    } catch {
+      errors.push('mapping must be a JSON object.');
     }
-    
-    console.log(`Successfully fetched ${data.length} users`);
-    res.json(data);
-  } catch (error) {
-    console.error('Error in GET /api/users:', error);
-    res.status(400).json({ 
-      error: error.message,
-      details: error.details || 'Unknown error occurred'
-    });
   }
-});
+  if (!text.trim()) errors.push('Upload a CSV file with a header line.');
+  if (!['mS/cm', 'uS/cm'].includes(ecUnit)) errors.push('ec_unit must be mS/cm or uS/cm.');
+  if (!['C', 'F'].includes(temperatureUnit)) errors.push('temperature_unit must be C or F.');
+  if (!isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}.`);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  const [header, ...records] = parseCsv(text, detectDelimiter(text));
+  const headers = header.fields.map(h => h.trim());
+  mapping = mapping || guessImportMapping(headers);
+
+  const mappingErrors = [];
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) mappingErrors.push(`Unknown field: ${field}.`);
+    else if (column != null && !headers.includes(column)) mappingErrors.push(`${field} is mapped to a missing column: ${column}.`);
+  }
+  for (const field of ['created_at', ...Object.keys(READING_LIMITS)]) {
+    if (mapping[field] == null) mappingErrors.push(`Map a column to ${field}.`);
+  }
+  if (records.length > MAX_IMPORT_ROWS) mappingErrors.push(`An import may contain at most ${MAX_IMPORT_ROWS} rows; split the file.`);
+  if (mappingErrors.length > 0) {
+    return res.status(400).json({ error: mappingErrors.join(' '), headers, mapping });
+  }
 
-// Update user
-app.put('/api/users/:id', async (req, res) => { // Update user by ID
-  const { id } = req.params;
-  const { email, password, role } = req.body;
-  console.log(`Updating user ${id}:`, req.body);
-  
   try {
-    // Update auth user
-    const updateData = { email };
-    if (password) updateData.password = password;
-    
-    const { data: authData, error: authError } = await supabase.auth.admin.updateUserById(id, updateData);
-    if (authError) {
-      console.error('Auth update error:', authError);
-      throw authError;
+    const system = await getSystem(req.query.system_id);
+    if (!system) {
+      return res.status(400).json({ error: 'Grow system not found.' });
     }
+    const plant = system.selected_plant_id ? await getPlantProfile(system.selected_plant_id) : null;
+    const options = { ecUnit, temperatureUnit, timezone, plantName: req.query.plant_name || plant?.name || null };
 
-    // Update profile
-    const { error: profileError } = await supabase  
-      .from('profiles')
-      .update({ email, role })
-      .eq('id', id);
-    if (profileError) {
-      console.error('Profile update error:', profileError);
-      throw profileError;
-    }
+    const retentionCutoff = await getRetentionCutoff();
 
-    console.log('User updated successfully:', id);
-    res.json({ user: authData.user });
-  } catch (error) {
-    console.error('Error updating user:', error);
-    res.status(400).json({ 
-      error: error.message,
-      details: error.details || 'Unknown error occurred'
-    });
-  }
-});
+    // Validate every row
+    const now = Date.now();
+    const rejected = [];
+    const valid = [];
+    for (const record of records) {
+      const fields = Object.fromEntries(headers.map((h, i) => [h, record.fields[i]]));
+      const { errors: rowErrors, row } = parseImportRecord(fields, mapping, options, now);
+      if (rowErrors) {
+        rejected.push({ line: record.line, errors: rowErrors });
+      } else if (retentionCutoff && new Date(row.created_at) < new Date(retentionCutoff)) {
+        rejected.push({ line: record.line, errors: [`Before the last retention cutoff (${retentionCutoff}); this period is only kept as rollups.`] });
+      } else {
+        valid.push({ line: record.line, row });
+      }
+    }
 
-// Delete user
-app.delete('/api/users/:id', async (req, res) => {  // Delete user by ID
-  const { id } = req.params;
-  console.log(`Deleting user ${id}`);
-  
-  try {
-    // Delete from auth
-    const { error: authError } = await supabase.auth.admin.deleteUser(id);
-    if (authError) {
-      console.error('Auth delete error:', authError);
-      throw authError;
+    // Drop duplicates of existing readings and of earlier rows in the file
+    const seconds = (iso) => Math.floor(new Date(iso).getTime() / 1000);
+    const taken = new Map();  // second -> line of the file that has it, or 0 for the database
+    for (const second of await findExistingSeconds(system.id, valid.map(({ row }) => seconds(row.created_at)))) {
+      taken.set(second, 0);
+    }
+    const rows = [];
+    let duplicates = 0;
+    for (const { line, row } of valid) {
+      const second = seconds(row.created_at);
+      if (taken.has(second)) {
+        const other = taken.get(second);
+        rejected.push({ line, errors: [other ? `Duplicate of line ${other}.` : 'A reading with this timestamp already exists.'] });
+        duplicates++;
+        continue;
+      }
+      taken.set(second, line);
+      rows.push({ line, row: { ...row, system_id: system.id } });
     }
 
-    // Delete from profiles
-    const { error: profileError } = await supabase  
-      .from('profiles')
-      .delete()
-      .eq('id', id);
-    if (profileError) {
-      console.error('Profile delete error:', profileError);
-      throw profileError;
+    // Insert in batches; a failing batch is reported and the rest carry on
+    let inserted = 0;
+    if (!dryRun) {
+      for (let i = 0; i < rows.length; i += MAX_BATCH_SIZE) {
+        const batch = rows.slice(i, i + MAX_BATCH_SIZE);
+        const { error } = await supabase.from('sensor_data').insert(batch.map(({ row }) => row));
+        if (error) {
+          console.error('❌ Error inserting imported readings:', error);
+          batch.forEach(({ line }) => rejected.push({ line, errors: [`Insert failed: ${error.message}`] }));
+        } else {
+          inserted += batch.length;
+        }
+      }
+      console.log(`✅ Imported ${inserted} of ${records.length} readings into ${system.name} for ${req.profile.email}`);
     }
 
-    console.log('User deleted successfully:', id);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error deleting user:', error);
-    res.status(400).json({ 
-      error: error.message,
-      details: error.details || 'Unknown error occurred'
+    rejected.sort((a, b) => a.line - b.line);
+    const times = rows.map(({ row }) => row.created_at).sort();
+    res.status(dryRun ? 200 : 201).json({
+      dry_run: dryRun,
+      headers,
+      mapping,
+      total: records.length,
+      importable: rows.length,
+      duplicates,
+      inserted,
+      from: times[0] || null,
+      to: times[times.length - 1] || null,
+      retention_cutoff: retentionCutoff,
+      preview: rows.slice(0, IMPORT_PREVIEW_ROWS).map(({ line, row }) => ({ line, ...row })),
+      rejected,
     });
-  }
-});
-
-// Plant CRUD Operations
-// Create plant
-app.post('/api/plants', async (req, res) => {  // Create new plant profile
-  try {
-    const { error } = await supabase
-      .from('plant_profiles')
-      .insert([req.body]);
-    if (error) throw error;
-    res.json({ success: true });
   } catch (error) {
+    console.error('Error importing readings:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all plants (including multiplant)
-app.get('/api/plants', async (req, res) => {
-  try {
-    // Get regular plants
-    const { data: plants, error: plantsError } = await supabase
-      .from('plant_profiles')
-      .select('*');
-    
-    if (plantsError) throw plantsError;
+// Data Retention
+// Raw readings are kept for RAW_RETENTION_DAYS; older ones are rolled up into hourly and daily aggregates
+// (sensor_data_hourly and sensor_data_daily) and then deleted. Hourly rollups are kept for HOURLY_RETENTION_DAYS,
+// daily rollups forever. The rollup and purge run in one database transaction (apply_sensor_retention, see README)
+// and aggregate_readings reads the rollups for ranges that no longer have raw rows.
+// Retention deletes data, so it is off unless RAW_RETENTION_DAYS is set (0 or unset keeps raw readings forever)
+const RAW_RETENTION_DAYS = Number(process.env.RAW_RETENTION_DAYS) || 0;
+// /stats, /graph, digests and the alert rules read up to 7 days of raw readings
+const MIN_RAW_RETENTION_DAYS = 7;
+const HOURLY_RETENTION_DAYS = Number(process.env.HOURLY_RETENTION_DAYS) || 730;
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const RETENTION_STEP_DAYS = 7;  // Days rolled up per transaction
+const RETENTION_MAX_RUN_MS = 60 * 60 * 1000;
+const RETENTION_TABLES = ['sensor_data', 'sensor_data_hourly', 'sensor_data_daily'];
 
-    // Get multiplant profile
-    const { data: multiplant, error: multiplantError } = await supabase
-      .from('multiplant_profile')
-      .select('*');
+let retentionRunning = false;
 
-    if (multiplantError) throw multiplantError;
+// Start of the UTC day `days` days ago; cutoffs fall on whole days so rollup buckets are always complete
+function retentionCutoff(days) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  cutoff.setUTCHours(0, 0, 0, 0);
+  return cutoff;
+}
 
-    // Combine both sets of data
-    const allPlants = [...(plants || []), ...(multiplant || [])];
-    res.json(allPlants);
+// Start a retention run and return its retention_runs row; the rollup and purge continue in the background
+// and record their outcome on that row. Returns null if retention is disabled or a run is already in progress
+async function startRetention(triggeredBy = 'schedule') {
+  if (!RAW_RETENTION_DAYS || retentionRunning) {
+    return null;
+  }
+  retentionRunning = true;
+
+  const rawDays = Math.max(RAW_RETENTION_DAYS, MIN_RAW_RETENTION_DAYS);
+  const cutoff = retentionCutoff(rawDays);
+  const hourlyCutoff = retentionCutoff(Math.max(HOURLY_RETENTION_DAYS, rawDays));
+  try {
+    const { data: run, error } = await supabase
+      .from('retention_runs')
+      .insert([{ cutoff: cutoff.toISOString(), hourly_cutoff: hourlyCutoff.toISOString(), triggered_by: triggeredBy }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    applyRetention(run, cutoff, hourlyCutoff).finally(() => {
+      retentionRunning = false;
+    });
+    return run;
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    retentionRunning = false;
+    console.error('❌ Error starting data retention:', error);
+    throw error;
   }
-});
+}
 
-// Update plant
-app.put('/api/plants/:id', async (req, res) => {  // Update plant profile by ID
-  const { id } = req.params;
+// Roll up and purge readings before `cutoff` and hourly rollups before `hourlyCutoff` for a started run
+async function applyRetention(run, cutoff, hourlyCutoff) {
   try {
-    // Try updating in plant_profiles first
-    let { error: plantError } = await supabase
-      .from('plant_profiles')
-      .update(req.body)
-      .eq('id', id);
+    // Work through the backlog a week at a time so each transaction stays short,
+    // even on the first run over a large table
+    // A step that does not move past the previous one (rows that cannot be purged, e.g. while locked)
+    // or a run over the time limit ends with an error instead of looping forever
+    let purged = 0;
+    let hourlyPurged = 0;
+    let previousStep = null;
+    const deadline = Date.now() + RETENTION_MAX_RUN_MS;
+    for (;;) {
+      if (Date.now() > deadline) {
+        throw new Error(`Stopped after ${RETENTION_MAX_RUN_MS / 60000} minutes; the next run continues where this one stopped.`);
+      }
+      const { data: oldest, error: oldestError } = await supabase
+        .from('sensor_data')
+        .select('created_at')
+        .not('system_id', 'is', null)
+        .lt('created_at', cutoff.toISOString())
+        .order('created_at', { ascending: true })
+        .limit(1);
+      if (oldestError) throw oldestError;
 
-    if (plantError) {
-      // If not found in plant_profiles, try multiplant_profile
-      const { error: multiplantError } = await supabase
-        .from('multiplant_profile')
-        .update(req.body)
-        .eq('id', id);
+      const step = oldest.length > 0 ? new Date(oldest[0].created_at) : cutoff;
+      step.setUTCHours(0, 0, 0, 0);
+      step.setUTCDate(step.getUTCDate() + RETENTION_STEP_DAYS);
+      const stepCutoff = step < cutoff ? step : cutoff;
+      if (previousStep && stepCutoff <= previousStep) {
+        throw new Error(`Readings before ${previousStep.toISOString()} were not purged; the job stopped making progress.`);
+      }
+      previousStep = stepCutoff;
 
-      if (multiplantError) throw multiplantError;
+      const { data: result, error } = await supabase.rpc('apply_sensor_retention', {
+        p_cutoff: stepCutoff.toISOString(),
+        p_hourly_cutoff: hourlyCutoff.toISOString(),
+        p_max_gap_seconds: STALE_DATA_THRESHOLD_MINUTES * 60,  // Same cap as the pump times in /stats
+      });
+      if (error) throw error;
+      purged += Number(result[0].purged);
+      hourlyPurged += Number(result[0].hourly_purged);
+      if (stepCutoff === cutoff) break;
     }
 
-    res.json({ success: true });
+    const { error: updateError } = await supabase
+      .from('retention_runs')
+      .update({ finished_at: new Date().toISOString(), purged, hourly_purged: hourlyPurged })
+      .eq('id', run.id);
+    if (updateError) throw updateError;
+
+    console.log(`✅ Retention: rolled up and purged ${purged} readings before ${cutoff.toISOString()}, purged ${hourlyPurged} hourly rollups`);
+  } catch (err) {
+    console.error('❌ Error applying data retention:', err);
+    const { error } = await supabase
+      .from('retention_runs')
+      .update({ finished_at: new Date().toISOString(), error: err.message })
+      .eq('id', run.id);
+    if (error) {
+      console.error('❌ Failed to record the retention error:', error);
+    }
+  }
+}
+
+// Retention settings, table sizes, oldest row of each table and the last runs (admin only)
+app.get('/api/retention/stats', requireAdmin, async (req, res) => {
+  try {
+    const oldest = (table, column) => supabase.from(table).select(column).order(column, { ascending: true }).limit(1);
+    const [{ data: tables, error }, ...rest] = await Promise.all([
+      supabase.rpc('sensor_storage_stats'),
+      oldest('sensor_data', 'created_at'),
+      oldest('sensor_data_hourly', 'bucket'),
+      oldest('sensor_data_daily', 'bucket'),
+      supabase.from('retention_runs').select('*').order('started_at', { ascending: false }).limit(10),
+    ]);
+    if (error) throw error;
+    const failed = rest.find(r => r.error);
+    if (failed) throw failed.error;
+    const [raw, hourly, daily, runs] = rest.map(r => r.data);
+
+    const oldestAt = {
+      sensor_data: raw[0]?.created_at || null,
+      sensor_data_hourly: hourly[0]?.bucket || null,
+      sensor_data_daily: daily[0]?.bucket || null,
+    };
+    res.json({
+      enabled: !!RAW_RETENTION_DAYS,
+      running: retentionRunning,
+      rawRetentionDays: RAW_RETENTION_DAYS ? Math.max(RAW_RETENTION_DAYS, MIN_RAW_RETENTION_DAYS) : null,
+      hourlyRetentionDays: HOURLY_RETENTION_DAYS,
+      tables: RETENTION_TABLES.map(name => {
+        const stats = tables.find(t => t.table_name === name);
+        return { name, rows: stats?.row_estimate ?? null, bytes: stats?.total_bytes ?? null, oldest: oldestAt[name] };
+      }),
+      runs,
+    });
   } catch (error) {
+    console.error('Error fetching storage stats:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Delete plant
-app.delete('/api/plants/:id', async (req, res) => {  // Delete plant profile by ID
-  const { id } = req.params;
+// Start the retention job now (admin only)
+// Responds 202 with the run as soon as it has started; poll /api/retention/stats for its outcome
+app.post('/api/retention/run', requireAdmin, async (req, res) => {
+  if (!RAW_RETENTION_DAYS) {
+    return res.status(409).json({ error: 'Retention is disabled (RAW_RETENTION_DAYS=0).' });
+  }
+  if (retentionRunning) {
+    return res.status(409).json({ error: 'The retention job is already running.' });
+  }
   try {
-    const { error } = await supabase
-      .from('plant_profiles')
-      .delete()
-      .eq('id', id);
-    if (error) throw error;
-    res.json({ success: true });
+    const run = await startRetention(req.profile.email);
+    res.status(202).json({ run });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
 // Sensor Data Operations
-app.delete('/api/sensor-data', async (req, res) => {  // Delete multiple sensor data records by IDs
+app.delete('/api/sensor-data', requireAdmin, async (req, res) => {  // Delete multiple sensor data records by IDs
   const { ids } = req.body;
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -590,15 +5860,17 @@ app.delete('/api/sensor-data', async (req, res) => {  // Delete multiple sensor
 
 // Add health check endpoint
 app.get('/health', (req, res) => {  // Health check endpoint to verify server is running
+  const sensorData = getSensorDataHealth();
   res.json({ 
-    status: 'ok',
+    status: sensorData.status === 'ok' ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    sensorData
   });
 });
 
 // Test endpoint to manually set webhook
-app.post('/api/set-webhook', async (req, res) => {  // Endpoint to manually set the webhook and test it
+app.post('/api/set-webhook', requireAdmin, async (req, res) => {  // Endpoint to manually set the webhook and test it
   try {
     await setWebhook();
     res.json({ success: true, message: 'Webhook set successfully' });
@@ -635,4 +5907,32 @@ app.listen(PORT, () => {
   
   // Set the webhook only after the server has started listening
   setWebhook();
+
+  // Start watching for controllers that stop sending data
+  if (supabase) {
+    checkSensorSilence();
+    setInterval(checkSensorSilence, WATCHDOG_INTERVAL_MS);
+    console.log(`✅ Sensor watchdog started (threshold: ${STALE_DATA_THRESHOLD_MINUTES} min)`);
+
+    // Send daily and weekly digests at each chat's local time
+    setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL_MS);
+    console.log('✅ Digest scheduler started');
+
+    // Fail pump commands the controller never picked up or reported back on
+    setInterval(expirePumpCommands, PUMP_COMMAND_SWEEP_INTERVAL_MS);
+    console.log('✅ Pump command sweep started');
+
+    // Remind about probes that are due for calibration
+    checkCalibrationsDue();
+    setInterval(checkCalibrationsDue, CALIBRATION_CHECK_INTERVAL_MS);
+    console.log(`✅ Calibration reminders started (checked hourly, due every ${CALIBRATION_INTERVAL_DAYS} days)`);
+
+    // Roll up and purge old raw readings once a day
+    if (RAW_RETENTION_DAYS) {
+      const runScheduledRetention = () => startRetention().catch(() => {});  // Logged by startRetention
+      runScheduledRetention();
+      setInterval(runScheduledRetention, RETENTION_INTERVAL_MS);
+      console.log(`✅ Data retention started (raw readings kept ${Math.max(RAW_RETENTION_DAYS, MIN_RAW_RETENTION_DAYS)} days)`);
+    }
+  }
 });
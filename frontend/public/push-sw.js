@@ -0,0 +1,39 @@
+/* Service worker for alert push notifications
+ * The backend sends a JSON payload: { title, body, severity, alertId, url }
+ * Notifications are shown even when no tab of the app is open
+ */
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { title: 'Hydroponic Monitoring', body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Hydroponic Monitoring', {
+      body: data.body || '',
+      tag: data.alertId || undefined,   // One notification per alert
+      requireInteraction: data.severity === 'critical',
+      data: { url: data.url || '/alerts' },
+    })
+  );
+});
+
+// Open the alert history when a notification is clicked, reusing an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/alerts';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find(c => c.url.startsWith(self.location.origin));
+      if (client) {
+        client.navigate(url);
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-d
 import { useState, useEffect } from "react";
 import { supabase } from "./supabaseClient";
 import { NotificationProvider } from "./context/NotificationContext";
+import { SystemProvider } from "./context/SystemContext";
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import Dashboard from "./components/Dashboard";
 import ViewData from "./components/ViewData";
@@ -12,8 +13,18 @@ import Login from "./components/Login";
 import Register from "./components/Register";
 import ManageUsers from "./components/ManageUsers";
 import ManagePlants from "./components/ManagePlants";
+import ManageDevices from "./components/ManageDevices";
+import ManageSystems from "./components/ManageSystems";
 import RawDataView from "./components/RawDataView";
 import MultiPlantSelector from "./components/MultiplantSelector";
+import ManageAlertRules from "./components/ManageAlertRules";
+import AlertHistory from "./components/AlertHistory";
+import ManageTelegramSubscribers from "./components/ManageTelegramSubscribers";
+import ManageNotificationChannels from "./components/ManageNotificationChannels";
+import DosingLog from "./components/DosingLog";
+import ProbeCalibration from "./components/ProbeCalibration";
+import ImportData from "./components/ImportData";
+import StorageStats from "./components/StorageStats";
 
 const queryClient = new QueryClient(); // Create a new QueryClient instance
 
@@ -63,95 +74,178 @@ function App() {
           {/* This allows components to access notification functionality */}
           {/* NotificationProvider is used to manage notifications across the app */}
           <NotificationProvider> 
-            <Routes>
-              {/* Public Routes */}
-              <Route path="/login" element={<Login />} />
-              <Route path="/register" element={<Register />} />
+            {/* SystemProvider tracks which grow system all views are scoped to */}
+            <SystemProvider>
+              <Routes>
+                {/* Public Routes */}
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
 
-              {/* Protected Routes */}
-              <Route
-                path="/"
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/dashboard"
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/view-data"
-                element={
-                  <ProtectedRoute>
-                    <ViewData />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/view-optimised-level"
-                element={
-                  <ProtectedRoute>
-                    <ViewOptimisedLevel />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/view-graph"
-                element={
-                  <ProtectedRoute>
-                    <ViewGraph />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/select-plant"
-                element={
-                  <ProtectedRoute>
-                    <SelectPlant />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/raw-data"
-                element={
-                  <ProtectedRoute>
-                    <RawDataView />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/multiplant-selector"
-                element={
-                  <ProtectedRoute>
-                    <MultiPlantSelector />
-                  </ProtectedRoute>
-                }
-              />
+                {/* Protected Routes */}
+                <Route
+                  path="/"
+                  element={
+                    <ProtectedRoute>
+                      <Dashboard />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/dashboard"
+                  element={
+                    <ProtectedRoute>
+                      <Dashboard />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/view-data"
+                  element={
+                    <ProtectedRoute>
+                      <ViewData />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/view-optimised-level"
+                  element={
+                    <ProtectedRoute>
+                      <ViewOptimisedLevel />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/view-graph"
+                  element={
+                    <ProtectedRoute>
+                      <ViewGraph />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/select-plant"
+                  element={
+                    <ProtectedRoute>
+                      <SelectPlant />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/raw-data"
+                  element={
+                    <ProtectedRoute>
+                      <RawDataView />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/multiplant-selector"
+                  element={
+                    <ProtectedRoute>
+                      <MultiPlantSelector />
+                    </ProtectedRoute>
+                  }
+                />
 
-              {/* Admin-only Routes */} 
-              <Route
-                path="/manage-users"
-                element={
-                  <ProtectedRoute requireAdmin={true}>
-                    <ManageUsers />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/manage-plants"
-                element={
-                  <ProtectedRoute requireAdmin={true}>
-                    <ManagePlants />
-                  </ProtectedRoute>
-                }
-              />
-            </Routes>
+                <Route
+                  path="/alerts"
+                  element={
+                    <ProtectedRoute>
+                      <AlertHistory />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/dosing"
+                  element={
+                    <ProtectedRoute>
+                      <DosingLog />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/calibration"
+                  element={
+                    <ProtectedRoute>
+                      <ProbeCalibration />
+                    </ProtectedRoute>
+                  }
+                />
+                {/* Admin-only Routes */} 
+                <Route
+                  path="/manage-users"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageUsers />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/manage-plants"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManagePlants />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/manage-devices"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageDevices />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/manage-systems"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageSystems />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/alert-rules"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageAlertRules />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/telegram-subscribers"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageTelegramSubscribers />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/notification-channels"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ManageNotificationChannels />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/import"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <ImportData />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/storage"
+                  element={
+                    <ProtectedRoute requireAdmin={true}>
+                      <StorageStats />
+                    </ProtectedRoute>
+                  }
+                />
+              </Routes>
+            </SystemProvider>
           </NotificationProvider>
         </QueryClientProvider>
       </Router>
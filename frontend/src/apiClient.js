@@ -0,0 +1,17 @@
+import { supabase } from './supabaseClient';
+
+export const BACKEND_URL = 'https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend';
+
+// Wrapper around fetch for calls to the backend API
+// It attaches the current Supabase session's access token as a Bearer token
+// so the backend can verify who is calling and what role they have
+export async function apiFetch(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const headers = { ...(options.headers || {}) };
+  if (session?.access_token) {
+    headers.Authorization = `Bearer ${session.access_token}`;
+  }
+
+  return fetch(`${BACKEND_URL}${path}`, { ...options, headers });
+}
@@ -0,0 +1,59 @@
+import { useQuery } from '@tanstack/react-query';
+import { apiFetch } from './apiClient';
+
+// Probe calibrations are stored as a straight line: corrected = slope × raw + offset
+// Each reading is corrected with the calibration of its probe that was current when the reading was taken,
+// the same way the backend corrects the values it sends to Telegram
+
+const PROBES = ['ph', 'ec'];
+const NO_CALIBRATIONS = [];  // Stable empty list, so hooks depending on it do not rerun on every render
+
+
+// Calibrations of a system, oldest first
+export function useCalibrations(systemId) {
+  const { data } = useQuery({
+    queryKey: ['calibrations', systemId],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/calibrations?system_id=${systemId}&limit=500`);
+      if (!response.ok) throw new Error('Failed to fetch calibrations');
+      const calibrations = await response.json();
+      return calibrations.reverse();
+    },
+    enabled: !!systemId,
+  });
+  return data || NO_CALIBRATIONS;
+}
+
+
+// Least-squares line through the buffer points (measured -> reference)
+// A single point is a one-point calibration through zero
+export function fitCalibration(points) {
+  if (points.length === 1) {
+    return { slope: points[0].reference / points[0].measured, offset: 0 };
+  }
+  const meanX = points.reduce((sum, p) => sum + p.measured, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.reference, 0) / points.length;
+  const sxy = points.reduce((sum, p) => sum + (p.measured - meanX) * (p.reference - meanY), 0);
+  const sxx = points.reduce((sum, p) => sum + (p.measured - meanX) ** 2, 0);
+  const slope = sxy / sxx;
+  return { slope, offset: meanY - slope * meanX };
+}
+
+
+// Return copies of the readings with pH and EC corrected
+// `calibrations` are one system's calibrations, oldest first
+export function calibrateReadings(readings, calibrations) {
+  if (calibrations.length === 0) return readings;
+  return readings.map((reading) => {
+    const corrected = { ...reading };
+    const takenAt = new Date(reading.created_at).getTime();
+    PROBES.forEach((probe) => {
+      if (corrected[probe] == null) return;
+      const calibration = calibrations.findLast(c => c.probe === probe && new Date(c.created_at).getTime() <= takenAt);
+      if (calibration) {
+        corrected[probe] = Math.round((calibration.slope * corrected[probe] + calibration.offset) * 100) / 100;
+      }
+    });
+    return corrected;
+  });
+}
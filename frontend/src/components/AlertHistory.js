@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { FaCheck, FaCheckDouble } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+const PAGE_SIZE = 25;
+
+const STATUS_STYLES = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-yellow-100 text-yellow-800',
+  resolved: 'bg-green-100 text-green-800',
+};
+
+const SEVERITY_STYLES = {
+  info: 'bg-blue-100 text-blue-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  critical: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_FILTERS = { status: '', severity: '', type: '', system_id: '', from: '', to: '' };
+
+
+// Format the reading snapshot stored with an alert
+const formatReading = (reading) => {
+  if (!reading) return '-';
+  return `pH ${reading.ph ?? '-'} · EC ${reading.ec ?? '-'} · ${reading.water_temperature ?? '-'}°C`;
+};
+
+
+function AlertHistory() {
+  const queryClient = useQueryClient();
+  const { systems } = useSystems();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const isAdmin = localStorage.getItem('userRole') === 'admin';  // Only admins may resolve alerts
+
+  // Build the query string from the filters
+  // Dates are whole days, so "to" includes everything up to the end of that day
+  const buildQuery = () => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+    ['status', 'severity', 'type', 'system_id'].forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+    if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+    return params.toString();
+  };
+
+  // Fetch one page of alerts
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['alerts', filters, page],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/alerts?${buildQuery()}`);
+      if (!response.ok) throw new Error('Failed to fetch alerts');
+      return response.json();
+    },
+    placeholderData: (previous) => previous,
+  });
+  const alerts = data?.alerts || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+
+  // Acknowledge/Resolve Mutation
+  const updateAlert = useMutation({
+    mutationFn: async ({ id, action }) => {
+      const response = await apiFetch(`/api/alerts/${id}/${action}`, { method: 'POST' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to ${action} alert`);
+      }
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['alerts'] })
+  });
+
+
+  // Changing a filter always goes back to the first page
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(0);
+  };
+
+  const systemName = (systemId) => systems.find(s => s.id === systemId)?.name || '-';
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching alerts
+
+  return (
+
+    // Render the Alert History page
+    // Filters at the top, then the alerts table with acknowledge/resolve actions and paging
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-7xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Alert History</h1>
+            <span className="text-green-200">{total} alert{total === 1 ? '' : 's'}</span>
+          </div>
+
+          {(error || updateAlert.error) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || updateAlert.error).message}
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8 grid grid-cols-2 md:grid-cols-6 gap-4">
+            <div>
+              <label className="block text-sm font-bold mb-2">Status</label>
+              <select
+                value={filters.status}
+                onChange={(e) => handleFilterChange('status', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All</option>
+                <option value="open">Open</option>
+                <option value="acknowledged">Acknowledged</option>
+                <option value="resolved">Resolved</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">Severity</label>
+              <select
+                value={filters.severity}
+                onChange={(e) => handleFilterChange('severity', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All</option>
+                <option value="info">Info</option>
+                <option value="warning">Warning</option>
+                <option value="critical">Critical</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">Type</label>
+              <select
+                value={filters.type}
+                onChange={(e) => handleFilterChange('type', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All</option>
+                <option value="pump">Pump</option>
+                <option value="rule">Alert rule</option>
+                <option value="stale">Stale data</option>
+                <option value="safety">Safety interlock</option>
+                <option value="calibration">Calibration due</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">System</label>
+              <select
+                value={filters.system_id}
+                onChange={(e) => handleFilterChange('system_id', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All systems</option>
+                {systems.map(system => (
+                  <option key={system.id} value={system.id}>{system.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">From</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">To</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              />
+            </div>
+          </div>
+
+          {/* Alerts List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg overflow-x-auto">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">System</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reading</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {alerts.map((alert) => (
+                  <tr key={alert.id}>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">{new Date(alert.created_at).toLocaleString()}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                      <p>{systemName(alert.system_id)}</p>
+                      {alert.plant_name && <p className="text-xs text-gray-400">{alert.plant_name}</p>}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs ${SEVERITY_STYLES[alert.severity] || ''}`}>{alert.severity}</span>
+                    </td>
+                    <td className="px-4 py-4 text-sm whitespace-pre-line">{alert.message}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">{formatReading(alert.reading)}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[alert.status] || ''}`}>{alert.status}</span>
+                      {alert.acknowledged_by && (
+                        <p className="text-xs text-gray-400 mt-1">Ack: {alert.acknowledged_by}</p>
+                      )}
+                      {alert.resolved_by && (
+                        <p className="text-xs text-gray-400">Resolved: {alert.resolved_by}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="flex gap-2">
+                        {alert.status === 'open' && (
+                          <button
+                            onClick={() => updateAlert.mutate({ id: alert.id, action: 'acknowledge' })}
+                            className="text-yellow-400 hover:text-yellow-200"
+                            title="Acknowledge"
+                          >
+                            <FaCheck />
+                          </button>
+                        )}
+                        {isAdmin && alert.status !== 'resolved' && (
+                          <button
+                            onClick={() => updateAlert.mutate({ id: alert.id, action: 'resolve' })}
+                            className="text-green-400 hover:text-green-200"
+                            title="Resolve"
+                          >
+                            <FaCheckDouble />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {alerts.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-4 text-center text-gray-400">No alerts match these filters</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+
+            {/* Paging */}
+            <div className="flex justify-between items-center mt-6">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-4 py-2 rounded-lg text-white"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-green-200">Page {page + 1} of {pageCount}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page + 1 >= pageCount}
+                className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-4 py-2 rounded-lg text-white"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default AlertHistory;
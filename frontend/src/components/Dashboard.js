@@ -1,9 +1,10 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { FaLeaf, FaFlask, FaChartLine, FaUsers, FaSeedling, FaTable, FaHome, FaTint, FaPlus, FaMinus, FaLayerGroup } from 'react-icons/fa';
+import { FaLeaf, FaFlask, FaChartLine, FaUsers, FaSeedling, FaTable, FaHome, FaTint, FaPlus, FaMinus, FaLayerGroup, FaMicrochip, FaWater, FaExclamationTriangle, FaHistory, FaTelegram, FaBullhorn, FaFillDrip, FaVial, FaFileImport, FaDatabase } from 'react-icons/fa';
 import Layout from './Layout';
 import { supabase } from '../supabaseClient';
-import { useNotifications } from '../context/NotificationContext';
+import { useSystems } from '../context/SystemContext';
+import { RunPumpButton, PumpCommandList, SafetyLockoutBanner, usePumpLockouts } from './PumpControl';
 
 // A reusable component for the pump status toggle switch
 const ToggleSwitch = ({ ison, label }) => (  
@@ -32,7 +33,7 @@ const ToggleSwitch = ({ ison, label }) => (
 function Dashboard() {
   const navigate = useNavigate(); // Use navigate to programmatically change routes
   const [userRole, setUserRole] = useState(null);  // State to hold the user's role
-  const { addNotification } = useNotifications(); // Access the notification context to add notifications
+  const { selectedSystemId, selectedSystem } = useSystems(); // The grow system whose pumps are shown
   const [pumpStatus, setPumpStatus] = useState({ // Initial state for pump status
     pump1: false,
     pump2: false,
@@ -40,16 +41,20 @@ function Dashboard() {
     pump4: false,
   });
   const prevPumpStatus = useRef(pumpStatus); // Ref to hold the previous pump status for comparison
+  const { data: lockouts = [] } = usePumpLockouts(selectedSystemId); // Active safety lockouts of the current system
 
   useEffect(() => {
     const role = localStorage.getItem('userRole'); // Get user role from localStorage
     setUserRole(role);
 
-    // Fetch initial pump status
+    if (!selectedSystemId) return;
+
+    // Fetch initial pump status of the current system
     const fetchInitialStatus = async () => {
       const { data, error } = await supabase
         .from('sensor_data')
         .select('pump1, pump2, pump3, pump4')
+        .eq('system_id', selectedSystemId)
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
@@ -66,17 +71,16 @@ function Dashboard() {
     // Set up real-time subscription
     // This subscribes to changes in the sensor_data table for pump status updates
     // It listens for INSERT events and updates the pump status accordingly
-    // It also checks for changes in pump states and sends notifications if any pump is turned ON
+    // Pump notifications come from the backend's alert history (see NotificationContext)
     // The previous pump status is stored in a ref to compare with the new status
     // This allows the component to react to real-time updates from the database
     // The subscription listens for new data and updates the state accordingly
-    // It also triggers notifications when a pump state changes
     
     const subscription = supabase
-      .channel('sensor_data_pump_status')
+      .channel(`sensor_data_pump_status:${selectedSystemId}`)
       .on(
         'postgres_changes',
-        { event: 'INSERT', schema: 'public', table: 'sensor_data' },
+        { event: 'INSERT', schema: 'public', table: 'sensor_data', filter: `system_id=eq.${selectedSystemId}` },
         (payload) => {
           const newStatus = payload.new; // Extract the new pump status from the payload
           setPumpStatus({   // Update the pump status state with the new values
@@ -86,20 +90,6 @@ function Dashboard() {
             pump4: newStatus.pump4,
           });
 
-          // Check for pump state changes and send notifications
-          if (newStatus.pump1) {
-            addNotification('Pump 1 (Solution A+B) is ON.');
-          }
-          if (newStatus.pump2) {
-            addNotification('Pump 2 (Water) is ON.');
-          }
-          if (newStatus.pump3) {
-            addNotification('Pump 3 (pH Up) is ON.');
-          }
-          if (newStatus.pump4) {
-            addNotification('Pump 4 (pH Down) is ON.');
-          }
-
           // Update the ref for the next comparison
           prevPumpStatus.current = newStatus;
         }
@@ -110,7 +100,7 @@ function Dashboard() {
     return () => {
       supabase.removeChannel(subscription);
     };
-  }, [addNotification]);
+  }, [selectedSystemId]);
 
   const pumpInfo = [  // styling and information for each pump
     { key: 'pump1', label: 'Solution A+B', icon: <FaPlus className="text-blue-400" size={24} /> },
@@ -130,11 +120,21 @@ function Dashboard() {
     { label: 'Select Plant', icon: <FaLeaf size={24} color="white" />, onClick: () => navigate('/select-plant') },
     { label: 'Raw Data', icon: <FaTable size={24} color="white" />, onClick: () => navigate('/raw-data') },
     { label: 'Multiplant Range', icon: <FaLayerGroup size={24} color="white" />, onClick: () => navigate('/multiplant-selector') },
+    { label: 'Alert History', icon: <FaHistory size={24} color="white" />, onClick: () => navigate('/alerts') },
+    { label: 'Dosing', icon: <FaFillDrip size={24} color="white" />, onClick: () => navigate('/dosing') },
+    { label: 'Calibration', icon: <FaVial size={24} color="white" />, onClick: () => navigate('/calibration') },
   ];
   if (userRole === 'admin') { // If the user is an admin, add additional navigation items
     navItems.push(
       { label: 'Manage Users', icon: <FaUsers size={24} color="white" />, onClick: () => navigate('/manage-users') },
       { label: 'Manage Plants', icon: <FaSeedling size={24} color="white" />, onClick: () => navigate('/manage-plants') },
+      { label: 'Manage Devices', icon: <FaMicrochip size={24} color="white" />, onClick: () => navigate('/manage-devices') },
+      { label: 'Manage Systems', icon: <FaWater size={24} color="white" />, onClick: () => navigate('/manage-systems') },
+      { label: 'Alert Rules', icon: <FaExclamationTriangle size={24} color="white" />, onClick: () => navigate('/alert-rules') },
+      { label: 'Telegram Subscribers', icon: <FaTelegram size={24} color="white" />, onClick: () => navigate('/telegram-subscribers') },
+      { label: 'Notification Channels', icon: <FaBullhorn size={24} color="white" />, onClick: () => navigate('/notification-channels') },
+      { label: 'Import Data', icon: <FaFileImport size={24} color="white" />, onClick: () => navigate('/import') },
+      { label: 'Storage', icon: <FaDatabase size={24} color="white" />, onClick: () => navigate('/storage') },
       
     );
   }
@@ -149,11 +149,21 @@ function Dashboard() {
     { label: 'Select Plant', icon: <FaLeaf size={48} color="white" />, onClick: () => navigate('/select-plant') },
     { label: 'Raw Data', icon: <FaTable size={48} color="white" />, onClick: () => navigate('/raw-data') },
     { label: 'Multiplant Range', icon: <FaLayerGroup size={48} color="white" />, onClick: () => navigate('/multiplant-selector') },
+    { label: 'Alert History', icon: <FaHistory size={48} color="white" />, onClick: () => navigate('/alerts') },
+    { label: 'Dosing', icon: <FaFillDrip size={48} color="white" />, onClick: () => navigate('/dosing') },
+    { label: 'Calibration', icon: <FaVial size={48} color="white" />, onClick: () => navigate('/calibration') },
   ];
   if (userRole === 'admin') { // If the user is an admin, add additional feature cards
     featureCards.push(
       { label: 'Manage Users', icon: <FaUsers size={48} color="white" />, onClick: () => navigate('/manage-users') },
       { label: 'Manage Plants', icon: <FaSeedling size={48} color="white" />, onClick: () => navigate('/manage-plants') },
+      { label: 'Manage Devices', icon: <FaMicrochip size={48} color="white" />, onClick: () => navigate('/manage-devices') },
+      { label: 'Manage Systems', icon: <FaWater size={48} color="white" />, onClick: () => navigate('/manage-systems') },
+      { label: 'Alert Rules', icon: <FaExclamationTriangle size={48} color="white" />, onClick: () => navigate('/alert-rules') },
+      { label: 'Telegram Subscribers', icon: <FaTelegram size={48} color="white" />, onClick: () => navigate('/telegram-subscribers') },
+      { label: 'Notification Channels', icon: <FaBullhorn size={48} color="white" />, onClick: () => navigate('/notification-channels') },
+      { label: 'Import Data', icon: <FaFileImport size={48} color="white" />, onClick: () => navigate('/import') },
+      { label: 'Storage', icon: <FaDatabase size={48} color="white" />, onClick: () => navigate('/storage') },
       
     );
   }
@@ -168,13 +178,13 @@ function Dashboard() {
     // The feature cards section displays various features of the dashboard
     // Each feature card is clickable and navigates to the corresponding page
     // The component uses Tailwind CSS for styling and layout
-    // The component also uses the useNotifications context to display notifications
     <Layout> 
       <div className="p-8">
         <div className="mb-8">
           <h2 className="text-2xl font-semibold text-white">Live Pump Status</h2>
-          <p className="text-green-200">Real-time monitoring of system pumps</p>
+          <p className="text-green-200">Real-time monitoring of {selectedSystem ? selectedSystem.name : 'system'} pumps</p>
         </div>
+        <SafetyLockoutBanner lockouts={lockouts} isAdmin={userRole === 'admin'} />
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {pumpInfo.map((pump) => (
             <div
@@ -186,9 +196,18 @@ function Dashboard() {
                 <h3 className="text-lg font-bold text-white">{pump.label}</h3>
               </div>
               <ToggleSwitch ison={pumpStatus[pump.key]} label={pumpStatus[pump.key] ? 'ON' : 'OFF'} />
+              {userRole === 'admin' && selectedSystemId && (
+                <RunPumpButton pump={pump} systemId={selectedSystemId} locked={lockouts.length > 0} />  // Manually run the pump for a few seconds
+              )}
             </div>
           ))}
         </div>
+        {selectedSystemId && (
+          <PumpCommandList
+            systemId={selectedSystemId}
+            pumpLabels={Object.fromEntries(pumpInfo.map(pump => [pump.key, pump.label]))}
+          />
+        )}
 
         <div className="mb-8">
           <h2 className="text-2xl font-semibold text-white">Services</h2>
@@ -0,0 +1,424 @@
+import React, { useState } from 'react';
+import { FaExclamationTriangle, FaSyncAlt } from 'react-icons/fa';
+import Chart from 'react-apexcharts';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+const PERIODS = [7, 30, 90];
+const PUMP_COLORS = { pump1: '#60a5fa', pump2: '#22d3ee', pump3: '#facc15', pump4: '#fb923c' };
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatMl = (ml) => {
+  if (ml == null) return '-';
+  return ml >= 1000 ? `${(ml / 1000).toFixed(2)} L` : `${Math.round(ml)} ml`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return '-';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+// Every calendar day of the period, so days without dosing show up as empty bars
+const periodDays = (from, until) => {
+  const days = [];
+  for (let day = new Date(from); day <= new Date(until); day.setDate(day.getDate() + 1)) {
+    days.push(day.toLocaleDateString('en-CA'));  // YYYY-MM-DD in local time
+  }
+  return days;
+};
+
+
+// Editable flow rate, stock and warning settings of one pump (admin only)
+function PumpSettingsRow({ setting, label, systemId }) {
+  const queryClient = useQueryClient();
+  const [flowRate, setFlowRate] = useState(setting.flow_rate_ml_per_min ?? '');
+  const [lowStockDays, setLowStockDays] = useState(setting.low_stock_days);
+  const [refill, setRefill] = useState('');
+
+  // Update Pump Settings Mutation
+  const updateSettings = useMutation({
+    mutationFn: async (changes) => {
+      const response = await apiFetch(`/api/dosing/pumps/${setting.pump}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ system_id: systemId, ...changes }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update pump settings');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['pumpSettings'] });
+      queryClient.invalidateQueries({ queryKey: ['dosingSummary'] });
+    }
+  });
+
+  const handleSave = () => {
+    updateSettings.mutate({
+      flow_rate_ml_per_min: flowRate === '' ? '' : Number(flowRate),
+      low_stock_days: Number(lowStockDays),
+    });
+  };
+
+  const handleRefill = () => {
+    if (refill === '') return;
+    if (!window.confirm(`Record a refill of ${label} with ${refill} ml in stock?`)) return;
+    updateSettings.mutate({ stock_ml: Number(refill) });
+    setRefill('');
+  };
+
+  return (
+    <tr>
+      <td className="px-4 py-3 whitespace-nowrap">{label}</td>
+      <td className="px-4 py-3">
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={flowRate}
+          onChange={(e) => setFlowRate(e.target.value)}
+          className="w-24 px-2 py-1 border rounded-lg text-gray-800"
+        />
+      </td>
+      <td className="px-4 py-3">
+        <input
+          type="number"
+          min="0"
+          value={lowStockDays}
+          onChange={(e) => setLowStockDays(e.target.value)}
+          className="w-20 px-2 py-1 border rounded-lg text-gray-800"
+        />
+      </td>
+      <td className="px-4 py-3 whitespace-nowrap">
+        <button
+          onClick={handleSave}
+          disabled={updateSettings.isPending}
+          className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-3 py-1 rounded-lg text-sm"
+        >
+          Save
+        </button>
+      </td>
+      <td className="px-4 py-3 whitespace-nowrap">
+        <input
+          type="number"
+          min="0"
+          placeholder="ml"
+          value={refill}
+          onChange={(e) => setRefill(e.target.value)}
+          className="w-24 px-2 py-1 border rounded-lg text-gray-800 mr-2"
+        />
+        <button
+          onClick={handleRefill}
+          disabled={updateSettings.isPending || refill === ''}
+          className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 px-3 py-1 rounded-lg text-sm"
+        >
+          Refilled
+        </button>
+        {setting.stock_updated_at && (
+          <p className="text-xs text-gray-400 mt-1">
+            Last refill {new Date(setting.stock_updated_at).toLocaleDateString()} ({formatMl(setting.stock_ml)})
+          </p>
+        )}
+        {updateSettings.error && <p className="text-xs text-red-400 mt-1">{updateSettings.error.message}</p>}
+      </td>
+    </tr>
+  );
+}
+
+
+function DosingLog() {
+  const queryClient = useQueryClient();
+  const { selectedSystemId, selectedSystem } = useSystems();
+  const [days, setDays] = useState(30);
+  const isAdmin = localStorage.getItem('userRole') === 'admin';  // Only admins may change pump settings
+
+  // Fetch the consumption summary of the selected system
+  const { data: summary, isLoading, error } = useQuery({
+    queryKey: ['dosingSummary', selectedSystemId, days],
+    queryFn: async () => {
+      const params = new URLSearchParams({ system_id: selectedSystemId, days, timezone: TIMEZONE });
+      const response = await apiFetch(`/api/dosing/summary?${params}`);
+      if (!response.ok) throw new Error('Failed to fetch dosing summary');
+      return response.json();
+    },
+    enabled: !!selectedSystemId,
+  });
+
+  // Fetch the latest dosing events
+  const { data: eventsData } = useQuery({
+    queryKey: ['dosingEvents', selectedSystemId],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/dosing/events?system_id=${selectedSystemId}&limit=25`);
+      if (!response.ok) throw new Error('Failed to fetch dosing events');
+      return response.json();
+    },
+    enabled: !!selectedSystemId,
+  });
+  const events = eventsData?.events || [];
+
+  // Fetch the pump settings (admin only)
+  const { data: settings = [] } = useQuery({
+    queryKey: ['pumpSettings', selectedSystemId],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/dosing/pumps?system_id=${selectedSystemId}`);
+      if (!response.ok) throw new Error('Failed to fetch pump settings');
+      return response.json();
+    },
+    enabled: !!selectedSystemId && isAdmin,
+  });
+
+
+  // Rebuild Dosing Log Mutation
+  const rebuildLog = useMutation({
+    mutationFn: async () => {
+      const response = await apiFetch('/api/dosing/rebuild', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ system_id: selectedSystemId, days: Math.min(days, 90) }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to rebuild dosing log');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['dosingSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['dosingEvents'] });
+    }
+  });
+
+  const handleRebuild = () => {
+    if (!window.confirm(`Rebuild the dosing log of the last ${Math.min(days, 90)} days from the sensor data?`)) return;
+    rebuildLog.mutate();
+  };
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching the summary
+
+  const pumps = summary?.pumps || [];
+  const pumpLabel = (pump) => pumps.find(p => p.pump === pump)?.label || pump;
+  const lowStock = pumps.filter(p => p.stock?.low);
+
+  // Chart estimated ml per day when flow rates are set, otherwise minutes the pumps were on
+  const chartInMl = pumps.some(p => p.flowRate);
+  const chartPumps = chartInMl ? pumps.filter(p => p.flowRate) : pumps;
+  const dates = summary ? periodDays(summary.from, summary.until) : [];
+  const series = chartPumps.map(p => ({
+    name: p.label,
+    data: dates.map(date => {
+      const day = p.perDay.find(d => d.date === date);
+      if (!day) return 0;
+      return chartInMl ? day.ml : Math.round(day.seconds / 6) / 10;
+    }),
+  }));
+
+  return (
+
+    // Render the Dosing page
+    // Stock warnings first, then per pump totals, the daily usage chart, crop cycles,
+    // pump settings for admins and the latest dosing events
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-7xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-4xl font-bold text-white">Dosing</h1>
+              <p className="text-green-200">{selectedSystem ? selectedSystem.name : 'System'} · estimated from pump on-time and flow rates</p>
+            </div>
+            <div className="flex gap-2">
+              <select
+                value={days}
+                onChange={(e) => setDays(Number(e.target.value))}
+                className="p-2 border rounded bg-green-900 text-white border-green-700"
+              >
+                {PERIODS.map(period => (
+                  <option key={period} value={period}>Last {period} days</option>
+                ))}
+              </select>
+              {isAdmin && (
+                <button
+                  onClick={handleRebuild}
+                  disabled={rebuildLog.isPending}
+                  className="bg-green-700 hover:bg-green-900 disabled:opacity-50 text-white px-4 py-2 rounded-lg flex items-center gap-2"
+                  title="Rebuild the dosing log from the sensor data"
+                >
+                  <FaSyncAlt />
+                  Rebuild
+                </button>
+              )}
+            </div>
+          </div>
+
+          {(error || rebuildLog.error) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || rebuildLog.error).message}
+            </div>
+          )}
+          {rebuildLog.data && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+              Rebuilt {rebuildLog.data.events} dosing events from the sensor data.
+            </div>
+          )}
+
+          {/* Stock warnings */}
+          {lowStock.map(p => (
+            <div key={p.pump} className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 flex items-center gap-2">
+              <FaExclamationTriangle />
+              {p.stock.remainingMl === 0
+                ? `${p.label} has run out. Refill it and record the refill below.`
+                : `${p.label} is running low: ${formatMl(p.stock.remainingMl)} left, about ${p.stock.daysLeft} days at the current rate.`}
+            </div>
+          ))}
+
+          {/* Per pump totals */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+            {pumps.map(p => (
+              <div key={p.pump} className={`bg-green-900 text-white p-4 rounded-lg ${p.stock?.low ? 'border-2 border-yellow-400' : ''}`}>
+                <h3 className="font-bold mb-2">{p.label}</h3>
+                <p className="text-sm">Used: <span className="font-bold">{p.flowRate ? formatMl(p.totalMl) : formatDuration(p.seconds)}</span></p>
+                <p className="text-sm">Per day: {p.flowRate ? formatMl(p.avgMlPerDay) : '-'}</p>
+                <p className="text-sm">Doses: {p.activations}</p>
+                <p className="text-sm">
+                  Stock left: {p.stock?.remainingMl != null ? formatMl(p.stock.remainingMl) : '-'}
+                  {p.stock?.daysLeft != null && ` (~${p.stock.daysLeft} days)`}
+                </p>
+                {!p.flowRate && <p className="text-xs text-gray-400 mt-2">Set a flow rate to estimate volumes</p>}
+              </div>
+            ))}
+          </div>
+
+          {/* Daily usage chart */}
+          <div className="bg-green-900 p-6 rounded-lg mb-8">
+            <h2 className="text-2xl font-bold mb-2 text-green-100">{chartInMl ? 'Estimated use per day (ml)' : 'Pump on-time per day (minutes)'}</h2>
+            <Chart
+              options={{
+                chart: { id: 'dosing-per-day', stacked: true, toolbar: { show: true } },
+                colors: chartPumps.map(p => PUMP_COLORS[p.pump]),
+                xaxis: { categories: dates, labels: { style: { colors: '#fff' } } },
+                yaxis: { labels: { style: { colors: '#fff' }, formatter: (value) => value.toFixed(0) } },
+                dataLabels: { enabled: false },
+                legend: { labels: { colors: '#fff' } },
+                tooltip: { theme: 'dark' },
+              }}
+              series={series}
+              type="bar"
+              width="100%"
+              height="350"
+            />
+          </div>
+
+          {/* Crop cycles */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8 overflow-x-auto">
+            <h2 className="text-2xl font-bold mb-4 text-green-100">Per crop cycle</h2>
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Plant</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  {pumps.map(p => (
+                    <th key={p.pump} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{p.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {(summary?.cycles || []).map(cycle => (
+                  <tr key={cycle.from}>
+                    <td className="px-4 py-3 whitespace-nowrap">{cycle.plantName || 'Unknown plant'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      {new Date(cycle.from).toLocaleDateString()} – {new Date(cycle.to).toLocaleDateString()}
+                    </td>
+                    {pumps.map(p => (
+                      <td key={p.pump} className="px-4 py-3 whitespace-nowrap text-sm">
+                        {p.flowRate ? formatMl(cycle.ml[p.pump]) : formatDuration(cycle.seconds[p.pump] || 0)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                {!summary?.cycles?.length && (
+                  <tr>
+                    <td colSpan={2 + pumps.length} className="px-4 py-3 text-center text-gray-400">No dosing in this period</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pump settings */}
+          {isAdmin && (
+            <div className="bg-green-900 text-white p-6 rounded-lg mb-8 overflow-x-auto">
+              <h2 className="text-2xl font-bold mb-2 text-green-100">Pump settings</h2>
+              <p className="text-sm text-green-200 mb-4">
+                Measure a flow rate by running the pump into a measuring cup for a minute. Record a refill with the amount now in stock.
+              </p>
+              <table className="min-w-full">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pump</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flow (ml/min)</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warn below (days)</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Refill</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {settings.map(setting => (
+                    <PumpSettingsRow
+                      key={`${setting.pump}:${setting.flow_rate_ml_per_min}:${setting.low_stock_days}`}
+                      setting={setting}
+                      label={pumpLabel(setting.pump)}
+                      systemId={selectedSystemId}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Latest dosing events */}
+          <div className="bg-green-900 text-white p-6 rounded-lg overflow-x-auto">
+            <h2 className="text-2xl font-bold mb-4 text-green-100">Dosing log</h2>
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pump</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Estimated</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Plant</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {events.map(event => {
+                  const flowRate = pumps.find(p => p.pump === event.pump)?.flowRate;
+                  return (
+                    <tr key={event.id}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(event.started_at).toLocaleString()}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{pumpLabel(event.pump)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{event.ended_at ? formatDuration(event.duration_seconds) : 'Running'}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        {event.ended_at && flowRate ? formatMl((event.duration_seconds / 60) * flowRate) : '-'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{event.plant_name || '-'}</td>
+                    </tr>
+                  );
+                })}
+                {events.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-3 text-center text-gray-400">No dosing events yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default DosingLog;
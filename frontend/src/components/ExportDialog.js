@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { FaDownload } from 'react-icons/fa';
+import { apiFetch, BACKEND_URL } from '../apiClient';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'ndjson', label: 'JSON Lines' },
+];
+
+// Exportable columns, in file order (see /api/readings/export)
+const COLUMNS = [
+  { key: 'created_at', label: 'Timestamp' },
+  { key: 'system', label: 'System' },
+  { key: 'plant_name', label: 'Plant' },
+  { key: 'ph', label: 'pH' },
+  { key: 'ec', label: 'EC (mS/cm)' },
+  { key: 'water_temperature', label: 'Temperature (°C)' },
+  { key: 'ph_in_range', label: 'pH in range' },
+  { key: 'ec_in_range', label: 'EC in range' },
+  { key: 'water_temperature_in_range', label: 'Temperature in range' },
+  { key: 'pump1', label: 'Pump 1' },
+  { key: 'pump2', label: 'Pump 2' },
+  { key: 'pump3', label: 'Pump 3' },
+  { key: 'pump4', label: 'Pump 4' },
+  { key: 'device_id', label: 'Device' },
+];
+
+// Quick ranges, in days back from today
+const PRESETS = [7, 30, 90];
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+
+// Dialog for exporting every reading of a plant in a date range
+// The backend streams the file, so full seasons can be exported; leaving both dates empty exports everything
+function ExportDialog({ systemId, plantName, initialFrom = '', initialTo = '', onClose }) {
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState(initialTo);
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(COLUMNS.map(column => column.key));
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePreset = (days) => {
+    const today = new Date();
+    setFrom(toDateInput(new Date(today.getTime() - days * 24 * 60 * 60 * 1000)));
+    setTo(toDateInput(today));
+  };
+
+  const handleToggleColumn = (key) => {
+    setColumns(prev => (prev.includes(key) ? prev.filter(c => c !== key) : [...prev, key]));
+  };
+
+  // Download the export through a short-lived signed link, so the browser streams the file to disk
+  // instead of holding it in memory; the backend names the file after the system and plant
+  // Dates are whole days, so "to" includes everything up to the end of that day
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const query = {
+        system_id: systemId,
+        plant_name: plantName,
+        format,
+        columns: COLUMNS.filter(c => columns.includes(c.key)).map(c => c.key).join(','),
+      };
+      if (from) query.from = new Date(`${from}T00:00:00`).toISOString();
+      if (to) query.to = new Date(`${to}T23:59:59.999`).toISOString();
+
+      const response = await apiFetch('/api/readings/export/link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(query),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to export readings');
+      }
+      const { url } = await response.json();
+
+      const link = document.createElement('a');
+      link.href = `${BACKEND_URL}${url}`;
+      link.download = '';
+      link.click();
+      onClose();
+    } catch (err) {
+      console.error('Error exporting readings:', err);
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-green-900 text-white rounded-xl shadow-xl p-6 w-full max-w-lg">
+        <h3 className="text-xl font-bold mb-4">Export {plantName} readings</h3>
+
+        {/* Range */}
+        <div className="grid grid-cols-2 gap-4 mb-2">
+          <div>
+            <label className="block text-sm font-bold mb-2">From</label>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-gray-800"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-bold mb-2">To</label>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-gray-800"
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {PRESETS.map(days => (
+            <button
+              key={days}
+              onClick={() => handlePreset(days)}
+              className="bg-green-700 hover:bg-green-800 px-3 py-1 rounded-lg text-sm"
+            >
+              Last {days} days
+            </button>
+          ))}
+          <button
+            onClick={() => { setFrom(''); setTo(''); }}
+            className="bg-green-700 hover:bg-green-800 px-3 py-1 rounded-lg text-sm"
+          >
+            Everything
+          </button>
+        </div>
+
+        {/* Format */}
+        <label className="block text-sm font-bold mb-2">Format</label>
+        <div className="flex gap-4 mb-4">
+          {FORMATS.map(f => (
+            <label key={f.value} className="flex items-center gap-2 text-sm">
+              <input
+                type="radio"
+                name="export-format"
+                value={f.value}
+                checked={format === f.value}
+                onChange={() => setFormat(f.value)}
+              />
+              {f.label}
+            </label>
+          ))}
+        </div>
+
+        {/* Columns */}
+        <label className="block text-sm font-bold mb-2">Columns</label>
+        <div className="grid grid-cols-2 gap-1 mb-4">
+          {COLUMNS.map(column => (
+            <label key={column.key} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={columns.includes(column.key)}
+                onChange={() => handleToggleColumn(column.key)}
+                className="h-4 w-4 rounded bg-gray-700 border-gray-600 text-green-500 focus:ring-green-400"
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-300">
+          pH and EC are exported with the probe calibration applied. In-range flags compare them with the plant's optimal range.
+        </p>
+        {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting || columns.length === 0}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center gap-2"
+          >
+            <FaDownload />
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
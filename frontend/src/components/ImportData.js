@@ -0,0 +1,367 @@
+import React, { useState } from 'react';
+import { FaFileImport, FaSearch } from 'react-icons/fa';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import Layout from './Layout';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+// sensor_data fields a CSV column can be mapped to; the first four are required
+const FIELDS = [
+  { key: 'created_at', label: 'Timestamp', required: true },
+  { key: 'ph', label: 'pH', required: true },
+  { key: 'ec', label: 'EC', required: true },
+  { key: 'water_temperature', label: 'Water temperature', required: true },
+  { key: 'pump1', label: 'Pump 1 (nutrient A+B)' },
+  { key: 'pump2', label: 'Pump 2 (water)' },
+  { key: 'pump3', label: 'Pump 3 (pH up)' },
+  { key: 'pump4', label: 'Pump 4 (pH down)' },
+  { key: 'plant_name', label: 'Plant' },
+];
+
+const MAX_REJECTED_SHOWN = 100;
+
+
+// Build a CSV of the rejected rows so they can be fixed and uploaded again
+const rejectedCsv = (rejected) => [
+  'line,errors',
+  ...rejected.map(r => `${r.line},"${r.errors.join(' ').replace(/"/g, '""')}"`),
+].join('\n');
+
+
+function ImportData() {
+  const queryClient = useQueryClient();
+  const { systems, selectedSystemId } = useSystems();
+  const [file, setFile] = useState(null);
+  const [options, setOptions] = useState({
+    system_id: '',
+    ec_unit: 'mS/cm',
+    temperature_unit: 'C',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    plant_name: '',
+  });
+  const [mapping, setMapping] = useState(null);  // null until the backend has guessed it from the headers
+  const [headers, setHeaders] = useState([]);
+  const [preview, setPreview] = useState(null);  // Result of the last dry run, cleared when anything changes
+  const [report, setReport] = useState(null);    // Result of the import
+
+  // Send the file to the import endpoint, as a dry run or for real
+  const sendImport = async (dryRun) => {
+    const params = new URLSearchParams({
+      dry_run: dryRun,
+      system_id: options.system_id || selectedSystemId,
+      ec_unit: options.ec_unit,
+      temperature_unit: options.temperature_unit,
+      timezone: options.timezone,
+    });
+    if (options.plant_name) params.set('plant_name', options.plant_name);
+    if (mapping) params.set('mapping', JSON.stringify(mapping));
+
+    const response = await apiFetch(`/api/readings/import?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: await file.text(),
+    });
+    const result = await response.json();
+    if (result.headers) {
+      // Also returned when the mapping is incomplete, so it can be fixed below
+      setHeaders(result.headers);
+      setMapping(result.mapping);
+    }
+    if (!response.ok) throw new Error(result.error || 'Failed to import readings');
+    return result;
+  };
+
+  // Dry Run Mutation
+  const runPreview = useMutation({
+    mutationFn: () => sendImport(true),
+    onSuccess: (result) => {
+      setPreview(result);
+      setReport(null);
+    }
+  });
+
+  // Import Mutation
+  const runImport = useMutation({
+    mutationFn: () => sendImport(false),
+    onSuccess: (result) => {
+      setReport(result);
+      setPreview(null);
+      queryClient.invalidateQueries({ queryKey: ['readings'] });
+    }
+  });
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setMapping(null);
+    setHeaders([]);
+    setPreview(null);
+    setReport(null);
+  };
+
+  const handleOptionChange = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+    setPreview(null);
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping(prev => ({ ...prev, [field]: column || null }));
+    setPreview(null);
+  };
+
+  const handleDownloadRejected = (rejected) => {
+    const url = URL.createObjectURL(new Blob([rejectedCsv(rejected)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${file.name.replace(/\.csv$/i, '')}_rejected.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const error = runPreview.error || runImport.error;
+  const result = report || preview;
+
+  return (
+
+    // Render the Import Data page
+    // Upload a CSV, map its columns and units, check the dry run and then import
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Import Data</h1>
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {error.message}
+            </div>
+          )}
+
+          {/* File and Options */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+            <h2 className="text-2xl font-bold mb-2">Upload CSV</h2>
+            <p className="text-sm text-gray-300 mb-4">
+              One reading per line with a header line. Timestamps may be ISO 8601, "YYYY-MM-DD HH:MM[:SS]" in the
+              timezone below, or Unix time. Imported readings do not raise alerts.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-bold mb-2">File</label>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={handleFileChange}
+                  className="w-full text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">System</label>
+                <select
+                  value={options.system_id || selectedSystemId || ''}
+                  onChange={(e) => handleOptionChange('system_id', e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                >
+                  {systems.map(system => (
+                    <option key={system.id} value={system.id}>{system.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">Plant</label>
+                <input
+                  type="text"
+                  value={options.plant_name}
+                  onChange={(e) => handleOptionChange('plant_name', e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  placeholder="Selected plant, unless mapped below"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">EC unit</label>
+                <select
+                  value={options.ec_unit}
+                  onChange={(e) => handleOptionChange('ec_unit', e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                >
+                  <option value="mS/cm">mS/cm</option>
+                  <option value="uS/cm">µS/cm</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">Temperature unit</label>
+                <select
+                  value={options.temperature_unit}
+                  onChange={(e) => handleOptionChange('temperature_unit', e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                >
+                  <option value="C">°C</option>
+                  <option value="F">°F</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">Timezone</label>
+                <input
+                  type="text"
+                  value={options.timezone}
+                  onChange={(e) => handleOptionChange('timezone', e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  placeholder="e.g. Europe/Berlin"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Column Mapping */}
+          {mapping && (
+            <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+              <h2 className="text-2xl font-bold mb-4">Column Mapping</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-bold mb-2">{field.label}{field.required && ' *'}</label>
+                    <select
+                      value={mapping[field.key] || ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    >
+                      <option value="">Not in file</option>
+                      {headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-4 mb-8">
+            <button
+              onClick={() => runPreview.mutate()}
+              disabled={!file || runPreview.isPending || runImport.isPending}
+              className="bg-green-700 hover:bg-green-900 disabled:opacity-50 px-4 py-2 rounded-lg text-white flex items-center gap-2"
+            >
+              <FaSearch />
+              {runPreview.isPending ? 'Checking...' : 'Preview'}
+            </button>
+            <button
+              onClick={() => runImport.mutate()}
+              disabled={!preview || preview.importable === 0 || runImport.isPending}
+              title={!preview ? 'Preview the file first' : undefined}
+              className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 px-4 py-2 rounded-lg text-white flex items-center gap-2"
+            >
+              <FaFileImport />
+              {runImport.isPending ? 'Importing...' : `Import ${preview?.importable ?? ''} readings`}
+            </button>
+          </div>
+
+          {/* Dry Run or Import Report */}
+          {result && (
+            <div className="bg-green-900 text-white p-6 rounded-lg overflow-x-auto">
+              <h2 className="text-2xl font-bold mb-4">{report ? 'Import Report' : 'Preview'}</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <p className="text-sm text-gray-300">Rows in file</p>
+                  <p className="text-2xl font-bold">{result.total}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">{report ? 'Imported' : 'Ready to import'}</p>
+                  <p className="text-2xl font-bold text-green-300">{report ? result.inserted : result.importable}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">Duplicates</p>
+                  <p className="text-2xl font-bold text-yellow-300">{result.duplicates}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-300">Rejected (incl. duplicates)</p>
+                  <p className="text-2xl font-bold text-red-300">{result.rejected.length}</p>
+                </div>
+              </div>
+              {result.from && (
+                <p className="text-sm text-gray-300 mb-4">
+                  Readings from {new Date(result.from).toLocaleString()} to {new Date(result.to).toLocaleString()}
+                </p>
+              )}
+              {result.retention_cutoff && (
+                <p className="text-sm text-gray-300 mb-4">
+                  Readings before {new Date(result.retention_cutoff).toLocaleDateString()} are only kept as rollups and cannot be imported.
+                </p>
+              )}
+
+              {!report && result.preview.length > 0 && (
+                <>
+                  <h3 className="text-lg font-bold mb-2">First rows as they will be stored</h3>
+                  <table className="min-w-full mb-6">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Plant</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">pH</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">EC (mS/cm)</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Temperature (°C)</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Active Pumps</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {result.preview.map(row => (
+                        <tr key={row.line}>
+                          <td className="px-4 py-2 text-sm">{row.line}</td>
+                          <td className="px-4 py-2 text-sm whitespace-nowrap">{new Date(row.created_at).toLocaleString()}</td>
+                          <td className="px-4 py-2 text-sm">{row.plant_name || '-'}</td>
+                          <td className="px-4 py-2 text-sm">{row.ph}</td>
+                          <td className="px-4 py-2 text-sm">{row.ec}</td>
+                          <td className="px-4 py-2 text-sm">{row.water_temperature}</td>
+                          <td className="px-4 py-2 text-sm">
+                            {['pump1', 'pump2', 'pump3', 'pump4'].filter(pump => row[pump]).map(pump => pump.replace('pump', 'P')).join(', ') || '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+
+              {result.rejected.length > 0 && (
+                <>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-lg font-bold">Rejected rows</h3>
+                    <button
+                      onClick={() => handleDownloadRejected(result.rejected)}
+                      className="bg-blue-500 hover:bg-blue-600 px-3 py-1 rounded-lg text-sm"
+                    >
+                      Download report
+                    </button>
+                  </div>
+                  <table className="min-w-full">
+                    <thead className="bg-gray-100">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {result.rejected.slice(0, MAX_REJECTED_SHOWN).map(row => (
+                        <tr key={row.line}>
+                          <td className="px-4 py-2 text-sm">{row.line}</td>
+                          <td className="px-4 py-2 text-sm text-red-300">{row.errors.join(' ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {result.rejected.length > MAX_REJECTED_SHOWN && (
+                    <p className="text-sm text-gray-300 mt-2">
+                      Showing the first {MAX_REJECTED_SHOWN} of {result.rejected.length}; download the report for all of them.
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ImportData;
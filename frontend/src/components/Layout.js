@@ -1,8 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { FaLeaf, FaFlask, FaChartLine, FaClock, FaUsers, FaUserCog, FaSeedling, FaSignOutAlt, FaTable, FaHome, FaBell, FaTrash, FaLayerGroup } from 'react-icons/fa';
+import { FaLeaf, FaFlask, FaChartLine, FaClock, FaUsers, FaUserCog, FaSeedling, FaTable, FaHome, FaBell, FaCheck, FaLayerGroup, FaMicrochip, FaWater, FaExclamationTriangle, FaHistory, FaTelegram, FaBullhorn, FaFillDrip, FaVial, FaFileImport, FaDatabase } from 'react-icons/fa';
 import { supabase } from '../supabaseClient';
 import { useNotifications } from '../context/NotificationContext';
+import { useSystems } from '../context/SystemContext';
+import UserMenu from './UserMenu';
+import { unsubscribeFromPush } from '../pushNotifications';
 
 
 // Configuration for navigation items
@@ -16,6 +19,9 @@ const navConfig = [
   { label: 'Select Plant', icon: FaLeaf, path: '/select-plant' },
   { label: 'Raw Data', icon: FaTable, path: '/raw-data' },
   { label: 'Multiplant Range', icon: FaLayerGroup, path: '/multiplant-selector' },
+  { label: 'Alert History', icon: FaHistory, path: '/alerts' },
+  { label: 'Dosing', icon: FaFillDrip, path: '/dosing' },
+  { label: 'Calibration', icon: FaVial, path: '/calibration' },
 ];
 
 // Additional navigation items for admin users
@@ -23,6 +29,13 @@ const navConfig = [
 const adminNavConfig = [
   { label: 'Manage Users', icon: FaUsers, path: '/manage-users' },
   { label: 'Manage Plants', icon: FaSeedling, path: '/manage-plants' },
+  { label: 'Manage Devices', icon: FaMicrochip, path: '/manage-devices' },
+  { label: 'Manage Systems', icon: FaWater, path: '/manage-systems' },
+  { label: 'Alert Rules', icon: FaExclamationTriangle, path: '/alert-rules' },
+  { label: 'Telegram Subscribers', icon: FaTelegram, path: '/telegram-subscribers' },
+  { label: 'Notification Channels', icon: FaBullhorn, path: '/notification-channels' },
+  { label: 'Import Data', icon: FaFileImport, path: '/import' },
+  { label: 'Storage', icon: FaDatabase, path: '/storage' },
 ];
 
 // Constants for layout dimensions
@@ -41,8 +54,8 @@ const NAVBAR_HEIGHT = 'h-20'; // 5rem = 80px
 // The component also uses the supabase client for authentication and data fetching
 // The layout is styled using Tailwind CSS for a modern and responsive design
 // The sidebar contains navigation items that change based on the user role
-// The header displays the current time, user role, and a logout button
-// The notifications bell shows the number of unread notifications and allows users to view and delete them
+// The header displays the current time and a user menu with Telegram linking and logout
+// The notifications bell shows the number of open alerts and allows users to view and acknowledge them
 // The component uses useEffect to set up the current time and user role on mount   
 function Layout({ children }) {
   const navigate = useNavigate();
@@ -52,6 +65,7 @@ function Layout({ children }) {
   const { notifications, removeNotification, clearAllNotifications } = useNotifications();
   const [showNotifications, setShowNotifications] = useState(false);
   const [selectedPlantName, setSelectedPlantName] = useState('-');
+  const { systems, selectedSystemId, selectSystem } = useSystems();
 
 
   // Set up user role and current time on mount
@@ -69,14 +83,18 @@ function Layout({ children }) {
     return () => clearInterval(timer);
   }, []);
 
-  // Fetch selected plant name for navbar
+  // Fetch selected plant name of the current system for navbar
   useEffect(() => {
     async function fetchSelectedPlant() {
-      // Get selected plant id from system_config
+      if (!selectedSystemId) {
+        setSelectedPlantName('-');
+        return;
+      }
+      // Get selected plant id from the current system
       const { data: config, error: configError } = await supabase
-        .from('system_config')
+        .from('systems')
         .select('selected_plant_id')
-        .limit(1)
+        .eq('id', selectedSystemId)
         .single();
       if (configError || !config?.selected_plant_id) {
         setSelectedPlantName('-');
@@ -106,10 +124,16 @@ function Layout({ children }) {
       }
     }
     fetchSelectedPlant();
-  }, [location]);
+  }, [location, selectedSystemId]);
 
   // Handle user logout
+  // This browser's push subscription belongs to the account, so it is removed before signing out
   const handleLogout = async () => {
+    try {
+      await unsubscribeFromPush();
+    } catch (err) {
+      console.error('Error unsubscribing from push notifications:', err);
+    }
     await supabase.auth.signOut();
     localStorage.removeItem('userRole');
     navigate('/login');
@@ -192,10 +216,10 @@ function Layout({ children }) {
                     {notifications.length > 0 && (
                       <button
                         onClick={clearAllNotifications}
-                        className="text-xs bg-red-600 hover:bg-red-700 text-white px-2 py-1 rounded flex items-center gap-1"
-                        title="Delete All Notifications"
+                        className="text-xs bg-green-700 hover:bg-green-800 text-white px-2 py-1 rounded flex items-center gap-1"
+                        title="Acknowledge All Alerts"
                       >
-                        <FaTrash size={12} /> Delete All
+                        <FaCheck size={12} /> Acknowledge All
                       </button>
                     )}
                   </div>
@@ -204,13 +228,13 @@ function Layout({ children }) {
                       notifications.map(n => (
                         <li key={n.id} className="flex items-center justify-between p-3 border-b border-green-800 hover:bg-green-900 gap-2">
                           <div className="flex-1">
-                            <p className="text-sm text-gray-300">{n.message}</p>
+                            <p className="text-sm text-gray-300 whitespace-pre-line">{n.message}</p>
                             <p className="text-xs text-gray-500 mt-1">
                               {n.createdAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
                             </p>
                           </div>
-                          <button onClick={() => removeNotification(n.id)} className="text-gray-400 hover:text-white flex-shrink-0">
-                            <FaTrash size={14} />
+                          <button onClick={() => removeNotification(n.id)} className="text-gray-400 hover:text-white flex-shrink-0" title="Acknowledge">
+                            <FaCheck size={14} />
                           </button>
                         </li>
                       ))
@@ -218,9 +242,27 @@ function Layout({ children }) {
                       <li className="p-4 text-center text-sm text-gray-400">No new notifications</li>
                     )}
                   </ul>
+                  <button
+                    onClick={() => { setShowNotifications(false); navigate('/alerts'); }}
+                    className="w-full p-3 text-sm text-green-300 hover:text-white border-t border-green-700"
+                  >
+                    View alert history
+                  </button>
                 </div>
               )}
             </div>
+            {/* System Switcher */}
+            <select
+              value={selectedSystemId || ''}
+              onChange={(e) => selectSystem(e.target.value)}   // Switch every view to the chosen system
+              className="text-white text-xl px-4 py-2 rounded-lg border-2 border-green-400 bg-green-950 shadow-md"
+              title="Grow system"
+            >
+              {systems.length === 0 && <option value="">No systems</option>}
+              {systems.map(system => (
+                <option key={system.id} value={system.id}>{system.name}</option>
+              ))}
+            </select>
             {/* Selected Plant Name */}
             <div className="flex items-center gap-2 text-white text-xl px-4 py-2 rounded-lg border-2 border-green-400 bg-green-950 shadow-md" style={{ minWidth: '120px' }}>
               <span className="font-bold">Plant:</span>
@@ -230,13 +272,8 @@ function Layout({ children }) {
               <FaClock size={24} color="white" />
               <span>{currentTime}</span>
             </div>
-            <button
-              onClick={handleLogout}
-              className="flex items-center gap-2 bg-red-600 hover:bg-red-700 px-3 py-1 rounded-lg transition-all duration-200 ease-in-out hover:scale-105 text-white"
-            >
-              <FaSignOutAlt />
-              Logout
-            </button>
+            {/* User Menu with Telegram linking and logout */}
+            <UserMenu userRole={userRole} onLogout={handleLogout} />
           </div>
         </header>
         {/* Main Area */}
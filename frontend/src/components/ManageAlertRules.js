@@ -0,0 +1,411 @@
+import React, { useState } from 'react';
+import { FaEdit, FaTrash, FaVial } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+const METRICS = [
+  { value: 'ph', label: 'pH' },
+  { value: 'ec', label: 'EC' },
+  { value: 'water_temperature', label: 'Water Temperature' },
+];
+
+const CONDITIONS = [
+  { value: 'outside_plant_range', label: "Outside selected plant's range" },
+  { value: 'above', label: 'Above threshold' },
+  { value: 'below', label: 'Below threshold' },
+  { value: 'rising_faster', label: 'Rising faster than threshold per hour' },
+  { value: 'falling_faster', label: 'Falling faster than threshold per hour' },
+];
+
+const SEVERITY_STYLES = {
+  info: 'bg-blue-100 text-blue-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  critical: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_FORM = {
+  name: '',
+  system_id: '',
+  metric: 'ph',
+  condition: 'outside_plant_range',
+  threshold: '',
+  duration_minutes: 10,
+  severity: 'warning',
+  cooldown_minutes: 30,
+  enabled: true,
+};
+
+// Convert form values into the shape the backend expects (numbers instead of strings)
+const toRulePayload = (form) => ({
+  ...form,
+  threshold: form.condition === 'outside_plant_range' ? null : parseFloat(form.threshold),
+  duration_minutes: parseInt(form.duration_minutes, 10) || 0,
+  cooldown_minutes: parseInt(form.cooldown_minutes, 10) || 0,
+});
+
+
+function ManageAlertRules() {
+  const queryClient = useQueryClient();
+  const { systems, selectedSystemId } = useSystems();
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [testResult, setTestResult] = useState(null);
+
+  // Fetch alert rules from the backend API
+  const { data: rules = [], isLoading, error } = useQuery({
+    queryKey: ['alertRules'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/alert-rules');
+      if (!response.ok) throw new Error('Failed to fetch alert rules');
+      return response.json();
+    }
+  });
+
+
+  // Save Rule Mutation
+  // Creates a new rule, or updates the rule with the given ID
+  const saveRule = useMutation({
+    mutationFn: async ({ id, data }) => {
+      const response = await apiFetch(id ? `/api/alert-rules/${id}` : '/api/alert-rules', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save alert rule');
+      }
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['alertRules'] })
+  });
+
+
+  // Delete Rule Mutation
+  const deleteRule = useMutation({
+    mutationFn: async (ruleId) => {
+      const response = await apiFetch(`/api/alert-rules/${ruleId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete alert rule');
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['alertRules'] })
+  });
+
+
+  // Test Rule Mutation
+  // Replays the last 24 hours of the chosen system's readings through the rule
+  const testRule = useMutation({
+    mutationFn: async (rule) => {
+      const response = await apiFetch('/api/alert-rules/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rule, system_id: rule.system_id || selectedSystemId, hours: 24 }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to test alert rule');
+      }
+      return response.json();
+    },
+    onSuccess: (result, rule) => setTestResult({ ...result, name: rule.name })
+  });
+
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      system_id: rule.system_id || '',
+      metric: rule.metric,
+      condition: rule.condition,
+      threshold: rule.threshold ?? '',
+      duration_minutes: rule.duration_minutes,
+      severity: rule.severity,
+      cooldown_minutes: rule.cooldown_minutes,
+      enabled: rule.enabled,
+    });
+  };
+
+  const handleDelete = (ruleId) => {
+    if (!window.confirm('Are you sure you want to delete this alert rule?')) return;
+    deleteRule.mutate(ruleId);
+  };
+
+  // Toggle a rule on or off without opening the edit form
+  const handleToggle = (rule) => {
+    saveRule.mutate({ id: rule.id, data: { ...rule, enabled: !rule.enabled } });
+  };
+
+  const resetForm = () => {
+    setEditingRule(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveRule.mutate({ id: editingRule?.id, data: toRulePayload(formData) });
+    resetForm();
+  };
+
+  const systemName = (systemId) => systems.find(s => s.id === systemId)?.name || 'All systems';
+  const mutationError = saveRule.error || deleteRule.error || testRule.error;
+  const needsThreshold = formData.condition !== 'outside_plant_range';
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching rules
+
+  return (
+
+    // Render the Manage Alert Rules page
+    // A form for adding/editing rules, test results and the list of existing rules
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Alert Rules</h1>
+          </div>
+
+          {(error || mutationError) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || mutationError).message}
+            </div>
+          )}
+
+          {/* Add/Edit Rule Form */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4">
+              {editingRule ? 'Edit Rule' : 'Add New Rule'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-bold mb-2">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    placeholder="e.g. pH out of range"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">System</label>
+                  <select
+                    value={formData.system_id}
+                    onChange={(e) => setFormData({ ...formData, system_id: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  >
+                    <option value="">All systems</option>
+                    {systems.map(system => (
+                      <option key={system.id} value={system.id}>{system.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Metric</label>
+                  <select
+                    value={formData.metric}
+                    onChange={(e) => setFormData({ ...formData, metric: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  >
+                    {METRICS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Condition</label>
+                  <select
+                    value={formData.condition}
+                    onChange={(e) => setFormData({ ...formData, condition: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  >
+                    {CONDITIONS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                  </select>
+                </div>
+                {needsThreshold && (
+                  <div>
+                    <label className="block text-sm font-bold mb-2">Threshold</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={formData.threshold}
+                      onChange={(e) => setFormData({ ...formData, threshold: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                      required
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-bold mb-2">
+                    {formData.condition.endsWith('_faster') ? 'Rate Window (minutes, default 60)' : 'For at least (minutes)'}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.duration_minutes}
+                    onChange={(e) => setFormData({ ...formData, duration_minutes: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Severity</label>
+                  <select
+                    value={formData.severity}
+                    onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  >
+                    <option value="info">Info</option>
+                    <option value="warning">Warning</option>
+                    <option value="critical">Critical</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Cooldown (minutes)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.cooldown_minutes}
+                    onChange={(e) => setFormData({ ...formData, cooldown_minutes: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    id="rule-enabled"
+                    checked={formData.enabled}
+                    onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                    className="h-4 w-4"
+                  />
+                  <label htmlFor="rule-enabled" className="text-sm font-bold">Enabled</label>
+                </div>
+              </div>
+              <div className="flex gap-4">
+                <button
+                  type="submit"
+                  className="bg-green-700 hover:bg-green-800 px-4 py-2 rounded-lg text-white"
+                >
+                  {editingRule ? 'Update Rule' : 'Add Rule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => testRule.mutate(toRulePayload(formData))}   // Test the rule as currently entered
+                  disabled={testRule.isPending}
+                  className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-white disabled:opacity-50"
+                >
+                  {testRule.isPending ? 'Testing...' : 'Test Against Last 24h'}
+                </button>
+                {editingRule && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg text-white"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {/* Test Results */}
+          {testResult && (
+            <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+              <div className="flex justify-between items-center mb-2">
+                <h2 className="text-2xl font-bold">Test: {testResult.name || 'Untitled rule'}</h2>
+                <button onClick={() => setTestResult(null)} className="text-gray-300 hover:text-white">Close</button>
+              </div>
+              <p className="text-green-200 mb-2">
+                {testResult.description} on {testResult.system}{testResult.plant ? ` (${testResult.plant})` : ''}
+              </p>
+              <p className="mb-4">
+                Checked {testResult.readingsChecked} readings since {new Date(testResult.checkedFrom).toLocaleString()}: would have fired <span className="font-bold">{testResult.triggers.length}</span> time(s).
+              </p>
+              {testResult.triggers.length > 0 && (
+                <ul className="max-h-64 overflow-y-auto space-y-1 text-sm">
+                  {testResult.triggers.map(trigger => (
+                    <li key={trigger.created_at} className="bg-green-800 rounded px-3 py-1">
+                      {new Date(trigger.created_at).toLocaleString()} — value {trigger.value}
+                      {trigger.rate !== undefined && trigger.rate !== null && `, rate ${trigger.rate.toFixed(2)}/h`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Rules List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">System</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cooldown</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Fired</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rules.map((rule) => (
+                  <tr key={rule.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">{rule.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{systemName(rule.system_id)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs ${SEVERITY_STYLES[rule.severity]}`}>{rule.severity}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{rule.cooldown_minutes} min</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {rule.last_triggered_at ? new Date(rule.last_triggered_at).toLocaleString() : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={() => handleToggle(rule)}   // Enable or disable the rule
+                        className="h-4 w-4"
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => testRule.mutate(rule)}    // Test the saved rule against recent data
+                          className="text-green-300 hover:text-green-100"
+                          title="Test against last 24h"
+                        >
+                          <FaVial />
+                        </button>
+                        <button
+                          onClick={() => handleEdit(rule)}    // Set the rule to be edited
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(rule.id)}    // Call the delete function with the rule's ID
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {rules.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-4 text-center text-gray-400">No alert rules yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ManageAlertRules;
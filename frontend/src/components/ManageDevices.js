@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import { FaSyncAlt, FaBan } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+// A device that has not sent a reading for this long is shown as quiet
+const QUIET_AFTER_MS = 5 * 60 * 1000;
+
+
+// Work out a display status for a device from its revoked and last seen timestamps
+const getDeviceStatus = (device) => {
+  if (device.revoked_at) return { label: 'Revoked', className: 'bg-red-100 text-red-800' };
+  if (!device.last_seen_at) return { label: 'Never seen', className: 'bg-gray-100 text-gray-800' };
+  if (Date.now() - new Date(device.last_seen_at).getTime() > QUIET_AFTER_MS) {
+    return { label: 'Quiet', className: 'bg-yellow-100 text-yellow-800' };
+  }
+  return { label: 'Online', className: 'bg-green-100 text-green-800' };
+};
+
+
+function ManageDevices() {
+  const queryClient = useQueryClient();
+  const { systems } = useSystems();
+  const [formData, setFormData] = useState({ name: '', description: '', system_id: '' });
+  const [newKey, setNewKey] = useState(null);  // { deviceName, apiKey } shown once after register/rotate
+
+  // Fetch devices
+  // Refetch every 30 seconds so last seen times and quiet devices stay current
+  const { data: devices = [], isLoading, error } = useQuery({
+    queryKey: ['devices'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/devices');
+      if (!response.ok) throw new Error('Failed to fetch devices');
+      return response.json();
+    },
+    refetchInterval: 30000,
+  });
+
+
+  // Register Device Mutation
+  // The response contains the plain API key, which is only available this once
+  const registerDevice = useMutation({
+    mutationFn: async (data) => {
+      const response = await apiFetch('/api/devices', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) throw new Error('Failed to register device');
+      return response.json();
+    },
+    onSuccess: (result) => {
+      setNewKey({ deviceName: result.device.name, apiKey: result.apiKey });
+      queryClient.invalidateQueries({ queryKey: ['devices'] });
+    }
+  });
+
+
+  // Rotate Key Mutation
+  // Issues a new API key for the device; the old key stops working immediately
+  const rotateKey = useMutation({
+    mutationFn: async (deviceId) => {
+      const response = await apiFetch(`/api/devices/${deviceId}/rotate-key`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to rotate device key');
+      return response.json();
+    },
+    onSuccess: (result) => {
+      setNewKey({ deviceName: result.device.name, apiKey: result.apiKey });
+      queryClient.invalidateQueries({ queryKey: ['devices'] });
+    }
+  });
+
+
+  // Update Device Mutation
+  // Used to move a device to another grow system
+  const updateDevice = useMutation({
+    mutationFn: async ({ id, data }) => {
+      const response = await apiFetch(`/api/devices/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) throw new Error('Failed to update device');
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['devices'] })
+  });
+
+
+  // Revoke Device Mutation
+  const revokeDevice = useMutation({
+    mutationFn: async (deviceId) => {
+      const response = await apiFetch(`/api/devices/${deviceId}/revoke`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to revoke device');
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['devices'] })
+  });
+
+
+  const handleRotate = (device) => {
+    if (!window.confirm(`Rotate the API key for "${device.name}"? The controller will stop sending data until it is updated with the new key.`)) return;
+    rotateKey.mutate(device.id);
+  };
+
+  const handleRevoke = (device) => {
+    if (!window.confirm(`Revoke "${device.name}"? It will no longer be able to send readings.`)) return;
+    revokeDevice.mutate(device.id);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    registerDevice.mutate(formData);
+    setFormData({ name: '', description: '', system_id: '' });
+  };
+
+  const mutationError = registerDevice.error || updateDevice.error || rotateKey.error || revokeDevice.error;
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching devices
+
+  return (
+
+    // Render the Manage Devices page
+    // A form to register controllers, a one-time API key banner and the device list
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Manage Devices</h1>
+          </div>
+
+          {(error || mutationError) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || mutationError).message}
+            </div>
+          )}
+
+          {/* One-time API key display */}
+          {newKey && (
+            <div className="bg-yellow-100 border border-yellow-400 text-yellow-900 px-4 py-3 rounded mb-8">
+              <p className="font-bold mb-2">API key for {newKey.deviceName}</p>
+              <p className="text-sm mb-2">Copy this key into the controller firmware now. It will not be shown again.</p>
+              <code className="block bg-white px-3 py-2 rounded break-all">{newKey.apiKey}</code>
+              <button
+                onClick={() => setNewKey(null)}
+                className="mt-3 bg-gray-500 hover:bg-gray-600 px-4 py-1 rounded-lg text-white"
+              >
+                Done
+              </button>
+            </div>
+          )}
+
+          {/* Register Device Form */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8 transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
+            <h2 className="text-2xl font-bold mb-4">Register New Device</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-bold mb-2">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  placeholder="e.g. ESP32 Tower A"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">Description</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">System</label>
+                <select
+                  value={formData.system_id}
+                  onChange={(e) => setFormData({ ...formData, system_id: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                >
+                  <option value="">Default system</option>
+                  {systems.map(system => (
+                    <option key={system.id} value={system.id}>{system.name}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                type="submit"
+                className="bg-green-700 hover:bg-green-800 px-4 py-2 rounded-lg text-white"
+              >
+                Register Device
+              </button>
+            </form>
+          </div>
+
+          {/* Devices List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">System</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Firmware</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {devices.map((device) => {
+                  const status = getDeviceStatus(device);
+                  return (
+                    <tr key={device.id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <p>{device.name}</p>
+                        {device.description && <p className="text-xs text-gray-400">{device.description}</p>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={device.system_id || ''}
+                          onChange={(e) => updateDevice.mutate({ id: device.id, data: { name: device.name, description: device.description, system_id: e.target.value } })}
+                          className="px-2 py-1 border rounded-lg text-gray-800"
+                        >
+                          <option value="">Default system</option>
+                          {systems.map(system => (
+                            <option key={system.id} value={system.id}>{system.name}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap font-mono text-sm">{device.key_prefix}…</td>
+                      <td className="px-6 py-4 whitespace-nowrap">{device.firmware_version || '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {device.last_seen_at ? new Date(device.last_seen_at).toLocaleString() : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 rounded-full text-xs ${status.className}`}>{status.label}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleRotate(device)}    // Issue a new API key
+                            className="text-blue-600 hover:text-blue-800"
+                            title="Rotate API key"
+                          >
+                            <FaSyncAlt />
+                          </button>
+                          {!device.revoked_at && (
+                            <button
+                              onClick={() => handleRevoke(device)}    // Revoke the device's access
+                              className="text-red-600 hover:text-red-800"
+                              title="Revoke device"
+                            >
+                              <FaBan />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {devices.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-4 text-center text-gray-400">No devices registered yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ManageDevices;
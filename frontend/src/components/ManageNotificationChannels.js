@@ -0,0 +1,430 @@
+import React, { useState } from 'react';
+import { FaEdit, FaTrash, FaPaperPlane } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+const ALERT_TYPES = [
+  { value: 'pump', label: 'Pump' },
+  { value: 'rule', label: 'Alert rule' },
+  { value: 'stale', label: 'Stale data' },
+  { value: 'safety', label: 'Safety interlock' },
+  { value: 'calibration', label: 'Calibration due' },
+];
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'email',
+  to: '',
+  url: '',
+  alert_types: [],
+  severities: [],
+  system_ids: [],
+  enabled: true,
+};
+
+// Convert form values into the shape the backend expects
+const toChannelPayload = (form) => ({
+  name: form.name,
+  type: form.type,
+  config: form.type === 'email' ? { to: form.to } : { url: form.url },
+  alert_types: form.alert_types,
+  severities: form.severities,
+  system_ids: form.system_ids,
+  enabled: form.enabled,
+});
+
+// Add or remove a value from a list, used by the filter checkboxes
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+
+function ManageNotificationChannels() {
+  const queryClient = useQueryClient();
+  const { systems } = useSystems();
+  const [editingChannel, setEditingChannel] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [testResult, setTestResult] = useState(null);
+
+  // Fetch notification channels from the backend API
+  const { data: channels = [], isLoading, error } = useQuery({
+    queryKey: ['notificationChannels'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/notification-channels');
+      if (!response.ok) throw new Error('Failed to fetch notification channels');
+      return response.json();
+    }
+  });
+
+  // Fetch the most recent deliveries across all channels, including Telegram
+  const { data: deliveries = [] } = useQuery({
+    queryKey: ['alertDeliveries'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/alert-deliveries?limit=50');
+      if (!response.ok) throw new Error('Failed to fetch delivery log');
+      return response.json();
+    },
+    refetchInterval: 30000,
+  });
+
+
+  // Save Channel Mutation (create or update)
+  const saveChannel = useMutation({
+    mutationFn: async ({ id, data }) => {
+      const response = await apiFetch(id ? `/api/notification-channels/${id}` : '/api/notification-channels', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save channel');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notificationChannels'] });
+      resetForm();
+    }
+  });
+
+
+  // Delete Channel Mutation
+  const deleteChannel = useMutation({
+    mutationFn: async (channelId) => {
+      const response = await apiFetch(`/api/notification-channels/${channelId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete channel');
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['notificationChannels'] })
+  });
+
+
+  // Test Channel Mutation
+  // Sends a test message and reports whether it was delivered
+  const testChannel = useMutation({
+    mutationFn: async (channel) => {
+      const response = await apiFetch(`/api/notification-channels/${channel.id}/test`, { method: 'POST' });
+      if (!response.ok) throw new Error('Failed to test channel');
+      return { channel, ...(await response.json()) };
+    },
+    onSuccess: (result) => {
+      setTestResult(result);
+      queryClient.invalidateQueries({ queryKey: ['alertDeliveries'] });
+    }
+  });
+
+
+  const handleEdit = (channel) => {
+    setEditingChannel(channel);
+    setFormData({
+      name: channel.name,
+      type: channel.type,
+      to: channel.config?.to || '',
+      url: channel.config?.url || '',
+      alert_types: channel.alert_types || [],
+      severities: channel.severities || [],
+      system_ids: channel.system_ids || [],
+      enabled: channel.enabled,
+    });
+  };
+
+  const handleDelete = (channelId) => {
+    if (!window.confirm('Are you sure you want to delete this channel?')) return;
+    deleteChannel.mutate(channelId);
+  };
+
+  const resetForm = () => {
+    setEditingChannel(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveChannel.mutate({ id: editingChannel?.id, data: toChannelPayload(formData) });
+  };
+
+  // Empty lists mean the channel receives everything
+  const describeFilters = (channel) => {
+    const parts = [];
+    parts.push(channel.alert_types?.length ? channel.alert_types.join(', ') : 'all types');
+    parts.push(channel.severities?.length ? channel.severities.join(', ') : 'all severities');
+    parts.push(channel.system_ids?.length
+      ? systems.filter(s => channel.system_ids.includes(s.id)).map(s => s.name).join(', ')
+      : 'all systems');
+    return parts.join(' · ');
+  };
+
+  const mutationError = saveChannel.error || deleteChannel.error || testChannel.error;
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching channels
+
+  return (
+
+    // Render the Notification Channels page
+    // A form for email/webhook channels, the channel list with test buttons and the delivery log
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Notification Channels</h1>
+          </div>
+
+          {(error || mutationError) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || mutationError).message}
+            </div>
+          )}
+
+          {testResult && (
+            <div className={`${testResult.success ? 'bg-green-100 border-green-400 text-green-800' : 'bg-red-100 border-red-400 text-red-700'} border px-4 py-3 rounded mb-4`}>
+              {testResult.success
+                ? `Test message delivered to "${testResult.channel.name}".`
+                : `Test message to "${testResult.channel.name}" failed: ${testResult.error}`}
+            </div>
+          )}
+
+          <p className="text-green-200 mb-4">
+            Alerts always go to subscribed Telegram chats. Add email addresses or webhooks here to send them further.
+          </p>
+
+          {/* Add/Edit Channel Form */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4">
+              {editingChannel ? 'Edit Channel' : 'Add New Channel'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-bold mb-2">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    placeholder="e.g. On-call email"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Type</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    disabled={!!editingChannel}    // The type of an existing channel cannot change
+                  >
+                    <option value="email">Email</option>
+                    <option value="webhook">Webhook</option>
+                  </select>
+                </div>
+              </div>
+              {formData.type === 'email' ? (
+                <div>
+                  <label className="block text-sm font-bold mb-2">Send to</label>
+                  <input
+                    type="email"
+                    value={formData.to}
+                    onChange={(e) => setFormData({ ...formData, to: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    placeholder="grower@example.com"
+                    required
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-bold mb-2">Webhook URL</label>
+                  <input
+                    type="url"
+                    value={formData.url}
+                    onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                    placeholder="https://example.com/hooks/hydroponic"
+                    required
+                  />
+                </div>
+              )}
+
+              {/* Filters: nothing ticked means everything */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-bold mb-2">Alert types</label>
+                  {ALERT_TYPES.map(type => (
+                    <label key={type.value} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={formData.alert_types.includes(type.value)}
+                        onChange={() => setFormData({ ...formData, alert_types: toggle(formData.alert_types, type.value) })}
+                      />
+                      {type.label}
+                    </label>
+                  ))}
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Severities</label>
+                  {SEVERITIES.map(severity => (
+                    <label key={severity} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={formData.severities.includes(severity)}
+                        onChange={() => setFormData({ ...formData, severities: toggle(formData.severities, severity) })}
+                      />
+                      {severity}
+                    </label>
+                  ))}
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Systems</label>
+                  {systems.map(system => (
+                    <label key={system.id} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={formData.system_ids.includes(system.id)}
+                        onChange={() => setFormData({ ...formData, system_ids: toggle(formData.system_ids, system.id) })}
+                      />
+                      {system.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <p className="text-xs text-gray-400">Leave a group unticked to receive all of it.</p>
+
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={formData.enabled}
+                  onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                />
+                Enabled
+              </label>
+
+              <div className="flex gap-4">
+                <button
+                  type="submit"
+                  className="bg-green-700 hover:bg-green-800 px-4 py-2 rounded-lg text-white"
+                >
+                  {editingChannel ? 'Update Channel' : 'Add Channel'}
+                </button>
+                {editingChannel && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg text-white"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {/* Channels List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Destination</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receives</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {channels.map((channel) => (
+                  <tr key={channel.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <p>{channel.name}</p>
+                      <p className="text-xs text-gray-400">{channel.type}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm break-all">
+                      <p>{channel.type === 'email' ? channel.config.to : channel.config.url}</p>
+                      {channel.type === 'webhook' && (
+                        <p className="text-xs text-gray-400 font-mono">Signing secret: {channel.config.secret}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm">{describeFilters(channel)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 rounded-full text-xs ${channel.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {channel.enabled ? 'Enabled' : 'Disabled'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => testChannel.mutate(channel)}    // Send a test message
+                          className="text-green-400 hover:text-green-200"
+                          title="Send test message"
+                        >
+                          <FaPaperPlane />
+                        </button>
+                        <button
+                          onClick={() => handleEdit(channel)}    // Set the channel to be edited
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(channel.id)}    // Call the delete function with the channel's ID
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {channels.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-6 py-4 text-center text-gray-400">No channels yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Delivery Log */}
+          <div className="bg-green-900 text-white p-6 rounded-lg">
+            <h2 className="text-2xl font-bold mb-4">Delivery Log</h2>
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Channel</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {deliveries.map((delivery) => (
+                  <tr key={delivery.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(delivery.created_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{delivery.channel_type}</td>
+                    <td className="px-4 py-3 text-sm break-all">{delivery.target}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-1 rounded-full text-xs ${delivery.status === 'sent' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                        {delivery.status}
+                      </span>
+                      {delivery.error && <p className="text-xs text-red-300 mt-1">{delivery.error}</p>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{delivery.attempts}</td>
+                  </tr>
+                ))}
+                {deliveries.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-4 text-center text-gray-400">Nothing delivered yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ManageNotificationChannels;
@@ -3,9 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { FaEdit, FaTrash } from 'react-icons/fa';
 import Layout from './Layout';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { supabase } from '../supabaseClient';
-
-const BACKEND_URL = 'https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend';
+import { apiFetch } from '../apiClient';
 
 function ManagePlants() {
   const queryClient = useQueryClient();
@@ -27,7 +25,7 @@ function ManagePlants() {
     queryKey: ['plants'],
     queryFn: async () => {
       // Fetch all plants (including multiplant) from backend only
-      const response = await fetch(`${BACKEND_URL}/api/plants`);
+      const response = await apiFetch('/api/plants');
       if (!response.ok) throw new Error('Failed to fetch plants');
       return response.json();
     }
@@ -39,7 +37,7 @@ function ManagePlants() {
   // This ensures that the plant list is refreshed after a new plant is added
   const createPlant = useMutation({
     mutationFn: async (data) => {
-      const response = await fetch(`${BACKEND_URL}/api/plants`, {
+      const response = await apiFetch('/api/plants', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data),
@@ -59,7 +57,7 @@ function ManagePlants() {
   // It uses the 'plants' query key to cache the data
   const updatePlant = useMutation({
     mutationFn: async ({ id, data }) => {
-      const response = await fetch(`${BACKEND_URL}/api/plants/${id}`, {
+      const response = await apiFetch(`/api/plants/${id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data),
@@ -79,7 +77,7 @@ function ManagePlants() {
   // It uses the 'plants' query key to cache the data
   const deletePlant = useMutation({
     mutationFn: async (plantId) => {
-      const response = await fetch(`${BACKEND_URL}/api/plants/${plantId}`, {
+      const response = await apiFetch(`/api/plants/${plantId}`, {
         method: 'DELETE',
       });
       if (!response.ok) throw new Error('Failed to delete plant');
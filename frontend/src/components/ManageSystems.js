@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { FaEdit, FaTrash } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+
+function ManageSystems() {
+  const queryClient = useQueryClient();
+  const { refreshSystems } = useSystems();
+  const [editingSystem, setEditingSystem] = useState(null);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+
+  // Fetch systems from the backend API
+  const { data: systems = [], isLoading, error } = useQuery({
+    queryKey: ['systems'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/systems');
+      if (!response.ok) throw new Error('Failed to fetch systems');
+      return response.json();
+    }
+  });
+
+  // After any change, refresh both this list and the system switcher in the header
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: ['systems'] });
+    refreshSystems();
+  };
+
+
+  // Create System Mutation
+  const createSystem = useMutation({
+    mutationFn: async (data) => {
+      const response = await apiFetch('/api/systems', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) throw new Error('Failed to create system');
+      return response.json();
+    },
+    onSuccess
+  });
+
+
+  // Update System Mutation
+  const updateSystem = useMutation({
+    mutationFn: async ({ id, data }) => {
+      const response = await apiFetch(`/api/systems/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      if (!response.ok) throw new Error('Failed to update system');
+      return response.json();
+    },
+    onSuccess
+  });
+
+
+  // Delete System Mutation
+  // The backend refuses to delete a system that still has sensor data or devices
+  const deleteSystem = useMutation({
+    mutationFn: async (systemId) => {
+      const response = await apiFetch(`/api/systems/${systemId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete system');
+      }
+      return response.json();
+    },
+    onSuccess
+  });
+
+
+  const handleEdit = (system) => {
+    setEditingSystem(system);
+    setFormData({ name: system.name, description: system.description || '' });
+  };
+
+  const handleDelete = (systemId) => {
+    if (!window.confirm('Are you sure you want to delete this system?')) return;
+    deleteSystem.mutate(systemId);
+  };
+
+  const resetForm = () => {
+    setEditingSystem(null);
+    setFormData({ name: '', description: '' });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (editingSystem) {
+      updateSystem.mutate({ id: editingSystem.id, data: formData });
+    } else {
+      createSystem.mutate(formData);
+    }
+    resetForm();
+  };
+
+  const mutationError = createSystem.error || updateSystem.error || deleteSystem.error;
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching systems
+
+  return (
+
+    // Render the Manage Systems page
+    // A form for adding/editing grow systems and a list of existing systems
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Manage Systems</h1>
+          </div>
+
+          {(error || mutationError) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || mutationError).message}
+            </div>
+          )}
+
+          {/* Add/Edit System Form */}
+          <div className="bg-green-900 text-white p-6 rounded-lg mb-8 transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
+            <h2 className="text-2xl font-bold mb-4">
+              {editingSystem ? 'Edit System' : 'Add New System'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-bold mb-2">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  placeholder="e.g. Tower A or NFT Channel 2"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-bold mb-2">Description</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                />
+              </div>
+              <div className="flex gap-4">
+                <button
+                  type="submit"
+                  className="bg-green-700 hover:bg-green-800 px-4 py-2 rounded-lg text-white"
+                >
+                  {editingSystem ? 'Update System' : 'Add System'}
+                </button>
+                {editingSystem && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg text-white"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+
+          {/* Systems List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {systems.map((system) => (
+                  <tr key={system.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">{system.name}</td>
+                    <td className="px-6 py-4">{system.description || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleEdit(system)}    // Set the system to be edited
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(system.id)}    // Call the delete function with the system's ID
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ManageSystems;
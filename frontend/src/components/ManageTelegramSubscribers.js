@@ -0,0 +1,133 @@
+import React from 'react';
+import { FaTrash } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function ManageTelegramSubscribers() {
+  const queryClient = useQueryClient();
+  const { systems } = useSystems();
+
+  // Fetch subscribed chats
+  // Chats subscribe and change their preferences themselves with /subscribe and /settings in Telegram
+  const { data: subscribers = [], isLoading, error } = useQuery({
+    queryKey: ['telegramSubscribers'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/telegram-subscribers');
+      if (!response.ok) throw new Error('Failed to fetch Telegram subscribers');
+      return response.json();
+    }
+  });
+
+
+  // Remove Subscriber Mutation
+  const removeSubscriber = useMutation({
+    mutationFn: async (chatId) => {
+      const response = await apiFetch(`/api/telegram-subscribers/${chatId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to remove subscriber');
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['telegramSubscribers'] })
+  });
+
+
+  const handleRemove = (subscriber) => {
+    if (!window.confirm(`Remove "${subscriber.chat_name || subscriber.chat_id}" from the alert subscribers?`)) return;
+    removeSubscriber.mutate(subscriber.chat_id);
+  };
+
+  // Empty lists mean the chat receives everything
+  const describeSystems = (systemIds) => {
+    if (!systemIds?.length) return 'All';
+    return systems.filter(s => systemIds.includes(s.id)).map(s => s.name).join(', ') || '-';
+  };
+
+  const describeQuietHours = (subscriber) => {
+    if (!subscriber.quiet_hours_start || !subscriber.quiet_hours_end) return 'Off';
+    return `${subscriber.quiet_hours_start}–${subscriber.quiet_hours_end} (${subscriber.timezone || 'server time'})`;
+  };
+
+  const describeDigest = (subscriber) => {
+    if (subscriber.digest_frequency === 'off') return 'Off';
+    const day = subscriber.digest_frequency === 'weekly' ? ` ${WEEKDAYS[subscriber.digest_weekday]}` : '';
+    return `${subscriber.digest_frequency}${day} at ${subscriber.digest_time}`;
+  };
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching subscribers
+
+  return (
+
+    // Render the Telegram Subscribers page
+    // A list of chats receiving alerts with their preferences and a remove button
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Telegram Subscribers</h1>
+          </div>
+
+          {(error || removeSubscriber.error) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || removeSubscriber.error).message}
+            </div>
+          )}
+
+          <p className="text-green-200 mb-4">
+            Team members add a chat by sending /subscribe to the bot, and choose what they receive and when digests arrive with /settings.
+          </p>
+
+          {/* Subscribers List */}
+          <div className="bg-green-900 text-white p-6 rounded-lg transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Chat</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Alert Types</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Systems</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quiet Hours</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Digest</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subscribed</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {subscribers.map((subscriber) => (
+                  <tr key={subscriber.chat_id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <p>{subscriber.chat_name || '-'}</p>
+                      <p className="text-xs text-gray-400 font-mono">{subscriber.chat_id}</p>
+                    </td>
+                    <td className="px-6 py-4">{subscriber.alert_types?.length ? subscriber.alert_types.join(', ') : 'All'}</td>
+                    <td className="px-6 py-4">{describeSystems(subscriber.system_ids)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{describeQuietHours(subscriber)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{describeDigest(subscriber)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{new Date(subscriber.created_at).toLocaleDateString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleRemove(subscriber)}    // Stop sending alerts to this chat
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove subscriber"
+                      >
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {subscribers.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-4 text-center text-gray-400">No chats are subscribed yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ManageTelegramSubscribers;
@@ -2,8 +2,7 @@ import React, { useState } from 'react';
 import { FaEdit, FaTrash } from 'react-icons/fa';
 import Layout from './Layout';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-
-const BACKEND_URL = 'https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend';
+import { apiFetch } from '../apiClient';
 
 
 function ManageUsers() {
@@ -22,7 +21,7 @@ function ManageUsers() {
   const { data: users = [], isLoading, error } = useQuery({
     queryKey: ['users'],
     queryFn: async () => {
-      const response = await fetch(`${BACKEND_URL}/api/users`);
+      const response = await apiFetch('/api/users');
       if (!response.ok) throw new Error('Failed to fetch users');
       return response.json();
     }
@@ -35,7 +34,7 @@ function ManageUsers() {
   // On success, it invalidates the 'users' query to refresh the user list
   const createUser = useMutation({
     mutationFn: async (data) => {
-      const response = await fetch(`${BACKEND_URL}/api/users`, {
+      const response = await apiFetch('/api/users', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data),
@@ -53,7 +52,7 @@ function ManageUsers() {
   // On success, it invalidates the 'users' query to refresh the user list
   const updateUser = useMutation({
     mutationFn: async ({ id, data }) => {
-      const response = await fetch(`${BACKEND_URL}/api/users/${id}`, {
+      const response = await apiFetch(`/api/users/${id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data),
@@ -72,7 +71,7 @@ function ManageUsers() {
   
   const deleteUser = useMutation({
     mutationFn: async (userId) => {
-      const response = await fetch(`${BACKEND_URL}/api/users/${userId}`, {
+      const response = await apiFetch(`/api/users/${userId}`, {
         method: 'DELETE',
       });
       if (!response.ok) throw new Error('Failed to delete user');
@@ -0,0 +1,365 @@
+import React, { useState } from 'react';
+import { FaTrash, FaExclamationTriangle } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+import { supabase } from '../supabaseClient';
+import { useSystems } from '../context/SystemContext';
+import { fitCalibration } from '../calibration';
+
+// Common buffer solutions offered in the wizard; any other value can be typed in
+const PROBES = {
+  ph: { label: 'pH', unit: '', buffers: [4.0, 7.0, 10.0], pointCounts: [2, 3] },
+  ec: { label: 'EC', unit: ' mS/cm', buffers: [1.413, 12.88], pointCounts: [1, 2, 3] },
+};
+
+const STEPS = ['Probe', 'Buffers', 'Review'];
+
+const formatPoints = (points) => points.map(p => `${p.reference} ← ${p.measured}`).join(', ');
+
+
+function ProbeCalibration() {
+  const queryClient = useQueryClient();
+  const { selectedSystemId, selectedSystem } = useSystems();
+  const isAdmin = localStorage.getItem('userRole') === 'admin';  // Only admins may record calibrations
+
+  // Wizard state
+  const [step, setStep] = useState(null);  // null while the wizard is closed, otherwise an index into STEPS
+  const [probe, setProbe] = useState('ph');
+  const [points, setPoints] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [readingError, setReadingError] = useState(null);
+
+  // Fetch when each probe was last calibrated
+  const { data: status } = useQuery({
+    queryKey: ['calibrationStatus'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/calibrations/status');
+      if (!response.ok) throw new Error('Failed to fetch calibration status');
+      return response.json();
+    }
+  });
+  const probeStatus = (status?.probes || []).filter(s => s.system_id === selectedSystemId);
+
+  // Fetch the calibration history of the selected system
+  const { data: history = [], isLoading, error } = useQuery({
+    queryKey: ['calibrations', selectedSystemId, 'history'],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/calibrations?system_id=${selectedSystemId}`);
+      if (!response.ok) throw new Error('Failed to fetch calibrations');
+      return response.json();
+    },
+    enabled: !!selectedSystemId,
+  });
+
+
+  // Save Calibration Mutation
+  const saveCalibration = useMutation({
+    mutationFn: async () => {
+      const response = await apiFetch('/api/calibrations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          system_id: selectedSystemId,
+          probe,
+          points: points.map(p => ({ reference: Number(p.reference), measured: Number(p.measured) })),
+          notes,
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save calibration');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['calibrations'] });
+      queryClient.invalidateQueries({ queryKey: ['calibrationStatus'] });
+      setStep(null);
+    }
+  });
+
+  // Delete Calibration Mutation
+  const deleteCalibration = useMutation({
+    mutationFn: async (id) => {
+      const response = await apiFetch(`/api/calibrations/${id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete calibration');
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['calibrations'] });
+      queryClient.invalidateQueries({ queryKey: ['calibrationStatus'] });
+    }
+  });
+
+
+  const startWizard = (selectedProbe) => {
+    setProbe(selectedProbe);
+    setPoints(PROBES[selectedProbe].buffers.slice(0, PROBES[selectedProbe].pointCounts[0]).map(reference => ({ reference, measured: '' })));
+    setNotes('');
+    setReadingError(null);
+    saveCalibration.reset();
+    setStep(0);
+  };
+
+  // Change the number of buffers, keeping the values already entered
+  const handlePointCountChange = (count) => {
+    const buffers = PROBES[probe].buffers;
+    setPoints(Array.from({ length: count }, (_, i) => points[i] || { reference: buffers[i] ?? '', measured: '' }));
+  };
+
+  const updatePoint = (index, key, value) => {
+    setPoints(points.map((point, i) => (i === index ? { ...point, [key]: value } : point)));
+  };
+
+  // Fill in the probe's latest raw value while it sits in the buffer
+  // sensor_data holds uncalibrated values, so this is what the probe actually measures
+  const fillCurrentReading = async (index) => {
+    setReadingError(null);
+    const { data, error: fetchError } = await supabase
+      .from('sensor_data')
+      .select(`${probe}, created_at`)
+      .eq('system_id', selectedSystemId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (fetchError || !data?.length) {
+      setReadingError('Could not fetch the current reading');
+      return;
+    }
+    updatePoint(index, 'measured', data[0][probe]);
+  };
+
+  const pointsComplete = points.every(p => p.reference !== '' && p.measured !== '' && Number(p.measured) !== 0);
+  const preview = pointsComplete
+    ? fitCalibration(points.map(p => ({ reference: Number(p.reference), measured: Number(p.measured) })))
+    : null;
+
+  const handleDelete = (calibration) => {
+    if (!window.confirm(`Delete the ${PROBES[calibration.probe].label} calibration of ${new Date(calibration.created_at).toLocaleString()}? Readings will use the previous calibration.`)) return;
+    deleteCalibration.mutate(calibration.id);
+  };
+
+  if (isLoading) return <div className="text-center mt-8 text-white">Loading...</div>;  // Show loading state while fetching calibrations
+
+  return (
+
+    // Render the Calibration page
+    // Status of each probe with the wizard to calibrate it, then the calibration history
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-4xl font-bold text-white">Probe Calibration</h1>
+              <p className="text-green-200">{selectedSystem ? selectedSystem.name : 'System'}</p>
+            </div>
+          </div>
+
+          {(error || deleteCalibration.error) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || deleteCalibration.error).message}
+            </div>
+          )}
+
+          {/* Probe status */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+            {probeStatus.map(s => (
+              <div key={s.probe} className={`bg-green-900 text-white p-6 rounded-lg ${s.overdue ? 'border-2 border-yellow-400' : ''}`}>
+                <h2 className="text-2xl font-bold mb-2">{PROBES[s.probe].label} probe</h2>
+                <p className="text-sm">
+                  Last calibrated: {s.last_calibrated_at ? new Date(s.last_calibrated_at).toLocaleDateString() : 'never'}
+                </p>
+                {s.due_at && <p className="text-sm">Due: {new Date(s.due_at).toLocaleDateString()}</p>}
+                {s.overdue && (
+                  <p className="text-sm text-yellow-300 mt-2 flex items-center gap-2">
+                    <FaExclamationTriangle />
+                    Calibration overdue (every {status.intervalDays} days)
+                  </p>
+                )}
+                {isAdmin && (
+                  <button
+                    onClick={() => startWizard(s.probe)}
+                    className="mt-4 bg-green-700 hover:bg-green-800 px-4 py-2 rounded-lg"
+                  >
+                    Calibrate
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Calibration wizard */}
+          {step !== null && (
+            <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+              <div className="flex gap-4 mb-6 text-sm">
+                {STEPS.map((name, index) => (
+                  <span key={name} className={index === step ? 'font-bold text-white' : 'text-gray-400'}>
+                    {index + 1}. {name}
+                  </span>
+                ))}
+              </div>
+
+              {step === 0 && (
+                <div>
+                  <h2 className="text-2xl font-bold mb-4">Calibrate the {PROBES[probe].label} probe</h2>
+                  <p className="text-sm text-green-200 mb-4">
+                    Rinse the probe with distilled water between buffers and let the value settle before recording it.
+                  </p>
+                  <label className="block text-sm font-bold mb-2">Number of buffers</label>
+                  <select
+                    value={points.length}
+                    onChange={(e) => handlePointCountChange(Number(e.target.value))}
+                    className="px-3 py-2 border rounded-lg text-gray-800"
+                  >
+                    {PROBES[probe].pointCounts.map(count => (
+                      <option key={count} value={count}>{count}-point</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {step === 1 && (
+                <div>
+                  <h2 className="text-2xl font-bold mb-4">Record each buffer</h2>
+                  {points.map((point, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 items-end">
+                      <div>
+                        <label className="block text-sm font-bold mb-2">Buffer {index + 1}{PROBES[probe].unit}</label>
+                        <input
+                          type="number"
+                          step="0.001"
+                          list={`${probe}-buffers`}
+                          value={point.reference}
+                          onChange={(e) => updatePoint(index, 'reference', e.target.value)}
+                          className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-bold mb-2">Probe reads{PROBES[probe].unit}</label>
+                        <input
+                          type="number"
+                          step="0.001"
+                          value={point.measured}
+                          onChange={(e) => updatePoint(index, 'measured', e.target.value)}
+                          className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                        />
+                      </div>
+                      <button
+                        onClick={() => fillCurrentReading(index)}   // Take the latest raw value from the controller
+                        className="bg-blue-500 hover:bg-blue-600 px-4 py-2 rounded-lg"
+                      >
+                        Use current reading
+                      </button>
+                    </div>
+                  ))}
+                  <datalist id={`${probe}-buffers`}>
+                    {PROBES[probe].buffers.map(buffer => <option key={buffer} value={buffer} />)}
+                  </datalist>
+                  {readingError && <p className="text-sm text-red-400">{readingError}</p>}
+                </div>
+              )}
+
+              {step === 2 && (
+                <div>
+                  <h2 className="text-2xl font-bold mb-4">Review</h2>
+                  <p className="mb-2">Points: {formatPoints(points)}</p>
+                  {preview && (
+                    <p className="mb-4">
+                      Slope {preview.slope.toFixed(3)}, offset {preview.offset.toFixed(3)}
+                      <span className="text-sm text-green-200"> · corrected = slope × raw + offset</span>
+                    </p>
+                  )}
+                  <label className="block text-sm font-bold mb-2">Notes</label>
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="e.g. new buffer bottles, probe cleaned"
+                    className="w-full px-3 py-2 border rounded-lg text-gray-800"
+                  />
+                  {saveCalibration.error && <p className="text-sm text-red-400 mt-2">{saveCalibration.error.message}</p>}
+                </div>
+              )}
+
+              <div className="flex justify-between mt-6">
+                <button
+                  onClick={() => (step === 0 ? setStep(null) : setStep(step - 1))}
+                  className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg"
+                >
+                  {step === 0 ? 'Cancel' : 'Back'}
+                </button>
+                {step < STEPS.length - 1 ? (
+                  <button
+                    onClick={() => setStep(step + 1)}
+                    disabled={step === 1 && !pointsComplete}
+                    className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-4 py-2 rounded-lg"
+                  >
+                    Next
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => saveCalibration.mutate()}
+                    disabled={saveCalibration.isPending}
+                    className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-4 py-2 rounded-lg"
+                  >
+                    Save calibration
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Calibration history */}
+          <div className="bg-green-900 text-white p-6 rounded-lg overflow-x-auto">
+            <h2 className="text-2xl font-bold mb-4">History</h2>
+            <table className="min-w-full">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Probe</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Buffer ← Reading</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Slope</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Offset</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                  {isAdmin && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {history.map(calibration => (
+                  <tr key={calibration.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(calibration.created_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{PROBES[calibration.probe]?.label || calibration.probe}</td>
+                    <td className="px-4 py-3 text-sm">{formatPoints(calibration.points)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{calibration.slope.toFixed(3)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{calibration.offset.toFixed(3)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">{calibration.calibrated_by || '-'}</td>
+                    <td className="px-4 py-3 text-sm">{calibration.notes || '-'}</td>
+                    {isAdmin && (
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <button
+                          onClick={() => handleDelete(calibration)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Delete calibration"
+                        >
+                          <FaTrash />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+                {history.length === 0 && (
+                  <tr>
+                    <td colSpan={isAdmin ? 8 : 7} className="px-4 py-3 text-center text-gray-400">No calibrations recorded yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default ProbeCalibration;
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import { FaPlay, FaLock } from 'react-icons/fa';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+
+const MAX_RUN_SECONDS = 300;
+
+const STATUS_STYLES = {
+  queued: 'bg-blue-100 text-blue-800',
+  sent: 'bg-yellow-100 text-yellow-800',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+
+// Active safety lockouts of a system; dosing stays blocked while there is one
+export function usePumpLockouts(systemId) {
+  return useQuery({
+    queryKey: ['pumpLockouts', systemId],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/pumps/lockouts?system_id=${systemId}&active=true`);
+      if (!response.ok) throw new Error('Failed to fetch safety lockouts');
+      return response.json();
+    },
+    enabled: !!systemId,
+    refetchInterval: 10000,
+  });
+}
+
+
+// Banner shown while the safety interlocks have locked a system out of dosing
+// Admins can clear the lockout once they have checked the pumps
+export function SafetyLockoutBanner({ lockouts, isAdmin }) {
+  const queryClient = useQueryClient();
+
+  // Clear Lockout Mutation
+  const clearLockout = useMutation({
+    mutationFn: async ({ id, note }) => {
+      const response = await apiFetch(`/api/pumps/lockouts/${id}/clear`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to clear lockout');
+      }
+      return response.json();
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['pumpLockouts'] })
+  });
+
+  const handleClear = (lockout) => {
+    const note = window.prompt('Dosing will resume. What was checked or fixed? (optional)');
+    if (note === null) return;  // Cancelled
+    clearLockout.mutate({ id: lockout.id, note: note.trim() });
+  };
+
+  return lockouts.map((lockout) => (
+    <div key={lockout.id} className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-8 flex items-start justify-between gap-4">
+      <div>
+        <p className="font-bold flex items-center gap-2"><FaLock /> Dosing locked out by the safety interlock</p>
+        <p className="text-sm mt-1">{lockout.reason}</p>
+        <p className="text-xs mt-1">Since {new Date(lockout.created_at).toLocaleString()}</p>
+        {clearLockout.error && <p className="text-sm mt-1">{clearLockout.error.message}</p>}
+      </div>
+      {isAdmin && (
+        <button
+          onClick={() => handleClear(lockout)}
+          disabled={clearLockout.isPending}
+          className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg whitespace-nowrap"
+        >
+          Clear lockout
+        </button>
+      )}
+    </div>
+  ));
+}
+
+
+// Button that asks for a duration and a confirmation before a pump is run (admin only)
+// Disabled while the system is locked out by the safety interlocks
+export function RunPumpButton({ pump, systemId, locked }) {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [duration, setDuration] = useState(10);
+
+  // Run Pump Mutation
+  const runPump = useMutation({
+    mutationFn: async () => {
+      const response = await apiFetch(`/api/pumps/${pump.key}/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ duration_seconds: Number(duration), system_id: systemId }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to queue pump command');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['pumpCommands'] });
+      setOpen(false);
+    }
+  });
+
+  const handleOpen = () => {
+    runPump.reset();
+    setOpen(true);
+  };
+
+  return (
+    <>
+      <button
+        onClick={handleOpen}
+        disabled={locked}
+        title={locked ? 'Dosing is locked out by the safety interlock' : undefined}
+        className="mt-4 bg-green-700 hover:bg-green-900 disabled:opacity-50 px-3 py-1 rounded-lg text-sm text-white flex items-center justify-center gap-2"
+      >
+        <FaPlay size={12} />
+        Run
+      </button>
+
+      {/* Confirmation dialog */}
+      {open && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-green-900 text-white rounded-xl shadow-xl p-6 w-96">
+            <h3 className="text-xl font-bold mb-4">Run {pump.label}</h3>
+            <label className="block text-sm font-bold mb-2">Duration (seconds)</label>
+            <input
+              type="number"
+              min={1}
+              max={MAX_RUN_SECONDS}
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-gray-800"
+            />
+            <p className="text-sm text-yellow-300 mt-4">
+              The pump will run for {duration || 0} seconds as soon as the controller picks up the command.
+            </p>
+            {runPump.error && <p className="text-sm text-red-400 mt-2">{runPump.error.message}</p>}
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                onClick={() => setOpen(false)}
+                className="bg-gray-500 hover:bg-gray-600 px-4 py-2 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => runPump.mutate()}
+                disabled={runPump.isPending}
+                className="bg-green-700 hover:bg-green-800 disabled:opacity-50 px-4 py-2 rounded-lg"
+              >
+                Run pump
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+
+// Recent manual pump commands of a system with their status and audit trail
+// Refreshed every few seconds so commands can be followed from queued to done
+export function PumpCommandList({ systemId, pumpLabels }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data: commands = [], error } = useQuery({
+    queryKey: ['pumpCommands', systemId],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/pumps/commands?system_id=${systemId}&limit=10`);
+      if (!response.ok) throw new Error('Failed to fetch pump commands');
+      return response.json();
+    },
+    enabled: !!systemId,
+    refetchInterval: 5000,
+  });
+
+  return (
+    <div className="bg-green-800 bg-opacity-80 rounded-xl p-6 shadow-lg mb-8 text-white overflow-x-auto">
+      <h3 className="text-lg font-bold mb-4">Recent Pump Commands</h3>
+      {error && <p className="text-sm text-red-400 mb-2">{error.message}</p>}
+      <table className="min-w-full">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pump</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested By</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {commands.map((command) => (
+            <React.Fragment key={command.id}>
+              <tr
+                onClick={() => setExpandedId(expandedId === command.id ? null : command.id)}  // Show or hide the audit trail
+                className="cursor-pointer hover:bg-green-700"
+              >
+                <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(command.created_at).toLocaleString()}</td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm">{pumpLabels[command.pump] || command.pump}</td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm">{command.duration_seconds}s</td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm">{command.requested_by_email || '-'}</td>
+                <td className="px-4 py-3 text-sm">
+                  <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[command.status] || ''}`}>{command.status}</span>
+                  {command.error && <p className="text-xs text-red-300 mt-1">{command.error}</p>}
+                </td>
+              </tr>
+              {expandedId === command.id && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-3">
+                    <ul className="text-xs text-gray-300 space-y-1">
+                      {command.events.map(event => (
+                        <li key={event.id}>
+                          {new Date(event.created_at).toLocaleTimeString()} · <span className="font-bold">{event.status}</span> by {event.actor}
+                          {event.detail && ` – ${event.detail}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+          {commands.length === 0 && (
+            <tr>
+              <td colSpan={5} className="px-4 py-3 text-center text-gray-400">No pump commands yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
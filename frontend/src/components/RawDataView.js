@@ -1,32 +1,50 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
-import { CSVLink } from 'react-csv';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import Layout from './Layout';
+import ExportDialog from './ExportDialog';
+import { apiFetch } from '../apiClient';
+import { useSystems } from '../context/SystemContext';
 
-const BACKEND_URL = 'https://automated-hydroponic-monitoring-o8eti.ondigitalocean.app/hydroponic-webapp-backend';
+const PUMPS = [
+  { key: 'pump1', label: 'Pump 1 (nutrient A+B)' },
+  { key: 'pump2', label: 'Pump 2 (water)' },
+  { key: 'pump3', label: 'Pump 3 (pH up)' },
+  { key: 'pump4', label: 'Pump 4 (pH down)' },
+];
+
+const EMPTY_FILTERS = { from: '', to: '', pump: '', out_of_range: '' };
 
 
 // RawDataView component to display raw sensor data
-// This component fetches data from the sensor_data table, displays it in a paginated table
-// and allows users to select rows for deletion or export to CSV.
-// It also fetches the selected plant name from system_config and updates the data every 3
+// This component pages through the sensor_data of the selected plant with /api/readings,
+// one page per request, so the table stays fast however many readings there are.
+// Users can filter and sort the readings, select rows for deletion or export a whole date range.
+// The current page is refreshed every 10 seconds
 function RawDataView() {
-  const [chartData, setChartData] = useState([]);
+  const queryClient = useQueryClient();
   const [plantName, setPlantName] = useState('');
-  const [loading, setLoading] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ field: 'created_at', order: 'desc' });
+  const [cursors, setCursors] = useState([null]);  // Cursor of every page visited so far, for going back
+  const [total, setTotal] = useState(null);
   const [selectedRows, setSelectedRows] = useState([]);
+  const [showExport, setShowExport] = useState(false);
+  const isAdmin = localStorage.getItem('userRole') === 'admin';  // Only admins may delete sensor data
   const itemsPerPage = 20;
+  const { selectedSystemId } = useSystems();
+  const cursor = cursors[cursors.length - 1];
 
 
-  // Function to fetch selected plant data
-  const getSelectedPlantData = useCallback(async () => {  
-    try {
-      // 1. Get selected plant ID from system_config
+  // Fetch the name of the plant selected for the current system
+  useEffect(() => {
+    if (!selectedSystemId) return;
+    const getSelectedPlantName = async () => {
+      // 1. Get selected plant ID of the current system
       const { data: configData, error: configError } = await supabase
-        .from('system_config')
+        .from('systems')
         .select('selected_plant_id')
-        .limit(1)
+        .eq('id', selectedSystemId)
         .single();
 
       if (configError || !configData) {
@@ -34,7 +52,7 @@ function RawDataView() {
         return;
       }
 
-      const selectedPlantId = configData.selected_plant_id;  //
+      const selectedPlantId = configData.selected_plant_id;
 
       // 2. Get plant name using ID
       // First try plant_profiles
@@ -63,65 +81,86 @@ function RawDataView() {
       } else if (profileData) {
         setPlantName(profileData.name);
       }
-
-      // 3. Get data from sensor_data table
-      const { data: sensorData, error: dataError } = await supabase
-        .from('sensor_data')
-        .select('*')
-        .eq('plant_name', plantName)
-        .order('created_at', { ascending: false });
-
-      if (dataError) {
-        console.error(`Error fetching data from sensor_data:`, dataError);
-        return;
-      }
-
-      setChartData(sensorData);
-      setLoading(false);
-    } catch (error) {
-      console.error('Error updating data:', error);
-    }
-  }, [plantName]);
+    };
+    getSelectedPlantName();
+  }, [selectedSystemId]);
 
 
-  // Fetch selected plant data on component mount and set up interval for updates
-  // This effect runs once when the component mounts and then every 3 seconds to refresh data
+  // Start again from the first page whenever the plant, filters or sort order change
   useEffect(() => {
-    getSelectedPlantData();
-
-    const interval = setInterval(() => {
-      getSelectedPlantData();
-    }, 3000);
+    setCursors([null]);
+    setTotal(null);
+  }, [selectedSystemId, plantName, filters, sort]);
+
+
+  // Build the query string for the current page
+  // Dates are whole days, so "to" includes everything up to the end of that day
+  const buildQuery = () => {
+    const params = new URLSearchParams({
+      system_id: selectedSystemId,
+      plant_name: plantName,
+      sort: sort.field,
+      order: sort.order,
+      limit: itemsPerPage,
+    });
+    if (cursor) params.set('cursor', cursor);
+    if (filters.pump) params.set('pump', filters.pump);
+    if (filters.out_of_range) params.set('out_of_range', filters.out_of_range);
+    if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+    if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+    return params.toString();
+  };
 
-    return () => clearInterval(interval);   // Clear interval on component unmount
-  }, [getSelectedPlantData]);
+  // Fetch one page of readings, with pH and EC calibrated by the backend
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['readings', selectedSystemId, plantName, filters, sort, cursor],
+    queryFn: async () => {
+      const response = await apiFetch(`/api/readings?${buildQuery()}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to fetch readings');
+      }
+      const page = await response.json();
+      if (page.total !== undefined) setTotal(page.total);  // Only counted for the first page
+      return page;
+    },
+    enabled: !!selectedSystemId && !!plantName,
+    placeholderData: (previous) => previous,
+    refetchInterval: 10000,
+  });
+
+  const currentData = data?.readings || [];
+  const currentPage = cursors.length;
+  const totalPages = total == null ? null : Math.max(1, Math.ceil(total / itemsPerPage));
+
+
+  // Handle filter change
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
 
+  // Sort by a column; clicking the sorted column again reverses the order
+  const handleSort = (field) => {
+    setSort(prev => ({ field, order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc' }));
+  };
 
+  const sortIndicator = (field) => (sort.field === field ? (sort.order === 'desc' ? ' ▼' : ' ▲') : '');
 
-  // Calculate pagination
-  // This calculates the total number of pages based on the length of chartData and itemsPerPage
-  // It also determines the start and end indices for the current page's data
-  // 20 items per page are displayed, and the current page is tracked with currentPage state
-  const totalPages = Math.ceil(chartData.length / itemsPerPage);
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = Math.min(startIndex + itemsPerPage, chartData.length);
-  const currentData = chartData.slice(startIndex, endIndex);
+  // Handle page change
+  // Next follows the cursor returned with the current page, Previous goes back to the cursor before it
+  const handleNextPage = () => {
+    if (data?.next_cursor) setCursors(prev => [...prev, data.next_cursor]);
+  };
 
-  // Handle page change 
-  // This function updates the current page state when the user navigates through pages
-  // It ensures the new page is within valid bounds (1 to totalPages)
-  // It also updates the selected rows to ensure they are valid for the new page
-  const handlePageChange = (newPage) => {
-    if (newPage > 0 && newPage <= totalPages) {
-      setCurrentPage(newPage);
-    }
+  const handlePreviousPage = () => {
+    if (cursors.length > 1) setCursors(prev => prev.slice(0, -1));
   };
 
 
   // Handle row selection
   // This function toggles the selection state of a row based on its ID
   const handleSelectRow = (id) => {
-    setSelectedRows(prev => 
+    setSelectedRows(prev =>
       prev.includes(id) ? prev.filter(rowId => rowId !== id) : [...prev, id]
     );
   };
@@ -148,12 +187,12 @@ function RawDataView() {
     if (!window.confirm(`Are you sure you want to delete the ${selectedRows.length} selected items? This action is permanent.`)) {  // Confirm deletion with the user
       return;
     }
-     
-    try {  
+
+    try {
 
       // Send a DELETE request to the backend to delete selected rows
       // The request body contains the IDs of the selected rows to be deleted
-      const response = await fetch(`${BACKEND_URL}/api/sensor-data`, {
+      const response = await apiFetch('/api/sensor-data', {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
@@ -167,10 +206,9 @@ function RawDataView() {
       }
 
 
-      // If deletion is successful, update the state
-      // This updates the chartData to remove the deleted rows and resets the selectedRows state
+      // If deletion is successful, reset the selection and fetch the pages again
       setSelectedRows([]);
-      await getSelectedPlantData();
+      await queryClient.invalidateQueries({ queryKey: ['readings'] });
       alert('Selected rows have been deleted successfully.');
     } catch (error) {
       console.error('Error deleting data:', error);
@@ -179,14 +217,13 @@ function RawDataView() {
   };
 
   return (
-    
+
     // Render the layout with the fetched plant data
-    // The layout contains a title, plant name, and a table displaying the raw data
+    // The layout contains a title, plant name, filters and a table displaying the raw data
     // The table includes checkboxes for selecting rows, a button to delete selected rows, and
-    // a button to export the data to CSV
-    // The table is paginated, allowing users to navigate through pages of data
+    // a button to export readings as CSV, Excel or JSON Lines
+    // The table is paginated on the server, and its columns can be clicked to sort
     // The table rows are styled with alternating colors for better readability
-    // The component uses Tailwind CSS for styling and ApexCharts for data visualization
     <Layout>
       <div className="p-8">
         <div className="mb-4 p-8 bg-green-800 rounded-xl shadow-xl">
@@ -196,7 +233,59 @@ function RawDataView() {
           <h2 className="text-2xl mb-4 text-green-100">
             {plantName ? `Plant: ${plantName}` : 'Loading...'}
           </h2>
-          {loading ? (
+
+          {/* Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4 text-white">
+            <div>
+              <label className="block text-sm font-bold mb-2">From</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">To</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">Pumps</label>
+              <select
+                value={filters.pump}
+                onChange={(e) => handleFilterChange('pump', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All readings</option>
+                <option value="any">Any pump active</option>
+                {PUMPS.map(pump => (
+                  <option key={pump.key} value={pump.key}>{pump.label} active</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-bold mb-2">Range</label>
+              <select
+                value={filters.out_of_range}
+                onChange={(e) => handleFilterChange('out_of_range', e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-gray-800"
+              >
+                <option value="">All readings</option>
+                <option value="any">Anything out of range</option>
+                <option value="ph">pH out of range</option>
+                <option value="ec">EC out of range</option>
+                <option value="water_temperature">Temperature out of range</option>
+              </select>
+            </div>
+          </div>
+
+          {error && <p className="text-red-400 mb-4">{error.message}</p>}
+          {isLoading || !plantName ? (
             <p className="text-lg text-green-200">Loading data...</p>
           ) : (
             <>
@@ -211,43 +300,48 @@ function RawDataView() {
                   />
                   <label htmlFor="select-all-on-page" className="text-white font-medium">Select All</label>
                 </div>
+                {isAdmin && (
+                  <button
+                    onClick={handleDeleteSelected}   // This button deletes the selected rows
+                    disabled={selectedRows.length === 0}   // Disable the button if no rows are selected
+                    className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Delete Selected ({selectedRows.length})
+                  </button>
+                )}
                 <button
-                  onClick={handleDeleteSelected}   // This button deletes the selected rows
-                  disabled={selectedRows.length === 0}   // Disable the button if no rows are selected
-                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  Delete Selected ({selectedRows.length})    
-                </button>
-                <CSVLink     // This link allows users to export the current data to a CSV file
-                  data={currentData}
-                  filename={`${plantName}_raw_data.csv`}
+                  onClick={() => setShowExport(true)}   // This button opens the dialog for exporting a date range
                   className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
                 >
-                  Export CSV
-                </CSVLink>  
+                  Export
+                </button>
               </div>
               <div className="overflow-x-auto">
                 <table className="min-w-full bg-green-900 text-white">
                   <thead>
                     <tr className="bg-green-700 text-white">
-                      <th className="px-4 py-2 text-left">Timestamp</th>
-                      <th className="px-4 py-2 text-left">Temperature (°C)</th>
-                      <th className="px-4 py-2 text-left">pH</th>
-                      <th className="px-4 py-2 text-left">EC (mS/cm)</th>
+                      <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('created_at')}>Timestamp{sortIndicator('created_at')}</th>
+                      <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('water_temperature')}>Temperature (°C){sortIndicator('water_temperature')}</th>
+                      <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('ph')}>pH{sortIndicator('ph')}</th>
+                      <th className="px-4 py-2 text-left cursor-pointer" onClick={() => handleSort('ec')}>EC (mS/cm){sortIndicator('ec')}</th>
+                      <th className="px-4 py-2 text-left">Active Pumps</th>
                       <th className="px-4 py-2 text-center">Select</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {currentData.map((data) => (    // Map through the current data to display each row
+                    {currentData.map((data, index) => (    // Map through the current data to display each row
 
-                    // Each row displays the timestamp, temperature, pH, EC values, and a checkbox for selection
+                    // Each row displays the timestamp, temperature, pH, EC values, active pumps and a checkbox for selection
                     // The row is highlighted if it is selected, and has alternating background colors for readability
 
-                      <tr key={data.id} className={selectedRows.includes(data.id) ? 'bg-green-600' : (chartData.indexOf(data) % 2 === 0 ? 'bg-green-800' : 'bg-green-900')}>  
+                      <tr key={data.id} className={selectedRows.includes(data.id) ? 'bg-green-600' : (index % 2 === 0 ? 'bg-green-800' : 'bg-green-900')}>
                         <td className="px-4 py-2">{new Date(data.created_at).toLocaleString()}</td>
                         <td className="px-4 py-2">{data.water_temperature.toFixed(2)}</td>
                         <td className="px-4 py-2">{data.ph.toFixed(2)}</td>
                         <td className="px-4 py-2">{data.ec.toFixed(2)}</td>
+                        <td className="px-4 py-2">
+                          {PUMPS.filter(pump => data[pump.key]).map(pump => pump.key.replace('pump', 'P')).join(', ') || '-'}
+                        </td>
                         <td className="px-4 py-2 text-center">
                           <input
                             type="checkbox"
@@ -258,26 +352,31 @@ function RawDataView() {
                         </td>
                       </tr>
                     ))}
+                    {currentData.length === 0 && (
+                      <tr>
+                        <td colSpan={6} className="px-4 py-3 text-center text-gray-400">No readings match these filters</td>
+                      </tr>
+                    )}
                   </tbody>
                 </table>
               </div>
               {/* Pagination */}
-              {totalPages > 1 && (   // This section displays pagination controls if there are multiple pages of data
+              {(currentPage > 1 || data?.next_cursor) && (   // This section displays pagination controls if there are multiple pages of data
                 <div className="mt-4 flex justify-center items-center gap-2">
                   <button
-                    onClick={() => handlePageChange(currentPage - 1)}   // This button navigates to the previous page
+                    onClick={handlePreviousPage}   // This button navigates to the previous page
                     disabled={currentPage === 1}
                     className="px-4 py-2 bg-green-700 text-white rounded disabled:opacity-50"
                   >
-                    
+
                     Previous
                   </button>
-                  <span className="px-4 py-2 text-white"> 
-                    Page {currentPage} of {totalPages}       
+                  <span className="px-4 py-2 text-white">
+                    Page {currentPage}{totalPages ? ` of ${totalPages}` : ''}
                   </span>
                   <button
-                    onClick={() => handlePageChange(currentPage + 1)}   // This button navigates to the next page
-                    disabled={currentPage === totalPages}
+                    onClick={handleNextPage}   // This button navigates to the next page
+                    disabled={!data?.next_cursor}
                     className="px-4 py-2 bg-green-700 text-white rounded disabled:opacity-50"
                   >
                     Next
@@ -288,8 +387,19 @@ function RawDataView() {
           )}
         </div>
       </div>
+
+      {/* Export dialog, starting from the date filters of the table */}
+      {showExport && (
+        <ExportDialog
+          systemId={selectedSystemId}
+          plantName={plantName}
+          initialFrom={filters.from}
+          initialTo={filters.to}
+          onClose={() => setShowExport(false)}
+        />
+      )}
     </Layout>
   );
 }
 
-export default RawDataView; 
\ No newline at end of file
+export default RawDataView;
@@ -1,12 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import Layout from './Layout';
+import { useSystems } from '../context/SystemContext';
 
 function SelectPlant() {
   const [plants, setPlants] = useState([]);
   const [selected, setSelected] = useState(null);
-  const [configId, setConfigId] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { selectedSystemId } = useSystems();
 
   // Fetch plant list and config on load
   // This effect runs once when the component mounts to fetch plant profiles and system configuration
@@ -46,53 +47,54 @@ function SelectPlant() {
 
       setPlants(plantList || []);
 
-      // Get system_config (first one)
-      // This query retrieves the system configuration to find out which plant is currently selected
-      // It fetches the ID and the selected plant ID from the first row of the 'system_config' table
+      // Get the current grow system
+      // This query retrieves the system to find out which plant is currently selected for it
+      if (!selectedSystemId) {
+        setSelected(null);
+        setLoading(false);
+        return;
+      }
       const { data: config, error: configError } = await supabase
-        .from('system_config')
+        .from('systems')
         .select('id, selected_plant_id')
-        .limit(1)
+        .eq('id', selectedSystemId)
         .single();
 
       if (configError) {
-        console.error('Error fetching config:', configError.message);
+        console.error('Error fetching system:', configError.message);
         setLoading(false);
         return;
       }
 
-      setConfigId(config.id);  // Store the config ID for later use
-
-
-      // Find the selected plant based on the config
-      // This finds the plant profile that matches the selected plant ID in the system configuration
+      // Find the selected plant based on the system
+      // This finds the plant profile that matches the selected plant ID of the system
       const selectedPlant = plantList.find(p => p.id === config.selected_plant_id);  
       setSelected(selectedPlant || null);
       setLoading(false);
     }
 
     fetchData();
-  }, []);
+  }, [selectedSystemId]);
 
   // Handle dropdown change
   // This function is called when the user selects a different plant from the dropdown
-  // It updates the selected plant in the state and also updates the system configuration in the database
+  // It updates the selected plant in the state and also updates the current system in the database
   const handleChange = async (e) => {
     const selectedId = e.target.value;
     const chosenPlant = plants.find(p => p.id === selectedId);
 
-    if (!chosenPlant || !configId) return;  // Ensure a plant is selected and config ID is available
+    if (!chosenPlant || !selectedSystemId) return;  // Ensure a plant and a system are selected
 
     setSelected(chosenPlant);    // Update the selected plant in the state
 
 
 
-    // Update the selected plant in the system configuration
-    // This updates the 'selected_plant_id' in the 'system_config' table with
+    // Update the selected plant of the current system
+    // This updates the 'selected_plant_id' in the 'systems' table
     const { error } = await supabase    //
-      .from('system_config')
+      .from('systems')
       .update({ selected_plant_id: selectedId })
-      .eq('id', configId);
+      .eq('id', selectedSystemId);
 
     if (error) {
       console.error('Error updating selected plant:', error.message);
@@ -0,0 +1,174 @@
+import React from 'react';
+import { FaPlay } from 'react-icons/fa';
+import Layout from './Layout';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiFetch } from '../apiClient';
+
+const TABLE_LABELS = {
+  sensor_data: 'Raw readings',
+  sensor_data_hourly: 'Hourly rollups',
+  sensor_data_daily: 'Daily rollups',
+};
+
+
+// Format a size in bytes, e.g. 12.3 MB
+const formatBytes = (bytes) => {
+  if (bytes == null) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+
+function StorageStats() {
+  const queryClient = useQueryClient();
+
+  // Fetch storage stats
+  // Refetch every 10 seconds so a running job and its result show up
+  const { data: stats, isLoading, error } = useQuery({
+    queryKey: ['retentionStats'],
+    queryFn: async () => {
+      const response = await apiFetch('/api/retention/stats');
+      if (!response.ok) throw new Error('Failed to fetch storage stats');
+      return response.json();
+    },
+    refetchInterval: 10000,
+  });
+
+  // Run Retention Mutation
+  const runRetention = useMutation({
+    mutationFn: async () => {
+      const response = await apiFetch('/api/retention/run', { method: 'POST' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to run the retention job');
+      }
+      return response.json();
+    },
+    onSettled: () => queryClient.invalidateQueries({ queryKey: ['retentionStats'] })
+  });
+
+  const handleRun = () => {
+    if (!window.confirm(`Roll up and delete raw readings older than ${stats.rawRetentionDays} days now? This cannot be undone.`)) {
+      return;
+    }
+    runRetention.mutate();
+  };
+
+  return (
+
+    // Render the Storage page
+    // Retention settings with a button to run the job, table sizes and the last runs
+    <Layout>
+      <div className="p-8">
+        <div className="max-w-6xl mx-auto bg-green-800 rounded-xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-4xl font-bold text-white">Storage</h1>
+            {stats?.enabled && (
+              <button
+                onClick={handleRun}
+                disabled={stats.running || runRetention.isPending}
+                className="bg-green-700 hover:bg-green-900 disabled:opacity-50 px-4 py-2 rounded-lg text-white flex items-center gap-2"
+              >
+                <FaPlay />
+                {stats.running || runRetention.isPending ? 'Running...' : 'Run retention now'}
+              </button>
+            )}
+          </div>
+
+          {(error || runRetention.error) && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+              {(error || runRetention.error).message}
+            </div>
+          )}
+
+          {isLoading ? (
+            <p className="text-lg text-green-200">Loading storage stats...</p>
+          ) : stats && (
+            <>
+              {/* Retention Settings */}
+              <div className="bg-green-900 text-white p-6 rounded-lg mb-8">
+                <h2 className="text-2xl font-bold mb-2">Retention</h2>
+                {stats.enabled ? (
+                  <p className="text-sm text-gray-300">
+                    Raw readings are kept for {stats.rawRetentionDays} days, then rolled up into hourly and daily
+                    rollups. Hourly rollups are kept for {stats.hourlyRetentionDays} days, daily rollups forever.
+                    The job runs once a day; graphs read the rollups for older periods.
+                  </p>
+                ) : (
+                  <p className="text-sm text-gray-300">
+                    Retention is disabled, so raw readings are kept forever. Set RAW_RETENTION_DAYS on the backend to enable it.
+                  </p>
+                )}
+              </div>
+
+              {/* Table Sizes */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+                {stats.tables.map(table => (
+                  <div key={table.name} className="bg-green-900 text-white p-6 rounded-lg">
+                    <h3 className="text-lg font-bold mb-2">{TABLE_LABELS[table.name] || table.name}</h3>
+                    <p className="text-3xl font-bold">{table.rows == null ? '-' : `~${table.rows.toLocaleString()}`}</p>
+                    <p className="text-sm text-gray-300">rows · {formatBytes(table.bytes)}</p>
+                    <p className="text-xs text-gray-400 mt-2">
+                      {table.oldest ? `Oldest: ${new Date(table.oldest).toLocaleString()}` : 'Empty'}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Recent Runs */}
+              <div className="bg-green-900 text-white p-6 rounded-lg overflow-x-auto">
+                <h2 className="text-2xl font-bold mb-4">Recent Runs</h2>
+                <table className="min-w-full">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Triggered By</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cutoff</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Readings Rolled Up</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hourly Rollups Purged</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {stats.runs.map(run => (
+                      <tr key={run.id}>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(run.started_at).toLocaleString()}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm">{run.triggered_by}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm">{new Date(run.cutoff).toLocaleDateString()}</td>
+                        <td className="px-4 py-3 text-sm">{run.purged ?? '-'}</td>
+                        <td className="px-4 py-3 text-sm">{run.hourly_purged ?? '-'}</td>
+                        <td className="px-4 py-3 text-sm">
+                          {run.error ? (
+                            <span className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800" title={run.error}>failed</span>
+                          ) : run.finished_at ? (
+                            <span className="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">done</span>
+                          ) : (
+                            <span className="px-2 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">running</span>
+                          )}
+                          {run.error && <p className="text-xs text-red-300 mt-1">{run.error}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                    {stats.runs.length === 0 && (
+                      <tr>
+                        <td colSpan={6} className="px-4 py-3 text-center text-gray-400">The retention job has not run yet</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+export default StorageStats;
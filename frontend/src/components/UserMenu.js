@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { FaUserCircle, FaTelegramPlane, FaSignOutAlt, FaUnlink, FaBell } from 'react-icons/fa';
+import { apiFetch } from '../apiClient';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush, getPushPreferences, savePushPreferences } from '../pushNotifications';
+import { useSystems } from '../context/SystemContext';
+
+const ALERT_TYPES = [
+  { value: 'pump', label: 'Pump' },
+  { value: 'rule', label: 'Alert rule' },
+  { value: 'stale', label: 'Stale data' },
+  { value: 'safety', label: 'Safety interlock' },
+  { value: 'calibration', label: 'Calibration due' },
+];
+
+const EMPTY_PREFERENCES = { alert_types: [], system_ids: [] };
+
+// Add or remove a value from a list, used by the preference checkboxes
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// User menu in the header
+// Shows the signed-in role, lets the user link Telegram chats to their account,
+// turn browser push notifications on or off (optionally only for some alert types and systems), and log out
+// Linking works with a one-time code that is sent to the bot as /link <code>
+function UserMenu({ userRole, onLogout }) {
+  const [open, setOpen] = useState(false);
+  const [linkCode, setLinkCode] = useState(null);  // { code, expiresAt }
+  const [linkedChats, setLinkedChats] = useState([]);
+  const [error, setError] = useState(null);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+  const [pushPreferences, setPushPreferences] = useState(EMPTY_PREFERENCES);
+  const { systems } = useSystems();
+
+
+  // Load the chats already linked to this account when the menu opens
+  const fetchLinkedChats = async () => {
+    const response = await apiFetch('/api/telegram/links');
+    if (response.ok) {
+      setLinkedChats(await response.json());
+    }
+  };
+
+  const handleToggle = () => {
+    if (!open) {
+      setError(null);
+      fetchLinkedChats();
+      getPushSubscription().then(subscription => setPushEnabled(!!subscription));
+      getPushPreferences()
+        .then(preferences => setPushPreferences(preferences || EMPTY_PREFERENCES))
+        .catch(err => setError(err.message));
+    }
+    setOpen(!open);
+  };
+
+  // Turn browser push notifications on or off for this browser
+  const handlePushToggle = async () => {
+    setError(null);
+    setPushBusy(true);
+    try {
+      if (pushEnabled) {
+        await unsubscribeFromPush();
+        setPushEnabled(false);
+      } else {
+        await subscribeToPush();
+        setPushEnabled(true);
+        setPushPreferences(EMPTY_PREFERENCES);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  // Tick or untick an alert type or system this browser is notified about
+  const handlePushPreference = async (field, value) => {
+    const preferences = { ...pushPreferences, [field]: toggle(pushPreferences[field], value) };
+    setError(null);
+    setPushPreferences(preferences);
+    try {
+      await savePushPreferences(preferences);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Ask the backend for a new link code; any earlier code stops working
+  const handleGenerateCode = async () => {
+    setError(null);
+    const response = await apiFetch('/api/telegram/link-code', { method: 'POST' });
+    if (!response.ok) {
+      setError('Failed to generate link code');
+      return;
+    }
+    setLinkCode(await response.json());
+  };
+
+  const handleUnlink = async (chat) => {
+    if (!window.confirm(`Unlink "${chat.chat_name || chat.chat_id}"? It will stop receiving alerts.`)) return;
+    const response = await apiFetch(`/api/telegram/links/${chat.chat_id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      setError('Failed to unlink chat');
+      return;
+    }
+    fetchLinkedChats();
+  };
+
+  return (
+    <div className="relative">
+      <button onClick={handleToggle} className="text-white hover:text-gray-300" title="Account">
+        <FaUserCircle size={28} />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-green-950 border border-green-700 rounded-lg shadow-xl z-50 text-white">
+          <div className="p-4 border-b border-green-700">
+            <p className="font-bold">Signed in</p>
+            <p className="text-sm text-gray-400">Role: {userRole || '-'}</p>
+            {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+          </div>
+
+          {/* Telegram linking */}
+          <div className="p-4 border-b border-green-700">
+            <p className="font-bold mb-2 flex items-center gap-2"><FaTelegramPlane /> Telegram</p>
+            {linkCode ? (
+              <div className="text-sm">
+                <p className="mb-2">Send this to the bot from the chat you want to link:</p>
+                <code className="block bg-white text-gray-800 px-3 py-2 rounded font-mono text-center">/link {linkCode.code}</code>
+                <p className="text-xs text-gray-400 mt-2">
+                  The code can be used once and expires at {new Date(linkCode.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+                </p>
+              </div>
+            ) : (
+              <button
+                onClick={handleGenerateCode}
+                className="bg-green-700 hover:bg-green-800 px-3 py-1 rounded-lg text-sm"
+              >
+                Link Telegram
+              </button>
+            )}
+            {linkedChats.length > 0 && (
+              <ul className="mt-3 text-sm">
+                {linkedChats.map(chat => (
+                  <li key={chat.chat_id} className="flex items-center justify-between py-1">
+                    <span>{chat.chat_name || chat.chat_id}</span>
+                    <button
+                      onClick={() => handleUnlink(chat)}    // Remove the link to this chat
+                      className="text-red-400 hover:text-red-300"
+                      title="Unlink chat"
+                    >
+                      <FaUnlink />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Browser push notifications */}
+          {isPushSupported() && (
+            <div className="p-4 border-b border-green-700">
+              <p className="font-bold mb-2 flex items-center gap-2"><FaBell /> Browser notifications</p>
+              <p className="text-xs text-gray-400 mb-2">Get alerts from this browser even when the app is closed.</p>
+              <button
+                onClick={handlePushToggle}
+                disabled={pushBusy}
+                className={`${pushEnabled ? 'bg-gray-500 hover:bg-gray-600' : 'bg-green-700 hover:bg-green-800'} disabled:opacity-50 px-3 py-1 rounded-lg text-sm`}
+              >
+                {pushEnabled ? 'Turn off' : 'Turn on'}
+              </button>
+
+              {/* Preferences: nothing ticked means everything */}
+              {pushEnabled && (
+                <div className="grid grid-cols-2 gap-2 mt-3 text-sm">
+                  <div>
+                    <p className="text-xs font-bold mb-1">Alert types</p>
+                    {ALERT_TYPES.map(type => (
+                      <label key={type.value} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={pushPreferences.alert_types.includes(type.value)}
+                          onChange={() => handlePushPreference('alert_types', type.value)}
+                        />
+                        {type.label}
+                      </label>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="text-xs font-bold mb-1">Systems</p>
+                    {systems.map(system => (
+                      <label key={system.id} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={pushPreferences.system_ids.includes(system.id)}
+                          onChange={() => handlePushPreference('system_ids', system.id)}
+                        />
+                        {system.name}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-400">Leave a group unticked to receive all of it.</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={onLogout}
+            className="w-full p-3 text-sm flex items-center justify-center gap-2 text-red-400 hover:text-red-300"
+          >
+            <FaSignOutAlt />
+            Logout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UserMenu;
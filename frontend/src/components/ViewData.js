@@ -3,15 +3,23 @@ import { supabase } from '../supabaseClient';
 import { FaThermometerHalf, FaTint } from 'react-icons/fa';
 import ReactSpeedometer from 'react-d3-speedometer';
 import Layout from './Layout';
+import { useSystems } from '../context/SystemContext';
+import { useCalibrations, calibrateReadings } from '../calibration';
 
 function ViewData() {
   const [sensorData, setSensorData] = useState(null);  // State to hold the latest sensor data
+  const { selectedSystemId } = useSystems();
+  const calibrations = useCalibrations(selectedSystemId);  // pH and EC are shown with the probe calibration applied
+
+  useEffect(() => {   // Effect to fetch the latest sensor data of the current system and set up real-time updates
+    setSensorData(null);
+    if (!selectedSystemId) return;
 
-  useEffect(() => {   // Effect to fetch the latest sensor data and set up real-time updates
     const getData = async () => {
       const { data } = await supabase
         .from('sensor_data')
         .select('*')
+        .eq('system_id', selectedSystemId)
         .order('created_at', { ascending: false })
         .limit(1);
 
@@ -24,12 +32,12 @@ function ViewData() {
     getData(); 
 
     // Subscribe to real-time updates for the sensor_data table
-    // This will update the sensorData state whenever a new row is inserted
+    // This will update the sensorData state whenever a new row is inserted for the current system
     // The channel listens for INSERT events on the sensor_data table in the public schema
     // When a new row is inserted, the payload is received and the sensorData state is updated with the new data
     const channel = supabase
-      .channel('public:sensor_data')
-      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'sensor_data' }, payload => {
+      .channel(`public:sensor_data:${selectedSystemId}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'sensor_data', filter: `system_id=eq.${selectedSystemId}` }, payload => {
         setSensorData(payload.new);
       })
       .subscribe();
@@ -37,7 +45,9 @@ function ViewData() {
     return () => {  // Cleanup function to remove the channel subscription when the component unmounts
       supabase.removeChannel(channel);
     };
-  }, []);
+  }, [selectedSystemId]);
+
+  const [reading] = sensorData ? calibrateReadings([sensorData], calibrations) : [null];
 
   return (  
 
@@ -55,7 +65,7 @@ function ViewData() {
       <div className="p-8">
         <div className="mb-4 p-8 bg-green-800 rounded-xl shadow-xl text-center">
           <h1 className="text-6xl font-bold mb-8 text-white">View Data</h1>
-          {sensorData && (
+          {reading && (
             <div className="grid grid-cols-1 gap-6">
               <div className="p-6 bg-green-900 rounded shadow-xl border-4 border-green-800 flex items-center justify-between transition-transform duration-200 hover:scale-105 hover:shadow-2xl">
                 <div className="flex items-center">
@@ -65,13 +75,13 @@ function ViewData() {
                 <div className="w-24 mx-auto mt-6">
                   <ReactSpeedometer
                     maxValue={100}
-                    value={sensorData.water_temperature}
+                    value={reading.water_temperature}
                     needleColor="white"
                     startColor="green"
                     endColor="red"
                     textColor="white"
                     segments={10}
-                    currentValueText={`${sensorData.water_temperature} °C`}
+                    currentValueText={`${reading.water_temperature} °C`}
                     textStyle={{ fontSize: '12px', fill: 'white', color: 'white' }}
                   />
                 </div>
@@ -86,13 +96,13 @@ function ViewData() {
                     <h3 className="text-lg font-bold text-white mb-1">pH Level</h3>
                     <ReactSpeedometer
                       maxValue={14}
-                      value={sensorData.ph}
+                      value={reading.ph}
                       needleColor="white"
                       startColor="green"
                       endColor="red"
                       textColor="white"
                       segments={10}
-                      currentValueText={`${sensorData.ph}`}
+                      currentValueText={`${reading.ph}`}
                       textStyle={{ fontSize: '12px', fill: 'white', color: 'white' }}
                     />
                   </div>
@@ -100,13 +110,13 @@ function ViewData() {
                     <h3 className="text-lg font-bold text-white mb-1">EC</h3>
                     <ReactSpeedometer
                       maxValue={10}
-                      value={sensorData.ec}
+                      value={reading.ec}
                       needleColor="white"
                       startColor="green"
                       endColor="red"
                       textColor="white"
                       segments={10}
-                      currentValueText={`${sensorData.ec} mS/cm`}
+                      currentValueText={`${reading.ec} mS/cm`}
                       textStyle={{ fontSize: '12px', fill: 'white', color: 'white' }}
                     />
                   </div>
@@ -1,16 +1,29 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import { supabase } from '../supabaseClient';
+import { apiFetch } from '../apiClient';
 import Chart from 'react-apexcharts';
 import Layout from './Layout';
+import { useSystems } from '../context/SystemContext';
+import { useCalibrations, calibrateReadings } from '../calibration';
+
+// Periods offered in the time range selector and the bucket size each is aggregated into
+// (the backend returns at most 1000 buckets per request)
+const TIME_RANGES = {
+  '6h': { label: 'Last 6 hours', hours: 6, bucket: '5m' },
+  '24h': { label: 'Last 24 hours', hours: 24, bucket: '5m' },
+  '7d': { label: 'Last 7 days', hours: 7 * 24, bucket: '1h' },
+  '30d': { label: 'Last 30 days', hours: 30 * 24, bucket: '1h' },
+  '90d': { label: 'Last 90 days', hours: 90 * 24, bucket: '1d' },
+};
 
 function ViewGraph() {
 
   // State to hold chart data, plant name, loading state, time range, and statistics
-  // The chart data is fetched from the sensor_data table in Supabase
+  // The chart data is one aggregated bucket per point, fetched from /api/readings/aggregate
   const [chartData, setChartData] = useState([]);
   const [plantName, setPlantName] = useState('');
   const [loading, setLoading] = useState(true);
-  const [timeRange, setTimeRange] = useState('15'); // Default to last 15 entries
+  const [timeRange, setTimeRange] = useState('24h'); // Default to the last 24 hours
   const [statistics, setStatistics] = useState({
 
     // Initialize statistics for temperature, pH, and EC
@@ -20,18 +33,27 @@ function ViewGraph() {
     ec: { min: 0, max: 0, avg: 0, latest: 0 }
   });
   const [plantRanges, setPlantRanges] = useState({ ph_min: 5.5, ph_max: 7.0, ec_min: 1.0, ec_max: 3.0 });
+  const { selectedSystemId } = useSystems();
+  const calibrations = useCalibrations(selectedSystemId);  // pH and EC are shown with the probe calibration applied
 
-  // Calculate statistics for a given data array and key
-  // This function computes min, max, average, and latest values for the specified key in the data
-  // If the data array is empty, it returns default values of 0 for all statistics
-  const calculateStats = (data, key) => {
-    if (!data.length) return { min: 0, max: 0, avg: 0, latest: 0 };
-    const values = data.map(d => d[key]);
-    return { 
-      min: Math.min(...values),
-      max: Math.max(...values),
-      avg: values.reduce((a, b) => a + b, 0) / values.length,
-      latest: values[values.length - 1]
+  // Reset the cached plant when switching systems so its name and ranges are fetched again
+  useEffect(() => {
+    setPlantName('');
+    setLoading(true);
+  }, [selectedSystemId]);
+
+  // Calculate statistics over the aggregated buckets for a given key
+  // Min and max come from the buckets' extremes and the average is weighted by each bucket's reading count
+  // If there are no readings in the period, it returns default values of 0 for all statistics
+  const calculateStats = (buckets, key, latest) => {
+    const stats = buckets.map(b => b[key]).filter(Boolean);
+    const count = stats.reduce((sum, s) => sum + s.count, 0);
+    if (!count) return { min: 0, max: 0, avg: 0, latest: latest?.[key] ?? 0 };
+    return {
+      min: Math.min(...stats.map(s => s.min)),
+      max: Math.max(...stats.map(s => s.max)),
+      avg: stats.reduce((sum, s) => sum + s.avg * s.count, 0) / count,
+      latest: latest?.[key] ?? 0
     };
   };
 
@@ -92,12 +114,13 @@ function ViewGraph() {
   // Function to fetch selected plant data
   // This function retrieves the selected plant's data from the Supabase database
   const getSelectedPlantData = useCallback(async () => {
+    if (!selectedSystemId) return;
     try {
-      // 1. Get selected plant ID from system_config
+      // 1. Get selected plant ID of the current system
       const { data: configData, error: configError } = await supabase
-        .from('system_config')
+        .from('systems')
         .select('selected_plant_id')
-        .limit(1)
+        .eq('id', selectedSystemId)
         .single();
 
       if (configError || !configData) {
@@ -151,57 +174,86 @@ function ViewGraph() {
         });
       }
 
-      // 3. Get data from sensor_data table for the selected plant
-      // This fetches the sensor data for the plant name retrieved above
-      // The data is ordered by created_at in ascending order
-      const { data: sensorData, error: dataError } = await supabase
+      // 3. Get the selected period aggregated per bucket for the selected plant
+      // The backend computes min, max, avg and count per bucket, with pH and EC already calibrated
+      const range = TIME_RANGES[timeRange];
+      const to = new Date();
+      const from = new Date(to.getTime() - range.hours * 60 * 60 * 1000);
+      const params = new URLSearchParams({
+        system_id: selectedSystemId,
+        plant_name: fetchedPlantName,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket: range.bucket,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,  // Daily buckets start at local midnight
+      });
+      const response = await apiFetch(`/api/readings/aggregate?${params}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        console.error('Error fetching aggregated readings:', errorData.error);
+        return;
+      }
+      const { buckets } = await response.json();
+
+      // 4. Get the latest reading of the plant for the "Latest" values
+      const { data: latestData, error: latestError } = await supabase
         .from('sensor_data')
-        .select('*')
+        .select('created_at, ph, ec, water_temperature')
+        .eq('system_id', selectedSystemId)
         .eq('plant_name', fetchedPlantName)
-        .order('created_at', { ascending: true });
+        .order('created_at', { ascending: false })
+        .limit(1);
 
-      if (dataError) {
-        console.error(`Error fetching data from sensor_data:`, dataError);
+      if (latestError) {
+        console.error(`Error fetching latest reading from sensor_data:`, latestError);
         return;
       }
+      const [latest] = calibrateReadings(latestData, calibrations);
 
-      setChartData(sensorData);
+      setChartData(buckets);
       
       // Calculate statistics
-      // This calculates the statistics for temperature, pH, and EC using the fetched sensor data
-      // It uses the calculateStats function defined earlier to compute min, max, avg, and
+      // This calculates the statistics for temperature, pH, and EC over the buckets of the period
+      // It uses the calculateStats function defined earlier to compute min, max, avg, and latest
       setStatistics({
-        temperature: calculateStats(sensorData, 'water_temperature'),
-        ph: calculateStats(sensorData, 'ph'),
-        ec: calculateStats(sensorData, 'ec')
+        temperature: calculateStats(buckets, 'water_temperature', latest),
+        ph: calculateStats(buckets, 'ph', latest),
+        ec: calculateStats(buckets, 'ec', latest)
       });
       
       setLoading(false);
     } catch (error) {
       console.error('Error updating graph data:', error);
     }
-  }, [plantName]);
+  }, [plantName, selectedSystemId, calibrations, timeRange]);
 
 
   // useEffect to fetch data on mount and set up interval for periodic updates
-  // This effect runs once when the component mounts and sets up an interval to fetch data every 3 seconds
+  // This effect runs once when the component mounts and sets up an interval to fetch data every 30 seconds
+  // (the smallest bucket is 5 minutes, so refreshing more often would not change the chart)
   // It also cleans up the interval on component unmount to prevent memory leaks
   useEffect(() => {
     getSelectedPlantData(); // fetch on mount
 
     const interval = setInterval(() => {
-      getSelectedPlantData(); // fetch every 3 seconds
-    }, 3000);
+      getSelectedPlantData(); // fetch every 30 seconds
+    }, 30000);
 
     return () => clearInterval(interval); // cleanup
   }, [getSelectedPlantData]); // Added getSelectedPlantData as a dependency
 
-  const limitedChartData = chartData.slice(-parseInt(timeRange)); // Limit chart data based on selected time range
+  // Bucket start as an x-axis label: the date for daily buckets, date and time otherwise
+  const formatBucket = (start) => TIME_RANGES[timeRange].bucket === '1d'
+    ? new Date(start).toLocaleDateString()
+    : new Date(start).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  // Average of a metric per bucket; buckets without readings are gaps in the line
+  const seriesData = (key) => chartData.map(b => (b[key] ? b[key].avg : null));
 
 
   // Common chart options used for all charts
   // These options include chart ID, toolbar settings, zoom functionality, x-axis categories, and tooltip settings
-  // The x-axis categories are set to display time in HH:mm:ss format based on the created_at field of the data
+  // The x-axis categories are set to display the start of each bucket
   // The tooltip is configured to show shared data for multiple series and format the x-axis labels
   const commonOptions = {
     chart: { 
@@ -221,17 +273,14 @@ function ViewGraph() {
       zoom: { enabled: true }   // <-- This enables zooming functionality
     },
     xaxis: {
-      categories: limitedChartData.map(d => new Date(d.created_at).toLocaleTimeString()),  // Format x-axis labels to show time
+      categories: chartData.map(b => formatBucket(b.start)),  // Format x-axis labels to show the bucket start
     },
     tooltip: {
       enabled: true,   // <-- This enables tooltips on hover
       shared: true,     // <-- This allows tooltips to show data for multiple series
       intersect: false,   // <-- This allows tooltips to show data even when not directly over a point
-      x: {
-        format: 'HH:mm:ss'     // Format x-axis labels in tooltips to show time
-      },
       y: {
-        formatter: (value) => value.toFixed(2)   // Format y-axis values to two decimal places
+        formatter: (value) => (value == null ? '-' : value.toFixed(2))   // Format y-axis values to two decimal places
       }
     },
     markers: {
@@ -280,7 +329,7 @@ function ViewGraph() {
 
             // If data is loaded, display the graph and statistics
             // The statistics are displayed in cards and the graphs are rendered using ApexCharts 
-            // The graphs show the last 15, 30, 60 entries or all data based on the selected time range
+            // The graphs show the bucket averages of the selected period, from the last 6 hours to the last 90 days
             // The charts are styled with a dark theme and have tooltips enabled for better user experience
             <>
               <div className="mb-4 flex justify-between items-center">
@@ -289,10 +338,9 @@ function ViewGraph() {
                   value={timeRange}
                   onChange={(e) => setTimeRange(e.target.value)}
                 >
-                  <option value="15">Last 15 entries</option>
-                  <option value="30">Last 30 entries</option>
-                  <option value="60">Last 60 entries</option>
-                  <option value="all">All data</option>
+                  {Object.entries(TIME_RANGES).map(([value, range]) => (
+                    <option key={value} value={value}>{range.label}</option>
+                  ))}
                 </select>
               </div>
 
@@ -329,7 +377,7 @@ function ViewGraph() {
                       labels: { colors: '#fff' },
                     },
                   }}
-                  series={[{ name: 'Temperature (°C)', data: limitedChartData.map(d => d.water_temperature) }]}
+                  series={[{ name: 'Temperature (°C)', data: seriesData('water_temperature') }]}
                   type="line"
                   width="100%"
                   height="400"
@@ -362,7 +410,7 @@ function ViewGraph() {
                       labels: { colors: '#fff' },
                     },
                   }}
-                  series={[{ name: 'pH', data: limitedChartData.map(d => d.ph) }]}
+                  series={[{ name: 'pH', data: seriesData('ph') }]}
                   type="line"
                   width="100%"
                   height="400"
@@ -396,7 +444,7 @@ function ViewGraph() {
                       labels: { colors: '#fff' },
                     },
                   }}
-                  series={[{ name: 'EC (mS/cm)', data: limitedChartData.map(d => d.ec) }]}
+                  series={[{ name: 'EC (mS/cm)', data: seriesData('ec') }]}
                   type="line"
                   width="100%"
                   height="400"
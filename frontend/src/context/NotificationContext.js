@@ -1,74 +1,91 @@
 import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { apiFetch } from '../apiClient';
 
 const NotificationContext = createContext(); // Create a context for notifications across the app
 
 export const useNotifications = () => useContext(NotificationContext); // Custom hook to access notification context
 
-export const NotificationProvider = ({ children }) => {   
+// Convert an alert row from the backend into the shape the notification bell displays
+const toNotification = (alert) => ({
+  id: alert.id,
+  message: alert.message,
+  severity: alert.severity,
+  createdAt: new Date(alert.created_at),
+});
+
+export const NotificationProvider = ({ children }) => {
   const [notifications, setNotifications] = useState([]);
 
-  // Load notifications from localStorage on mount
-  // This ensures that notifications persist across page reloads
-  // It retrieves notifications from localStorage and parses them
-  useEffect(() => {
+  // Load open alerts from the backend
+  // Notifications are the same alerts that are sent to Telegram and listed in the alert history,
+  // so acknowledging one here also acknowledges it everywhere else
+  const refreshNotifications = useCallback(async () => {
     try {
-      const saved = localStorage.getItem('notifications');
-      if (saved) {
-        const parsedNotifications = JSON.parse(saved);  // Parse the saved notifications
-        // Ensure createdAt is a Date object
-        setNotifications(
-          parsedNotifications.map(n => ({
-            ...n,
-            createdAt: new Date(n.createdAt),
-          }))
-        );
+      const response = await apiFetch('/api/alerts?status=open&limit=100');
+      if (!response.ok) {
+        setNotifications([]);
+        return;
       }
+      const { alerts } = await response.json();
+      setNotifications(alerts.map(toNotification));
     } catch (error) {
-      console.error('Failed to load notifications from localStorage', error);
-      // Clear corrupted storage
-      localStorage.removeItem('notifications');
+      console.error('Failed to load notifications', error);
     }
   }, []);
 
-  // Save notifications to localStorage whenever they change
+
+  // Load notifications on mount and whenever the user signs in or out,
+  // and keep them up to date with realtime changes to the alerts table
   useEffect(() => {
-    localStorage.setItem('notifications', JSON.stringify(notifications));
-  }, [notifications]);
+    refreshNotifications();
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+      if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+        refreshNotifications();
+      }
+    });
 
+    const channel = supabase
+      .channel('alerts_notifications')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'alerts' }, () => {
+        refreshNotifications();
+      })
+      .subscribe();
 
-  // Add a new notification
-  // This function creates a new notification object with a unique ID and current timestamp
-  const addNotification = useCallback((message) => {
-    const newNotification = {
-      id: Date.now(),
-      message,
-      createdAt: new Date(),
+    return () => {
+      subscription.unsubscribe();
+      supabase.removeChannel(channel);
     };
-    // Add new notification without a limit
-    setNotifications(prev => [newNotification, ...prev]);
-  }, []);
+  }, [refreshNotifications]);
 
 
-  // Remove a notification by its ID
-  // This function filters out the notification with the given ID
-  const removeNotification = useCallback((id) => {
+  // Acknowledge a notification by its ID
+  // The alert stays in the alert history but no longer shows in the bell
+  const removeNotification = useCallback(async (id) => {
     setNotifications(prev => prev.filter(n => n.id !== id));
-  }, []);
+    const response = await apiFetch(`/api/alerts/${id}/acknowledge`, { method: 'POST' });
+    if (!response.ok) {
+      console.error('Failed to acknowledge alert', id);
+      refreshNotifications();
+    }
+  }, [refreshNotifications]);
 
 
-  // Clear all notifications
-  // This function sets the notifications state to an empty array
-  const clearAllNotifications = useCallback(() => {
+  // Acknowledge all open notifications
+  const clearAllNotifications = useCallback(async () => {
+    const ids = notifications.map(n => n.id);
     setNotifications([]);
-  }, []);
+    await Promise.all(ids.map(id => apiFetch(`/api/alerts/${id}/acknowledge`, { method: 'POST' })));
+    refreshNotifications();
+  }, [notifications, refreshNotifications]);
+
 
 
-  
   const value = {  // Provide the context value to be used in components
     notifications,
-    addNotification,
     removeNotification,
     clearAllNotifications,
+    refreshNotifications,
   };
 
   return (
@@ -79,4 +96,4 @@ export const NotificationProvider = ({ children }) => {
       {children}
     </NotificationContext.Provider>
   );
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,66 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+
+const SystemContext = createContext(); // Create a context for the grow system currently being viewed
+
+export const useSystems = () => useContext(SystemContext); // Custom hook to access system context
+
+export const SystemProvider = ({ children }) => {
+  const [systems, setSystems] = useState([]);
+  const [selectedSystemId, setSelectedSystemId] = useState(() => localStorage.getItem('selectedSystemId'));
+
+
+  // Fetch the list of grow systems
+  // If the remembered system no longer exists, fall back to the first one
+  const refreshSystems = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('systems')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching systems:', error.message);
+      return;
+    }
+
+    setSystems(data || []);
+    setSelectedSystemId(prev => (
+      data && data.some(s => s.id === prev) ? prev : (data?.[0]?.id || null)
+    ));
+  }, []);
+
+
+  // Load systems on mount and whenever the user signs in or out
+  // Systems are protected by row level security, so they cannot be read before login
+  useEffect(() => {
+    refreshSystems();
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+      if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+        refreshSystems();
+      }
+    });
+    return () => subscription.unsubscribe();
+  }, [refreshSystems]);
+
+  // Remember the chosen system across page reloads
+  useEffect(() => {
+    if (selectedSystemId) {
+      localStorage.setItem('selectedSystemId', selectedSystemId);
+    }
+  }, [selectedSystemId]);
+
+
+  const value = {  // Provide the context value to be used in components
+    systems,
+    selectedSystemId,
+    selectedSystem: systems.find(s => s.id === selectedSystemId) || null,
+    selectSystem: setSelectedSystemId,
+    refreshSystems,
+  };
+
+  return (
+    <SystemContext.Provider value={value}>
+      {children}
+    </SystemContext.Provider>
+  );
+};
@@ -0,0 +1,93 @@
+import { apiFetch } from './apiClient';
+
+// Browser push notifications for alerts
+// The service worker in public/push-sw.js shows the notifications, even when the app is closed
+
+const SERVICE_WORKER_URL = '/push-sw.js';
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// The browser expects the VAPID public key as bytes rather than base64url text
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+};
+
+// Get this browser's current push subscription, or null
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// Ask for permission, subscribe this browser and store the subscription on the backend
+export async function subscribeToPush() {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked in this browser.');
+  }
+
+  const keyResponse = await apiFetch('/api/push/vapid-public-key');
+  if (!keyResponse.ok) {
+    throw new Error('Push notifications are not available on the server.');
+  }
+  const { publicKey } = await keyResponse.json();
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+
+  const response = await apiFetch('/api/push/subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(subscription.toJSON()),
+  });
+  if (!response.ok) {
+    throw new Error('Failed to save push subscription');
+  }
+  return subscription;
+}
+
+// Unsubscribe this browser and remove the subscription from the backend
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await apiFetch('/api/push/subscriptions', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint }),
+  });
+  await subscription.unsubscribe();
+}
+
+// Get the alert preferences of this browser's subscription ({ alert_types, system_ids }), or null if not subscribed
+export async function getPushPreferences() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+  const response = await apiFetch('/api/push/subscriptions');
+  if (!response.ok) {
+    throw new Error('Failed to load notification preferences');
+  }
+  const stored = (await response.json()).find(s => s.endpoint === subscription.endpoint);
+  return stored ? { alert_types: stored.alert_types, system_ids: stored.system_ids } : null;
+}
+
+// Limit this browser's notifications to some alert types and systems; empty lists mean all
+export async function savePushPreferences({ alert_types, system_ids }) {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  const response = await apiFetch('/api/push/subscriptions', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint, alert_types, system_ids }),
+  });
+  if (!response.ok) {
+    throw new Error('Failed to save notification preferences');
+  }
+}